@@ -76,98 +76,80 @@ self.addEventListener('message', function (event) {
     }
 });
 
-// TODO : this way to recognize content types is temporary
-// It must be replaced by reading the actual MIME-Type from the backend
-var regexpJPEG = new RegExp(/\.jpe?g$/i);
-var regexpPNG = new RegExp(/\.png$/i);
+// Javascript files are not run for now : they are recognized by their extension
+// in order to answer with an empty script
 var regexpJS = new RegExp(/\.js/i);
-var regexpCSS = new RegExp(/\.css$/i);
 
-var regexpContentUrlWithNamespace = new RegExp(/\/(.)\/(.*[^\/]+)$/);
-var regexpContentUrlWithoutNamespace = new RegExp(/^([^\/]+)$/);
-var regexpDummyArticle = new RegExp(/dummyArticle\.html$/);
+// The content of the archive is requested in the directory of the application (www, that contains the dummy article),
+// at <namespace>/<url of the entry> : the entries of the new namespace layout can be in subdirectories of their namespace
+var contentRootUrl = self.location.href.replace(/[^\/]*$/, '') + 'www/';
+var regexpContentUrl = new RegExp(/^([-A-Z])\/(.+)$/);
+var regexpDummyArticle = new RegExp(/^A\/dummyArticle\.html$/);
+
+/**
+ * Gives the name (with its namespace) of the entry of the archive requested by a URL
+ * @param {String} url
+ * @returns {String} the name of the entry, or null if the URL is not the one of a content of the archive
+ */
+function getTitleNameFromUrl(url) {
+    if (url.indexOf(contentRootUrl) !== 0) {
+        return null;
+    }
+    // We need to remove the potential parameters in the URL
+    var path = removeUrlParameters(url.substring(contentRootUrl.length));
+    // TODO handle the dummy article more properly
+    if (!regexpContentUrl.test(path) || regexpDummyArticle.test(path)) {
+        return null;
+    }
+    var regexpResult = regexpContentUrl.exec(path);
+    return regexpResult[1] + '/' + decodeURIComponent(regexpResult[2]);
+}
 
 function fetchEventListener(event) {
     if (fetchCaptureEnabled) {
         console.log('ServiceWorker handling fetch event for : ' + event.request.url);
 
-        // TODO handle the dummy article more properly
-        if ((regexpContentUrlWithNamespace.test(event.request.url)
-                || regexpContentUrlWithoutNamespace.test(event.request.url))
-            && !regexpDummyArticle.test(event.request.url)) {
+        var titleNameWithNameSpace = getTitleNameFromUrl(event.request.url);
+        if (titleNameWithNameSpace !== null) {
 
             console.log('Asking app.js for a content', event.request.url);
             event.respondWith(new Promise(function(resolve, reject) {
-                var nameSpace;
-                var titleName;
-                var titleNameWithNameSpace;
-                var contentType;
-                if (regexpContentUrlWithoutNamespace.test(event.request.url)) {
-                    // When the request URL is in the same folder,
-                    // it means it's a link to an article (namespace A)
-                    var regexpResult = regexpContentUrlWithoutNamespace.exec(event.request.url);
-                    nameSpace = 'A';
-                    titleName = regexpResult[1];
-                } else {
-                    var regexpResult = regexpContentUrlWithNamespace.exec(event.request.url);
-                    nameSpace = regexpResult[1];
-                    titleName = regexpResult[2];
+                // NB : with the new namespace layout (all the content in namespace C),
+                // the backend looks for the names of the old namespaces in the C namespace
+
+                // With the new namespace layout, the javascript files can not be told apart
+                // from the articles by their URL : they are given by the backend with their MIME type
+                if (titleNameWithNameSpace.charAt(0) === '-' && regexpJS.test(titleNameWithNameSpace)) {
+                    console.log("It's a javascript layout dependency : " + titleNameWithNameSpace);
+                    var responseInit = {
+                        status: 200,
+                        statusText: 'OK',
+                        headers: {
+                            'Content-Type': 'text/javascript'
+                        }
+                    };
+
+                    var httpResponse = new Response(';', responseInit);
+
+                    // TODO : temporary before the backend actually sends a proper content
+                    resolve(httpResponse);
+                    return;
                 }
 
-                // The namespace defines the type of content. See http://www.openzim.org/wiki/ZIM_file_format#Namespaces
-                // TODO : read the contentType from the ZIM file instead of hard-coding it here
-                if (nameSpace === 'A') {
-                    console.log("It's an article : " + titleName);
-                    contentType = 'text/html';
-                }
-                else if (nameSpace === 'I' || nameSpace === 'J') {
-                    console.log("It's an image : " + titleName);
-                    if (regexpJPEG.test(titleName)) {
-                        contentType = 'image/jpeg';
-                    }
-                    else if (regexpPNG.test(titleName)) {
-                        contentType = 'image/png';
-                    }
-                }
-                else if (nameSpace === '-') {
-                    console.log("It's a layout dependency : " + titleName);
-                    if (regexpJS.test(titleName)) {
-                        contentType = 'text/javascript';
-                        var responseInit = {
-                            status: 200,
-                            statusText: 'OK',
-                            headers: {
-                                'Content-Type': contentType
-                            }
-                        };
-
-                        var httpResponse = new Response(';', responseInit);
-
-                        // TODO : temporary before the backend actually sends a proper content
-                        resolve(httpResponse);
-                        return;
-                    }
-                    else if (regexpCSS.test(titleName)) {
-                        contentType = 'text/css';
-                    }
-                }
-
-                // We need to remove the potential parameters in the URL
-                titleName = removeUrlParameters(decodeURIComponent(titleName));
-
-                titleNameWithNameSpace = nameSpace + '/' + titleName;
-
                 // Let's instanciate a new messageChannel, to allow app.s to give us the content
                 var messageChannel = new MessageChannel();
                 messageChannel.port1.onmessage = function(event) {
                     if (event.data.action === 'giveContent') {
                         console.log('content message received for ' + titleNameWithNameSpace, event.data);
+                        // The MIME type is the one read from the ZIM file by the backend
+                        var headers = {};
+                        if (event.data.mimetype) {
+                            headers['Content-Type'] = event.data.mimetype;
+                        }
                         var responseInit = {
                             status: 200,
                             statusText: 'OK',
-                            headers: {
-                                'Content-Type': contentType
-                            }
+                            headers: headers
                         };
 
                         var httpResponse = new Response(event.data.content, responseInit);
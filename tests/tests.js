@@ -19,8 +19,8 @@
  * You should have received a copy of the GNU General Public License
  * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
  */
-define(['jquery', 'title', 'archive', 'zimArchive', 'zimDirEntry', 'util', 'geometry', 'utf8'],
- function($, evopediaTitle, evopediaArchive, zimArchive, zimDirEntry, util, geometry, utf8) {
+define(['jquery', 'title', 'archive', 'zimArchive', 'zimDirEntry', 'util', 'geometry', 'utf8', 'xzdec_wrapper', 'zstddec_wrapper', 'lruCache', 'zimfile', 'md5', 'fullTextSearch', 'inflate', 'xapian', 'similarTitles', 'library', 'remoteFile', 'catalog', 'downloadManager', 'fullTextIndex', 'q'],
+ function($, evopediaTitle, evopediaArchive, zimArchive, zimDirEntry, util, geometry, utf8, xz, zstd, lruCache, zimfile, md5, fullTextSearch, inflate, xapian, similarTitles, library, remoteFile, catalog, downloadManager, fullTextIndex, Q) {
     
     var localEvopediaArchive;
     var localZimArchive;
@@ -165,6 +165,88 @@ define(['jquery', 'title', 'archive', 'zimArchive', 'zimDirEntry', 'util', 'geom
             };
             localEvopediaArchive.findTitlesWithPrefix("Am", 10, callbackFunction);
         });
+        asyncTest("check the titles similar to 'Amazon Rievr'", function() {
+            expect(1);
+            similarTitles.findSimilarTitles(localEvopediaArchive, "Amazon Rievr", 5).then(function(titleList) {
+                deepEqual(titleList.map(function(title) {
+                    return title._name;
+                }), ["Amazon_River"], "The title without the typo is found");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
+        asyncTest("check findTitlesWithInfix Charles", function() {
+            expect(3);
+            ok(localEvopediaArchive.hasInfixTitleSearch(), "The titles of Evopedia archives can be searched anywhere");
+            localEvopediaArchive.findTitlesWithInfix("Charles", 10, function(titleList, maxSize, nextCursor) {
+                deepEqual(titleList.map(function(title) {
+                    return title._name;
+                }), ["Charles_Darwin", "Charles_de_Gaulle", "Charles_Dickens"], "The titles containing 'Charles' are found");
+                equal(nextCursor, null, "There are no more titles");
+                start();
+            });
+        });
+        asyncTest("check the pages of findTitlesWithInfix ham", function() {
+            expect(3);
+            localEvopediaArchive.findTitlesWithInfix("ham", 3, function(firstPage, maxSize, nextCursor) {
+                equal(firstPage[0]._name, "Abraham", "First article name is 'Abraham'");
+                ok(nextCursor !== null, "There are more titles");
+                localEvopediaArchive.findTitlesWithInfix("ham", 10, function(nextPage) {
+                    equal(firstPage.length + nextPage.length, 5, "5 titles are found in the 2 pages");
+                    start();
+                }, nextCursor);
+            });
+        });
+        asyncTest("check the pages of findTitlesWithPrefix A", function() {
+            expect(4);
+            localEvopediaArchive.findTitlesWithPrefix("A", 1000, function(allTitles) {
+                localEvopediaArchive.findTitlesWithPrefix("A", 10, function(firstPage, maxSize, nextCursor) {
+                    equal(firstPage.length, 10, "The first page has 10 titles");
+                    ok(nextCursor !== null, "There are more titles");
+                    localEvopediaArchive.findTitlesWithPrefix("A", 1000, function(nextPages, maxSize, lastCursor) {
+                        deepEqual(firstPage.concat(nextPages).map(function(title) {
+                            return title._name;
+                        }), allTitles.map(function(title) {
+                            return title._name;
+                        }), "The pages give the same titles as a single search");
+                        equal(lastCursor, null, "There are no more titles");
+                        start();
+                    }, nextCursor);
+                });
+            });
+        });
+        asyncTest("check that a cancelled search does not give its results", function() {
+            expect(1);
+            var cancelledToken = new util.CancellationToken();
+            localEvopediaArchive.findTitlesWithPrefix("A", 10, function(titleList) {
+                ok(false, "The cancelled search should not give results");
+            }, null, cancelledToken);
+            localEvopediaArchive.findTitlesWithInfix("a", 10, function(titleList) {
+                ok(false, "The cancelled search should not give results");
+            }, null, cancelledToken);
+            cancelledToken.cancel();
+            localEvopediaArchive.findTitlesWithPrefix("A", 10, function(titleList) {
+                equal(titleList.length, 10, "The following search gives its results");
+                start();
+            }, null, new util.CancellationToken());
+        });
+        asyncTest("check searchFullText 'darwin evolution' in the full-text index of an Evopedia archive", function() {
+            expect(4);
+            // The index is built without the WebWorker that buildFullTextIndex uses
+            fullTextIndex.buildEvopediaIndex(localEvopediaArchive, localEvopediaArchive._getId(), function(progress) {
+            }).then(function() {
+                return localEvopediaArchive.getFullTextIndexState();
+            }).then(function(state) {
+                ok(state.complete, "All the articles are indexed");
+                return localEvopediaArchive.hasEmbeddedFullTextIndex();
+            }).then(function(hasEmbeddedIndex) {
+                ok(!hasEmbeddedIndex, "Evopedia archives do not contain a full-text index");
+                return localEvopediaArchive.searchFullText("DARWIN évolution", 5);
+            }).then(function(titleList) {
+                ok(titleList.length > 0 && titleList.length <= 5, "Articles are found");
+                equal(titleList[0]._name, "Charles_Darwin", "The article about Charles Darwin comes first");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
 
         // Create a title instance for the Article 'Abraham'
         var titleAbraham = new evopediaTitle.Title();
@@ -379,6 +461,12 @@ define(['jquery', 'title', 'archive', 'zimArchive', 'zimDirEntry', 'util', 'geom
            var float = util.readFloatFrom4Bytes(byteArray, 0);
            equal(float, -118.625, "the IEEE_754 float should be converted as -118.625");
         });
+        test("check reading integers from a part of a byte array", function() {
+            var byteArray = new Uint8Array([1, 2, 3, 0x08, 0x80, 0x23, 0xdd, 0x0a, 0x00]);
+            var subArray = byteArray.subarray(3);
+            equal(util.readIntegerFrom2Bytes(subArray, 0), 0x8008, "the 2 bytes should be read from the start of the subarray");
+            equal(util.readIntegerFrom4Bytes(subArray, 2), 0x0add23, "the 4 bytes should be read from the given index of the subarray");
+        });
         test("check upper/lower case variations", function() {
             var testString1 = "téléphone";
             var testString2 = "Paris";
@@ -395,6 +483,405 @@ define(['jquery', 'title', 'archive', 'zimArchive', 'zimDirEntry', 'util', 'geom
             deepEqual(util.removeDuplicateTitlesInArray(array), expectedArray, "Duplicates should be removed from the array");
         });
         
+        test("check the language codes of the Wikipedia hosts", function() {
+            equal(util.getWikipediaLanguageCode("eng"), "en", "An ISO 639-3 code is converted to its ISO 639-1 code");
+            equal(util.getWikipediaLanguageCode("fra"), "fr", "An ISO 639-3 code is converted to its ISO 639-1 code");
+            equal(util.getWikipediaLanguageCode("en"), "en", "An ISO 639-1 code is kept");
+            equal(util.getWikipediaLanguageCode("ast"), "ast", "A language without ISO 639-1 code keeps its ISO 639-3 code");
+        });
+        module("zstd");
+        asyncTest("check reading slices of a zstd stream", function() {
+            expect(3);
+            // "Kiwix line <n> : offline reader for ZIM archives\n" for n from 0 to 39, compressed with zstd -19
+            var compressedString = atob("KLUv/WR2BvUDADJFEhaQzQGA6wuuYUs+ynz+FRERkdaQ2ZoT6r15NTGpem9eTUyp3ptXE1G9N68mAs56mHI04wihuNYk1xZirJYkzQWXbjFsuYhBbAgpqBGgs/9WA9BLsRoRNAQ3hP+/ISj9AgAEFy0gQJLQAgJkM+W02591M38RAimDcoD8AYecURU=");
+            var compressed = new Uint8Array(compressedString.length);
+            for (var i = 0; i < compressedString.length; i++) {
+                compressed[i] = compressedString.charCodeAt(i);
+            }
+            var reader = function(offset, size) {
+                return Promise.resolve(compressed.subarray(offset, offset + size));
+            };
+            // Use a small chunk size, so that the stream is read in several steps
+            var decompressor = new zstd.Decompressor(reader, 32);
+            decompressor.readSlice(1000, 40).then(function(data) {
+                equal(utf8.parse(data), "wix line 21 : offline reader for ZIM arc", "Slice in the middle of the stream is correct");
+                return decompressor.readSlice(0, 1910);
+            }).then(function(data) {
+                equal(data.length, 1910, "Whole stream has the correct length");
+                equal(utf8.parse(data.subarray(1862)), "Kiwix line 39 : offline reader for ZIM archives\n", "End of the stream is correct");
+                start();
+            }).catch(errorHandlerAsyncTest);
+        });
+        
+        module("xapian");
+        test("check the decompression of the raw DEFLATE streams of the Xapian tables", function() {
+            // "Ray Charles Ray Charles Ray Charles", compressed with zlib (without header)
+            var compressed = new Uint8Array([11, 74, 172, 84, 112, 206, 72, 44, 202, 73, 45, 86, 8, 194, 206, 6, 0]);
+            equal(utf8.parse(inflate.inflateRaw(compressed)), "Ray Charles Ray Charles Ray Charles", "The stream is correctly decompressed");
+            throws(function() {
+                inflate.inflateRaw(compressed.subarray(0, 8));
+            }, "A truncated stream is rejected");
+        });
+        test("check the keys of the Xapian tables", function() {
+            deepEqual(xapian.packUintPreservingSort(5), [0, 5], "Small document id");
+            deepEqual(xapian.packUintPreservingSort(513), [2, 1], "The highest bits of the document id are in the first byte");
+            deepEqual(xapian.packUintPreservingSort(70000), [33, 17, 112], "Big document id");
+            deepEqual(xapian.packStringPreservingSort([97, 0, 98], false), [97, 0, 255, 98, 0], "Zero bytes are escaped, and the string is terminated");
+            deepEqual(xapian.packStringPreservingSort([97, 98], true), [97, 98], "The last string of a key is not terminated");
+        });
+        asyncTest("check the full-text index of a ZIM archive made by libzim is searched", function() {
+            expect(8);
+            // Test archive of libzim : its titles are indexed with the positions of their words (with the S prefix)
+            var archive;
+            var database;
+            Q(makeBlobRequest('tests/libzim_test.zim', 'libzim_test.zim')).then(function(blob) {
+                return Q.Promise(function(resolve) {
+                    archive = new zimArchive.ZIMArchive([blob], null, resolve);
+                });
+            }).then(function() {
+                return archive.hasEmbeddedFullTextIndex();
+            }).then(function(hasIndex) {
+                ok(hasIndex, "The archive has a full-text index");
+                return archive.searchFullText("Incidunt", 20);
+            }).then(function(titleList) {
+                equal(titleList.length, 10, "10 articles are found");
+                equal(titleList[0].url, "A/nulla_incidunt_et_non", "The articles found are read from the index");
+                return archive._getXapianDatabase();
+            }).then(function(xapianDatabase) {
+                database = xapianDatabase;
+                equal(database.documentCount, 598, "The number of documents is read");
+                return database.getPositions("Sa", 513);
+            }).then(function(positions) {
+                deepEqual(positions, [3, 4], "The positions of a word are read (in 'vel omnis a a')");
+                return database.search(["Squi", "Set"], 10);
+            }).then(function(docIds) {
+                deepEqual(docIds.sort(function(a, b) { return a - b; }), [6, 77, 130, 195, 357, 440, 580], "The documents with both words are found");
+                return database.search(["Squi", "Set"], 10, [["Squi", "Set"]]);
+            }).then(function(docIds) {
+                deepEqual(docIds.sort(function(a, b) { return a - b; }), [6, 357, 580], "Only the documents where the words are next to each other match the phrase");
+                return database.getDocumentData(580);
+            }).then(function(url) {
+                equal(url, "A/quia_qui_et_quibusdam", "The document has 'qui et' in its title");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
+        
+        module("similarTitles");
+        test("check the edit distance between strings", function() {
+            equal(similarTitles.editDistance("kitten", "sitting"), 3, "Substitutions and insertion are counted");
+            equal(similarTitles.editDistance("ray charels", "ray charles"), 1, "A transposition counts as one edit");
+            equal(similarTitles.editDistance("", "abc"), 3, "Distance from an empty string");
+            equal(similarTitles.editDistance("georgia", "georgia"), 0, "Same strings");
+        });
+        
+        module("library");
+        asyncTest("check adding, renaming and removing an archive of the library", function() {
+            expect(5);
+            var id = "zim:library-test";
+            library.addArchive({id: id, format: "ZIM 5.0", title: "Library test"}, {fileNames: ["test.zim"]}).then(function(entry) {
+                equal(entry.name, "Library test", "The archive is named after its title");
+                return library.renameArchive(id, "Renamed");
+            }).then(function() {
+                return library.saveSettings(id, {matchAnywhere: true});
+            }).then(function() {
+                // The archive is opened again, from other files
+                return library.addArchive({id: id, format: "ZIM 5.0", title: "Library test"}, {fileNames: ["copy.zim"]});
+            }).then(function(entry) {
+                equal(entry.name, "Renamed", "The name given by the user is kept");
+                deepEqual(entry.settings, {matchAnywhere: true}, "The settings are kept");
+                deepEqual(entry.fileNames, ["copy.zim"], "The files are updated");
+                return library.removeArchive(id);
+            }).then(function() {
+                return library.getEntry(id);
+            }).then(function(entry) {
+                equal(entry, null, "The archive is removed");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
+        asyncTest("check the list of the archives of the device storage is stored in the library", function() {
+            expect(2);
+            library.saveStoragePaths(["/sdcard/wikipedia_en_ray_charles_2015-06.zim", "/sdcard/evopedia/"]).then(function() {
+                return library.listStoragePaths();
+            }).then(function(paths) {
+                deepEqual(paths.sort(), ["/sdcard/evopedia/", "/sdcard/wikipedia_en_ray_charles_2015-06.zim"], "The paths are stored");
+                return library.saveStoragePaths(["/sdcard/evopedia/"]);
+            }).then(function() {
+                return library.listStoragePaths();
+            }).then(function(paths) {
+                deepEqual(paths, ["/sdcard/evopedia/"], "The list is replaced after a new scan");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
+        
+        module("catalog");
+        test("check the books of an OPDS catalog are read and filtered", function() {
+            var xml = '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/terms/">'
+                + '<entry><id>urn:uuid:0001</id><title>Ray Charles</title><language>eng</language>'
+                + '<category>wikipedia</category><tags>wikipedia;_pictures:yes;music</tags><dc:issued>2015-06-02T00:00:00Z</dc:issued>'
+                + '<link rel="http://opds-spec.org/acquisition/open-access" type="application/x-zim" length="1548800"'
+                + ' href="http://download.kiwix.org/zim/wikipedia_en_ray_charles_2015-06.zim.meta4" /></entry>'
+                + '<entry><id>urn:uuid:0002</id><title>Wikipédia</title><summary>Encyclopédie</summary><language>fra,eng</language>'
+                + '<tags>wikipedia</tags><updated>2023-08-01T00:00:00Z</updated></entry></feed>';
+            var books = catalog.parseCatalog(xml);
+            equal(books.length, 2, "The two books are read");
+            equal(books[0].id, "0001", "The UUID is read");
+            deepEqual(books[0].tags, ["wikipedia", "music"], "The internal tags are ignored");
+            equal(books[0].date, "2015-06-02", "The date is the issue date");
+            equal(books[0].size, 1548800, "The size is read");
+            equal(books[0].fileName, "wikipedia_en_ray_charles_2015-06.zim", "The file name is taken from the download URL");
+            deepEqual(catalog.listLanguages(books), ["eng", "fra"], "The languages are listed");
+            equal(catalog.filterBooks(books, {language: "fra"}).length, 1, "The books are filtered by language");
+            equal(catalog.filterBooks(books, {tag: "music"})[0].title, "Ray Charles", "The books are filtered by tag");
+            equal(catalog.filterBooks(books, {text: "encyclopédie"})[0].id, "0002", "The books are searched in their summary");
+            equal(catalog.findArchivePath(books[0], ["/sdcard/wikipedia_en_ray_charles_2015-06.zimaa"]),
+                "/sdcard/wikipedia_en_ray_charles_2015-06.zimaa", "The archive of the book is found by the name of its file");
+            throws(function() {
+                catalog.parseCatalog("<html></html>");
+            }, "A document that is not a feed is rejected");
+        });
+        
+        module("downloadManager");
+        /**
+         * Storage where the files are kept in memory
+         */
+        function FakeStorage() {
+            this.files = {};
+        }
+        FakeStorage.prototype.getFilePath = function(fileName) {
+            return '/fake/' + fileName;
+        };
+        FakeStorage.prototype.get = function(path) {
+            return this.files[path] ? Q(this.files[path]) : Q.reject('NOT_FOUND_ERR');
+        };
+        FakeStorage.prototype.openFileForAppending = function(path) {
+            var files = this.files;
+            files[path] = files[path] || new Blob([]);
+            return Q({
+                size: files[path].size,
+                append: function(blob) {
+                    files[path] = new Blob([files[path], blob]);
+                    return Q();
+                },
+                close: function() {
+                    return Q();
+                }
+            });
+        };
+        FakeStorage.prototype.renameFile = function(path, newName) {
+            var newPath = this.getFilePath(newName);
+            this.files[newPath] = this.files[path];
+            delete this.files[path];
+            return Q(newPath);
+        };
+        FakeStorage.prototype.removeFile = function(path) {
+            delete this.files[path];
+            return Q();
+        };
+        /**
+         * Creates an error of the network or of the server, after which the download is retried
+         * @param {String} message
+         * @returns {Error}
+         */
+        function temporaryError(message) {
+            var error = new Error(message);
+            error.isTemporary = true;
+            return error;
+        }
+        asyncTest("check a download is resumed after the data already downloaded, and retried after an error of the server", function() {
+            expect(6);
+            var data = new Uint8Array(10000);
+            for (var i = 0; i < data.length; i++) {
+                data[i] = i % 251;
+            }
+            var storage = new FakeStorage();
+            storage.files['/fake/test.zim.part'] = new Blob([data.subarray(0, 3000)]);
+            var download = new downloadManager.Download(storage, 'http://example.org/zim/test.zim');
+            download.retryDelay = 0;
+            var requestedPositions = [];
+            var errorCount = 0;
+            download._requestPart = function(begin) {
+                requestedPositions.push(begin);
+                if (begin === 7000 && errorCount === 0) {
+                    errorCount++;
+                    return Q.reject(temporaryError("The server has failed to send the file (HTTP status 503)"));
+                }
+                download.size = data.length;
+                return Q(new Blob([data.subarray(begin, begin + 4000)]));
+            };
+            download._verify = function() {
+                return Q();
+            };
+            download.start().then(function(path) {
+                deepEqual(requestedPositions, [3000, 7000, 7000], "The download is resumed after the data already downloaded, and the part is requested again after the error");
+                equal(path, '/fake/test.zim', "The file is renamed once it is downloaded");
+                equal(download.state, downloadManager.COMPLETED, "The download is completed");
+                ok(!storage.files['/fake/test.zim.part'], "The partial file does not exist anymore");
+                return util.readFileSlice(storage.files[path], 0, data.length);
+            }).then(function(fileData) {
+                deepEqual(fileData, data, "The file has been entirely downloaded");
+                // After too many errors, the download is stopped
+                var failingDownload = new downloadManager.Download(new FakeStorage(), 'http://example.org/zim/test.zim');
+                failingDownload.retryDelay = 0;
+                failingDownload._requestPart = function() {
+                    return Q.reject(temporaryError("The server can not be reached"));
+                };
+                return failingDownload.start().then(function() {
+                    ok(false, "The download should have been stopped");
+                }, function() {
+                    equal(failingDownload.state, downloadManager.PAUSED, "The download is paused, so that it can be resumed later");
+                });
+            }).then(start, errorHandlerAsyncTest);
+        });
+        asyncTest("check a download whose size is not known ends when the server has nothing after the data downloaded", function() {
+            expect(3);
+            var data = new Uint8Array(5000);
+            var download = new downloadManager.Download(new FakeStorage(), 'http://example.org/zim/test.zim', 'other.zim');
+            download._requestPart = function(begin) {
+                // The server answers with the HTTP status 416 after the end of the file
+                return Q(begin < data.length ? new Blob([data.subarray(begin, begin + 2000)]) : null);
+            };
+            download._verify = function() {
+                return Q();
+            };
+            download.start().then(function(path) {
+                equal(path, '/fake/other.zim', "The file has the name that has been given");
+                equal(download.size, 5000, "The size of the file is the size of the data downloaded");
+                equal(download.downloadedSize, 5000, "The whole file is downloaded");
+            }).then(start, errorHandlerAsyncTest);
+        });
+        asyncTest("check the parts of a split ZIM file are downloaded without verifying their checksum", function() {
+            expect(2);
+            var data = new Uint8Array(5000);
+            var download = new downloadManager.Download(new FakeStorage(), 'http://example.org/zim/test.zimaa');
+            download._requestPart = function(begin) {
+                download.size = data.length;
+                return Q(new Blob([data.subarray(begin, begin + 2000)]));
+            };
+            download._verify = function() {
+                ok(false, "The checksum of a part of a split ZIM file can not be verified");
+                return Q();
+            };
+            download.start().then(function(path) {
+                equal(path, '/fake/test.zimaa', "The part is renamed once it is downloaded");
+                equal(download.state, downloadManager.COMPLETED, "The download is completed");
+            }).then(start, errorHandlerAsyncTest);
+        });
+        asyncTest("check the answers of the server to the requests of the parts of a download", function() {
+            expect(7);
+            // The server answers with the given HTTP status and Content-Range header
+            var responses;
+            var RealXMLHttpRequest = window.XMLHttpRequest;
+            var FakeXMLHttpRequest = function() {};
+            FakeXMLHttpRequest.prototype.open = function() {};
+            FakeXMLHttpRequest.prototype.setRequestHeader = function() {};
+            FakeXMLHttpRequest.prototype.getResponseHeader = function(name) {
+                return name === 'Content-Range' ? this.contentRange : null;
+            };
+            FakeXMLHttpRequest.prototype.send = function() {
+                var request = this;
+                var response = responses.shift();
+                request.status = response.status;
+                request.contentRange = response.contentRange || null;
+                request.response = new Blob([new Uint8Array(4)]);
+                setTimeout(function() {
+                    request.onload();
+                }, 0);
+            };
+            window.XMLHttpRequest = FakeXMLHttpRequest;
+            var download = new downloadManager.Download(new FakeStorage(), 'http://example.org/zim/test.zim');
+            responses = [{status: 206, contentRange: "bytes 4-7/10"}, {status: 206, contentRange: "bytes 0-3/10"},
+                {status: 416}, {status: 503}, {status: 200}];
+            download._requestPart(4).then(function(blob) {
+                equal(blob.size, 4, "The part is given");
+                equal(download.size, 10, "The size of the file is read from the Content-Range header");
+                return download._requestPart(4).then(function() {
+                    ok(false, "Another part of the file should be rejected");
+                }, function(error) {
+                    ok(!error.isTemporary, "Another part of the file is rejected");
+                });
+            }).then(function() {
+                return download._requestPart(10);
+            }).then(function(blob) {
+                equal(blob, null, "There is nothing after the end of the file");
+                return download._requestPart(4).then(function() {
+                    ok(false, "An error of the server should be rejected");
+                }, function(error) {
+                    ok(error.isTemporary, "The part can be requested again after an error of the server");
+                });
+            }).then(function() {
+                return download._requestPart(4).then(function() {
+                    ok(false, "A server that does not support the Range requests should be rejected");
+                }, function(error) {
+                    ok(!error.isTemporary, "The download stops if the server does not support the Range requests");
+                    equal(responses.length, 0, "All the requests have been answered");
+                });
+            }).fin(function() {
+                window.XMLHttpRequest = RealXMLHttpRequest;
+            }).then(start, errorHandlerAsyncTest);
+        });
+        asyncTest("check a downloaded file is deleted if its MD5 checksum is not valid", function() {
+            expect(5);
+            var storage = new FakeStorage();
+            var data;
+            var download;
+            var requestPart = function(begin) {
+                download.size = data.length;
+                return Q(new Blob([data.subarray(begin, begin + 100000)]));
+            };
+            Q(makeBlobRequest('tests/libzim_test.zim', 'libzim_test.zim')).then(function(blob) {
+                return util.readFileSlice(blob, 0, blob.size);
+            }).then(function(validData) {
+                // A byte of the content is changed during the download
+                data = new Uint8Array(validData);
+                data[100000] ^= 0xff;
+                download = new downloadManager.Download(storage, 'http://example.org/zim/libzim_test.zim');
+                download._requestPart = requestPart;
+                return download.start().then(function() {
+                    ok(false, "The corrupted file should be rejected");
+                }, function(error) {
+                    equal(download.state, downloadManager.FAILED, "The download fails");
+                    equal(download.downloadedSize, 0, "The download has to start again");
+                    ok(!storage.files['/fake/libzim_test.zim.part'], "The corrupted file is deleted");
+                });
+            }).then(function() {
+                data[100000] ^= 0xff;
+                return download.start();
+            }).then(function(path) {
+                equal(download.state, downloadManager.COMPLETED, "The file is valid once it is downloaded again");
+                equal(storage.files[path].size, data.length, "The whole file is downloaded");
+            }).then(start, errorHandlerAsyncTest);
+        });
+        
+        module("lruCache");
+        test("check the least recently used values are evicted", function() {
+            var cache = new lruCache.LRUCache(10);
+            cache.set("a", "A", 4);
+            cache.set("b", "B", 4);
+            equal(cache.get("a"), "A", "a is found");
+            cache.set("c", "C", 4);
+            equal(cache.get("b"), undefined, "b, the least recently used, has been evicted");
+            equal(cache.get("a"), "A", "a is still found");
+            equal(cache.size, 8, "Total size is correct");
+            cache.set("d", "D", 20);
+            equal(cache.get("d"), undefined, "A value bigger than the cache is not stored");
+            deepEqual([cache.hits, cache.misses], [2, 2], "Hits and misses are counted");
+        });
+        
+        module("md5");
+        test("check MD5 of known strings", function() {
+            var hexMD5 = function(string) {
+                var bytes = new Uint8Array(string.length);
+                for (var i = 0; i < string.length; i++) {
+                    bytes[i] = string.charCodeAt(i);
+                }
+                return new md5.MD5().update(bytes).hexDigest();
+            };
+            equal(hexMD5(""), "d41d8cd98f00b204e9800998ecf8427e", "MD5 of the empty string");
+            equal(hexMD5("abc"), "900150983cd24fb0d6963f7d28e17f72", "MD5 of 'abc'");
+            equal(hexMD5("12345678901234567890123456789012345678901234567890123456789012345678901234567890"),
+                "57edf4a22be3c955ac49da2e2107b67a", "MD5 of a string longer than a block");
+        });
+        
         module("evopedia_articles_nearby");
         asyncTest("check articles found nearby France and Germany", function() {
             expect(5);
@@ -512,6 +999,133 @@ define(['jquery', 'title', 'archive', 'zimArchive', 'zimDirEntry', 'util', 'geom
         test("ZIM archive is ready", function() {
             ok(localZimArchive.isReady() === true, "ZIM archive should be set as ready");
         });
+        var checkOpenError = function(files, expectedCode, message) {
+            new zimArchive.ZIMArchive(files, null, function() {
+                ok(false, "The archive should not be opened");
+                start();
+            }, function(error) {
+                equal(error.code, expectedCode, message);
+                start();
+            });
+        };
+        asyncTest("A file that is not a ZIM file is rejected", function() {
+            expect(1);
+            var blob = new Blob([new Uint8Array(1024)]);
+            blob.name = "notazim.zim";
+            checkOpenError([blob], zimfile.ZIMError.BAD_MAGIC, "Error is BAD_MAGIC");
+        });
+        asyncTest("A split ZIM file with a missing part is rejected", function() {
+            expect(1);
+            var files = zimArchiveFiles.slice(0, 3).concat(zimArchiveFiles.slice(4));
+            checkOpenError(files, zimfile.ZIMError.MISSING_PARTS, "Error is MISSING_PARTS");
+        });
+        asyncTest("A split ZIM file without its last parts is rejected", function() {
+            expect(1);
+            checkOpenError(zimArchiveFiles.slice(0, 3), zimfile.ZIMError.MISSING_PARTS, "Error is MISSING_PARTS");
+        });
+        asyncTest("A truncated ZIM file is rejected", function() {
+            expect(1);
+            var blob = zimArchiveFiles[0].slice(0, 10000);
+            blob.name = "truncated.zim";
+            checkOpenError([blob], zimfile.ZIMError.TRUNCATED, "Error is TRUNCATED");
+        });
+        asyncTest("A ZIM file read on demand from a server is opened, and its chunks are cached", function() {
+            expect(6);
+            var requestCount = 0;
+            // The Range requests are answered with the parts of the split ZIM file
+            var remoteFiles = zimArchiveFiles.map(function(blob) {
+                var file = new remoteFile.RemoteFile('tests/' + blob.name, blob.size);
+                file._requestRange = function(begin, end) {
+                    requestCount++;
+                    return util.readFileSlice(blob, begin, end - begin);
+                };
+                return file;
+            });
+            new zimArchive.ZIMArchive(remoteFiles, null, function(archive) {
+                ok(archive.isReady(), "The remote archive is ready");
+                util.readFileSlice(zimArchiveFiles[1], 100, 1000).then(function(expectedSlice) {
+                    return remoteFiles[1].readSlice(100, 1000).then(function(slice) {
+                        deepEqual(slice, expectedSlice, "The slice read from the server is the one of the file");
+                        return expectedSlice;
+                    });
+                }).then(function(expectedSlice) {
+                    var previousRequestCount = requestCount;
+                    return remoteFiles[1].readSlice(500, 100).then(function(slice) {
+                        deepEqual(slice, expectedSlice.slice(400, 500), "A slice can be read from the cached chunks");
+                        equal(requestCount, previousRequestCount, "No request is made for the cached chunks");
+                    });
+                }).then(function() {
+                    ok(!archive.hasInfixTitleSearch(), "The titles of the remote archive can not be searched anywhere");
+                    // The server can not be reached anymore (and nothing is read from the caches)
+                    archive._file.setBlockCacheSize(0);
+                    remoteFiles.forEach(function(file) {
+                        file._chunkCache = new lruCache.LRUCache(0);
+                        file._requestRange = function() {
+                            return Q.reject(new Error("The server can not be reached"));
+                        };
+                    });
+                    archive.findTitlesWithPrefix("Ray", 5, function(titles) {
+                        equal(titles.length, 0, "The title search ends without titles when the archive can not be read");
+                        start();
+                    });
+                }).fail(errorHandlerAsyncTest);
+            }, errorHandlerAsyncTest);
+        });
+        asyncTest("The parts of a split ZIM file on a server are opened until the first missing one", function() {
+            expect(3);
+            // The server answers with the HTTP status given for each part
+            var statuses;
+            var RealXMLHttpRequest = window.XMLHttpRequest;
+            var FakeXMLHttpRequest = function() {};
+            FakeXMLHttpRequest.HEADERS_RECEIVED = 2;
+            FakeXMLHttpRequest.prototype.open = function(method, url) {
+                this.status = statuses[url.slice(-2)] || 404;
+            };
+            FakeXMLHttpRequest.prototype.setRequestHeader = function() {};
+            FakeXMLHttpRequest.prototype.getResponseHeader = function() {
+                return "bytes 0-0/1000";
+            };
+            FakeXMLHttpRequest.prototype.abort = function() {};
+            FakeXMLHttpRequest.prototype.send = function() {
+                var request = this;
+                request.readyState = FakeXMLHttpRequest.HEADERS_RECEIVED;
+                setTimeout(function() {
+                    request.onreadystatechange();
+                }, 0);
+            };
+            window.XMLHttpRequest = FakeXMLHttpRequest;
+            statuses = {aa: 206, ab: 206};
+            remoteFile.openArchiveFiles("http://example.org/wikipedia.zimaa").then(function(files) {
+                deepEqual(files.map(function(file) {
+                    return file.name;
+                }), ["wikipedia.zimaa", "wikipedia.zimab"], "The parts are opened until the one that is not found");
+                statuses = {aa: 206, ab: 503};
+                return remoteFile.openArchiveFiles("http://example.org/wikipedia.zimaa").then(function() {
+                    ok(false, "The archive should not be opened without one of its parts");
+                }, function(error) {
+                    equal(error.status, 503, "The archive is not opened if a part can not be read");
+                });
+            }).then(function() {
+                statuses = {aa: 206, ab: 206, ac: 404, ad: 206};
+                return remoteFile.openArchiveFiles("http://example.org/wikipedia.zimaa");
+            }).then(function(files) {
+                equal(files.length, 2, "The parts after the first missing one are not opened");
+            }).fin(function() {
+                window.XMLHttpRequest = RealXMLHttpRequest;
+            }).then(start, errorHandlerAsyncTest);
+        });
+                
+        asyncTest("Integrity of the ZIM archive is checked", function() {
+            expect(2);
+            var progressReported = false;
+            localZimArchive.checkIntegrity(function(progress) {
+                progressReported = true;
+            }, function(valid, error) {
+                ok(progressReported, "Progress has been reported");
+                equal(valid, true, "MD5 checksum is correct" + (error ? " (" + error + ")" : ""));
+                start();
+            });
+        });
                 
         module("zim_title_search_and_read");
         asyncTest("check DirEntry.fromStringId 'A Fool for You'", function() {
@@ -557,6 +1171,165 @@ define(['jquery', 'title', 'archive', 'zimArchive', 'zimDirEntry', 'util', 'geom
             };
             localZimArchive.findTitlesWithPrefix('blues brothers', 5, callbackFunction);
         });
+        asyncTest("check the titles similar to 'Gerogia on'", function() {
+            expect(2);
+            similarTitles.findSimilarTitles(localZimArchive, "Gerogia on", 5).then(function(titleList) {
+                equal(titleList.length, 1, "One title is found");
+                equal(titleList[0].title, "Georgia On My Mind", "The transposition is found");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
+        asyncTest("check findTitlesWithPrefix 'RAY CHÁRLES' with the normalized title index", function() {
+            expect(4);
+            localZimArchive.buildNormalizedTitleIndex().then(function(index) {
+                ok(index.length > 0, "The normalized title index is built");
+                localZimArchive._normalizedTitleIndex = index;
+                localZimArchive.findTitlesWithPrefix('RAY CHÁRLES', 5, function(titleList) {
+                    // The other tests use the case sensitive search
+                    localZimArchive._normalizedTitleIndex = null;
+                    equal(titleList.length, 5, "Article list with 5 results");
+                    equal(titleList[0].title, 'Ray Charles', 'First result should be "Ray Charles"');
+                    ok(titleList.every(function(title) {
+                        return title.title.toLowerCase().indexOf('ray charles') === 0;
+                    }), "All the results start with 'Ray Charles', whatever their case");
+                    start();
+                });
+            }).fail(errorHandlerAsyncTest);
+        });
+        asyncTest("check findTitlesWithInfix 'CHARLES'", function() {
+            expect(3);
+            // The normalized title index is built in a WebWorker (or read from IndexedDB)
+            localZimArchive.findTitlesWithInfix('CHARLES', 50, function(titleList) {
+                // The other tests use the case sensitive search
+                localZimArchive._normalizedTitleIndex = null;
+                localZimArchive._normalizedTitleIndexPromise = null;
+                ok(titleList.length > 5, "Several articles are found");
+                ok(titleList.some(function(title) {
+                    return title.title === 'Ray Charles';
+                }), "'Ray Charles' is found");
+                ok(titleList.every(function(title) {
+                    return title.title.toLowerCase().indexOf('charles') !== -1;
+                }), "All the results contain 'Charles', whatever their case");
+                start();
+            });
+        });
+        asyncTest("check findTitlesWithInfix searches by prefix when the title index can not be built", function() {
+            expect(4);
+            // An archive without stored title index, whose title index can not be built
+            var archive = Object.create(localZimArchive);
+            archive._file = Object.create(localZimArchive._file);
+            archive._file.uuid = "archive-without-title-index";
+            archive._normalizedTitleIndex = null;
+            archive._normalizedTitleIndexPromise = null;
+            var buildCount = 0;
+            archive._buildNormalizedTitleIndexInWorker = function() {
+                buildCount++;
+                return Q.reject(new Error("The title index can not be built"));
+            };
+            archive.findTitlesWithInfix('Ray', 5, function(titleList) {
+                equal(titleList.length, 5, "The titles are found");
+                ok(titleList.every(function(title) {
+                    return title.title.indexOf('Ray') === 0;
+                }), "The titles start with the search");
+                equal(archive._normalizedTitleIndexPromise, null, "The failure of the title index is not kept");
+                archive.prepareNormalizedTitleIndex().fail(function() {
+                    equal(buildCount, 2, "The title index is built again when it is requested again");
+                    start();
+                });
+            });
+        });
+        asyncTest("check the pages of findTitlesWithPrefix 'Ray'", function() {
+            expect(4);
+            localZimArchive.findTitlesWithPrefix('Ray', 1000, function(allTitles) {
+                localZimArchive.findTitlesWithPrefix('Ray', 5, function(firstPage, maxSize, nextCursor) {
+                    equal(firstPage.length, 5, "The first page has 5 titles");
+                    ok(nextCursor !== null, "There are more titles");
+                    localZimArchive.findTitlesWithPrefix('Ray', 1000, function(nextPages, maxSize, lastCursor) {
+                        deepEqual(firstPage.concat(nextPages).map(function(title) {
+                            return title.title;
+                        }), allTitles.map(function(title) {
+                            return title.title;
+                        }), "The pages give the same titles as a single search");
+                        equal(lastCursor, null, "There are no more titles");
+                        start();
+                    }, nextCursor);
+                });
+            });
+        });
+        asyncTest("check that a cancelled search does not give its results", function() {
+            expect(2);
+            var cancelledToken = new util.CancellationToken();
+            localZimArchive.findTitlesWithPrefix('Ray', 5, function(titleList) {
+                ok(false, "The cancelled search should not give results");
+            }, null, cancelledToken);
+            cancelledToken.cancel();
+            localZimArchive.findTitlesWithPrefix('Ray', 5, function(titleList) {
+                equal(titleList.length, 5, "The following search gives its results");
+                ok(cancelledToken.cancelled, "The first search has been cancelled");
+                start();
+            }, null, new util.CancellationToken());
+        });
+        test("check the text and the snippets of the search in the content of the articles", function() {
+            var text = fullTextSearch.htmlToText("<head><title>Title</title></head><p>Ray&nbsp;Charles<script>var a;</script> &amp; <b>his</b>\n band</p>");
+            equal(text, "Ray Charles & his band", "The tags, scripts and entities are removed from the text");
+            equal(fullTextSearch.findSnippet(text, fullTextSearch.createMatcher("charles & HIS", false)), text, "The text is found whatever its case");
+            equal(fullTextSearch.findSnippet(text, fullTextSearch.createMatcher("b.nd", false)), null, "The special characters of the text are not used as a regular expression");
+            equal(fullTextSearch.findSnippet(text, fullTextSearch.createMatcher("b.nd", true)), text, "The regular expression is found");
+            throws(function() {
+                fullTextSearch.createMatcher("(", true);
+            }, SyntaxError, "An invalid regular expression is rejected");
+        });
+        asyncTest("check searchArticleContents 'hallelujah'", function() {
+            expect(4);
+            var results = [];
+            var lastProgress = 0;
+            localZimArchive.searchArticleContents("hallelujah", false, 3, function(result) {
+                results.push(result);
+            }, function(progress) {
+                lastProgress = progress;
+            }, function(error) {
+                equal(error, null, "The search is over without error");
+                equal(results.length, 3, "The search stops after 3 articles");
+                ok(results.every(function(result) {
+                    return /hallelujah/i.test(result.snippet);
+                }), "The snippets contain the text found");
+                var title = localZimArchive.parseTitleId(results[0].titleId);
+                equal(title.name(), results[0].title, "The results can be opened with their title id");
+                start();
+            });
+        });
+        asyncTest("check the progress of the search in the content of the articles is reported during the search", function() {
+            expect(3);
+            var progresses = [];
+            fullTextSearch.searchZIMArchive(localZimArchive, fullTextSearch.createMatcher("text that is in no article", false), 1, function(result) {
+                ok(false, "No article should be found");
+            }, function(progress) {
+                progresses.push(progress);
+            }).then(function() {
+                ok(progresses.length > 1 && progresses[0] < 1, "The progress is reported before the end of the search");
+                ok(progresses.every(function(progress, i) {
+                    return i === 0 || progress > progresses[i - 1];
+                }), "The progress increases");
+                equal(progresses[progresses.length - 1], 1, "The whole archive is searched");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
+        asyncTest("check searchFullText 'georgia mind' in the full-text index", function() {
+            expect(4);
+            // The index is built in a WebWorker (or is already complete in IndexedDB)
+            localZimArchive.buildFullTextIndex(function(progress) {
+            }, function(error) {
+                equal(error, null, "The index is built without error");
+                localZimArchive.getFullTextIndexState().then(function(state) {
+                    ok(state.complete, "All the articles are indexed");
+                    return localZimArchive.searchFullText("GEORGIA mind", 5);
+                }).then(function(titleList) {
+                    equal(titleList.length, 5, "5 articles are found");
+                    equal(titleList[0].title, "Georgia on My Mind", "The article about the song comes first");
+                    start();
+                }).fail(errorHandlerAsyncTest);
+            });
+        });
         asyncTest("article '(The Night Time Is) The Right Time' correctly redirects to 'Night Time Is the Right Time'", function() {
             expect(6);
             localZimArchive.getTitleByName("A/(The_Night_Time_Is)_The_Right_Time.html").then(function(title) {
@@ -684,6 +1457,246 @@ define(['jquery', 'title', 'archive', 'zimArchive', 'zimDirEntry', 'util', 'geom
                 }
             }).fail(errorHandlerAsyncTest);
         });
+        asyncTest("MIME types are read from the MIME type list", function() {
+            expect(4);
+            var mimetypes = {};
+            var readMimetype = function(titleName) {
+                return localZimArchive.getTitleByName(titleName).then(function(title) {
+                    mimetypes[titleName] = title.getMimetype();
+                });
+            };
+            readMimetype("A/Ray_Charles.html").then(function() {
+                return readMimetype("I/m/RayCharles_AManAndHisSoul.jpg");
+            }).then(function() {
+                return readMimetype("-/s/style.css");
+            }).then(function() {
+                return readMimetype("-/j/local.js");
+            }).then(function() {
+                equal(mimetypes["A/Ray_Charles.html"], "text/html", "Article is text/html");
+                equal(mimetypes["I/m/RayCharles_AManAndHisSoul.jpg"], "image/jpeg", "Image is image/jpeg");
+                equal(mimetypes["-/s/style.css"], "text/css", "Stylesheet is text/css");
+                equal(mimetypes["-/j/local.js"], "application/javascript", "Javascript is application/javascript");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
+        asyncTest("The MIME type list is read by small chunks when the pointer lists are at the end of the file", function() {
+            expect(2);
+            // Like in the files written by the recent versions of libzim, the pointer lists are after the clusters
+            var size = 64 * 1024 * 1024;
+            var data = new Uint8Array(64 * 1024);
+            var header = new DataView(data.buffer);
+            header.setUint32(0, 0x044D495A, true);
+            header.setUint16(4, 6, true);
+            header.setUint32(32, size - 1000, true);
+            header.setUint32(40, size - 800, true);
+            header.setUint32(48, size - 600, true);
+            header.setUint32(56, 80, true);
+            header.setUint32(72, size - 16, true);
+            data.set(utf8.toByteArray("text/html\0image/png\0\0"), 80);
+            var blob = new Blob([data]);
+            var readSize = 0;
+            // Only the beginning of the file is really there
+            var file = {
+                name: "pointer_lists_at_the_end.zim",
+                size: size,
+                readSlice: function(begin, length) {
+                    readSize += length;
+                    return util.readFileSlice(blob, begin, length);
+                }
+            };
+            zimfile.fromFileArray([file]).then(function(zf) {
+                deepEqual(zf.mimeTypes, ["text/html", "image/png"], "The MIME types are read");
+                ok(readSize < 64 * 1024, "Only the beginning of the file is read (" + readSize + " bytes)");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
+        asyncTest("Metadata are read from the M namespace", function() {
+            expect(6);
+            localZimArchive.getMetadata().then(function(metadata) {
+                equal(metadata.Title, "Wikipedia", "Title is correct");
+                equal(metadata.Language, "eng", "Language is correct");
+                equal(metadata.Date, "2015-06-02", "Date is correct");
+                equal(metadata.Tags, null, "Missing metadata is null");
+                ok(metadata.Illustration && metadata.Illustration.length > 0, "Illustration (favicon) is read");
+                equal(localZimArchive._language, "eng", "Language of the archive is set");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
+        test("Names are looked for in the C namespace with the new namespace layout", function() {
+            var archive = Object.create(zimArchive.ZIMArchive.prototype);
+            archive._file = {newNamespaceScheme: true};
+            deepEqual(archive._urlsForTitleName("Ray_Charles"), ["C/Ray_Charles"], "Article without namespace");
+            deepEqual(archive._urlsForTitleName("A/Ray_Charles"), ["C/Ray_Charles", "C/A/Ray_Charles"], "Article in the old A namespace");
+            deepEqual(archive._urlsForTitleName("I/m/image.jpg"), ["C/m/image.jpg", "C/I/m/image.jpg"], "Image in the old I namespace");
+            deepEqual(archive._urlsForTitleName("M/Title"), ["M/Title"], "Metadata");
+            archive._file = {newNamespaceScheme: false};
+            deepEqual(archive._urlsForTitleName("Ray_Charles"), ["A/Ray_Charles"], "Article with the old namespace layout");
+            var dirEntry = new zimDirEntry.DirEntry({newNamespaceScheme: true, mimeTypes: ["text/html", "image/png"]},
+                {namespace: "C", mimetype: 0, url: "Ray_Charles", title: "Ray Charles"});
+            ok(dirEntry.isArticle(), "HTML entry of the C namespace is an article");
+            dirEntry.mimetype = 1;
+            ok(!dirEntry.isArticle(), "Image of the C namespace is not an article");
+        });
+        asyncTest("The ServiceWorker routes the URLs of an article of the new namespace layout to the entries of the archive", function() {
+            expect(12);
+            // The ServiceWorker is run with a fake global scope
+            var serviceWorkerScope = {
+                location: {href: "https://example.org/kiwix/service-worker.js"},
+                addEventListener: function() {}
+            };
+            // With the ServiceWorker, the article is displayed in the www directory, with its own URL as base URL
+            var articleUrl = "https://example.org/kiwix/www/C/Ray_Charles.html";
+            var getTitleNameFromUrl;
+            var newNamespacesArchive;
+            Promise.all([makeBlobRequest('service-worker.js', 'service-worker.js'),
+                makeBlobRequest('tests/wikipedia_en_ray_charles_2015-06_new_namespaces.zim', 'wikipedia_en_ray_charles_2015-06_new_namespaces.zim')
+            ]).then(function(blobs) {
+                return util.readFileSlice(blobs[0], 0, blobs[0].size).then(function(data) {
+                    getTitleNameFromUrl = new Function("self", utf8.parse(data) + "\nreturn getTitleNameFromUrl;")(serviceWorkerScope);
+                    return Q.Promise(function(resolve) {
+                        newNamespacesArchive = new zimArchive.ZIMArchive([blobs[1]], null, resolve);
+                    });
+                });
+            }).then(function() {
+                ok(newNamespacesArchive.hasNewNamespaceScheme(), "The archive has the new namespace layout");
+                equal(getTitleNameFromUrl("https://example.org/kiwix/www/A/dummyArticle.html"), null, "The dummy article is not routed");
+                equal(getTitleNameFromUrl("https://example.org/kiwix/www/js/app.js"), null, "The files of the application are not routed");
+                equal(getTitleNameFromUrl("https://example.org/kiwix/service-worker.js"), null, "The files outside of the www directory are not routed");
+                // Relative URLs of the article : in subdirectories of the C namespace, or with the old namespaces
+                var links = [
+                    {url: "I/m/Ray_Charles_(cropped).jpg", entryUrl: "C/I/m/Ray_Charles_(cropped).jpg"},
+                    {url: "-/s/style.css?version=1", entryUrl: "C/-/s/style.css"},
+                    {url: "Genius_%26_Friends.html", entryUrl: "C/Genius_&_Friends.html"},
+                    {url: "../I/m/Ray_Charles_(cropped).jpg", entryUrl: "C/I/m/Ray_Charles_(cropped).jpg"}
+                ];
+                return links.reduce(function(previousLink, link) {
+                    return previousLink.then(function() {
+                        var titleName = getTitleNameFromUrl(new URL(link.url, articleUrl).href);
+                        return newNamespacesArchive.getTitleByName(titleName).then(function(title) {
+                            ok(titleName !== null, "The URL " + link.url + " is routed");
+                            equal(title && title.url, link.entryUrl, "The URL " + link.url + " gives the entry " + link.entryUrl);
+                        });
+                    });
+                }, Q());
+            }).then(start, errorHandlerAsyncTest);
+        });
+        asyncTest("Archive information is given for the ZIM archive", function() {
+            expect(5);
+            localZimArchive.getArchiveInfo().then(function(info) {
+                equal(info.format, "ZIM 5.0", "Format is correct");
+                equal(info.articleCount, 458, "Number of entries is correct");
+                equal(info.partCount, 15, "Number of split parts is correct");
+                deepEqual(info.mimeTypeCounts[0], {mimeType: "image/jpeg", count: 94}, "Most common MIME type is first");
+                equal(info.title, "Wikipedia", "Title is correct");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
+        asyncTest("Decompressed clusters are cached", function() {
+            expect(2);
+            var readArticle = function(title) {
+                return new Promise(function(resolve) {
+                    localZimArchive.readBinaryFile(title, function(title, data) {
+                        resolve(data);
+                    });
+                });
+            };
+            localZimArchive.getTitleByName("A/Ray_Charles.html").then(function(title) {
+                return readArticle(title).then(function() {
+                    var statsBefore = localZimArchive._file.getClusterCacheStats();
+                    return readArticle(title).then(function() {
+                        var statsAfter = localZimArchive._file.getClusterCacheStats();
+                        equal(statsAfter.hits, statsBefore.hits + 1, "Second read is a cache hit");
+                        equal(statsAfter.misses, statsBefore.misses, "Second read does not decompress the cluster again");
+                        start();
+                    });
+                });
+            }).fail(errorHandlerAsyncTest);
+        });
+        asyncTest("Small reads are served from the block cache", function() {
+            expect(3);
+            var zimFile = localZimArchive._file;
+            var firstRead;
+            var statsBefore;
+            zimFile._readSlice(zimFile.urlPtrPos, 16).then(function(data) {
+                firstRead = data;
+                statsBefore = zimFile.getBlockCacheStats();
+                return zimFile._readSlice(zimFile.urlPtrPos + 8, 8);
+            }).then(function(data) {
+                var statsAfter = zimFile.getBlockCacheStats();
+                deepEqual(Array.prototype.slice.call(data), Array.prototype.slice.call(firstRead.subarray(8, 16)), "Cached data is correct");
+                equal(statsAfter.hits, statsBefore.hits + 1, "Second read is a cache hit");
+                equal(statsAfter.misses, statsBefore.misses, "Second read does not read the file again");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
+        asyncTest("A cluster is decompressed once, and kept for the next blobs even if it is bigger than the cache", function() {
+            expect(4);
+            var decompressionCount = 0;
+            var partialReadCount = 0;
+            var readAll = xz.Decompressor.prototype.readAll;
+            var readSlice = xz.Decompressor.prototype.readSlice;
+            xz.Decompressor.prototype.readAll = function() {
+                decompressionCount++;
+                return readAll.apply(this, arguments);
+            };
+            xz.Decompressor.prototype.readSlice = function() {
+                partialReadCount++;
+                return readSlice.apply(this, arguments);
+            };
+            var restore = function() {
+                xz.Decompressor.prototype.readAll = readAll;
+                xz.Decompressor.prototype.readSlice = readSlice;
+            };
+            zimfile.fromFileArray(zimArchiveFiles).then(function(zf) {
+                // No cluster fits in the cache
+                zf.setClusterCacheSize(1);
+                return localZimArchive.getTitleByName("A/Ray_Charles.html").then(function(title) {
+                    return zf.blob(title.cluster, title.blob).then(function(data) {
+                        equal(decompressionCount, 1, "The cluster is decompressed once");
+                        equal(partialReadCount, 0, "The cluster is not partially decompressed to find its size");
+                        return zf.blob(title.cluster, title.blob).then(function(secondData) {
+                            equal(decompressionCount, 1, "The cluster is not decompressed again for the next read");
+                            deepEqual(secondData, data, "The same blob is read");
+                        });
+                    });
+                });
+            }).fin(restore).then(start, errorHandlerAsyncTest);
+        });
+        asyncTest("Adjacent blocks requested together are read at once", function() {
+            expect(2);
+            zimfile.fromFileArray(zimArchiveFiles).then(function(zf) {
+                var fileReadCount = 0;
+                var readFileSlice = zf._readFileSlice;
+                zf._readFileSlice = function() {
+                    fileReadCount++;
+                    return readFileSlice.apply(this, arguments);
+                };
+                // Two reads in the same tick, in two adjacent blocks that are not in the cache
+                return Q.all([zf._readSlice(zf.titlePtrPos, 16), zf._readSlice(zf.titlePtrPos + 16 * 1024, 16)]).then(function(slices) {
+                    equal(fileReadCount, 1, "The two blocks are read with a single read of the file");
+                    return util.readFileSlice(zimArchiveFiles[0], zf.titlePtrPos + 16 * 1024, 16).then(function(expectedData) {
+                        deepEqual(slices[1], expectedData, "The second block is read at the right position");
+                        start();
+                    });
+                });
+            }).fail(errorHandlerAsyncTest);
+        });
+        asyncTest("A slice over the boundary between two parts of a split ZIM file is read", function() {
+            expect(2);
+            var firstPartSize = zimArchiveFiles[0].size;
+            var expectedSlice;
+            zimfile.fromFileArray(zimArchiveFiles).then(function(zf) {
+                return Q.all([util.readFileSlice(zimArchiveFiles[0], firstPartSize - 10, 10), util.readFileSlice(zimArchiveFiles[1], 0, 10)]).then(function(parts) {
+                    expectedSlice = Array.prototype.slice.call(parts[0]).concat(Array.prototype.slice.call(parts[1]));
+                    // With and without the block cache
+                    return Q.all([zf._readSlice(firstPartSize - 10, 20), zf._readSlice(firstPartSize - 10, 100 * 1024)]);
+                });
+            }).then(function(slices) {
+                deepEqual(Array.prototype.slice.call(slices[0]), expectedSlice, "The small slice is read from both parts");
+                deepEqual(Array.prototype.slice.call(slices[1].subarray(0, 20)), expectedSlice, "The big slice is read from both parts");
+                start();
+            }).fail(errorHandlerAsyncTest);
+        });
         asyncTest("Split article 'A/Ray_Charles.html' can be loaded", function() {
             expect(6);
             localZimArchive.getTitleByName("A/Ray_Charles.html").then(function(title) {
@@ -26,8 +26,8 @@
 // This uses require.js to structure javascript:
 // http://requirejs.org/docs/api.html#define
 
-define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osabstraction'],
- function($, backend, util, uiUtil, cookies, geometry, osabstraction) {
+define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osabstraction','zimfile','similarTitles','library','remoteFile','catalog','downloadManager'],
+ function($, backend, util, uiUtil, cookies, geometry, osabstraction, zimfile, similarTitles, library, remoteFile, catalog, downloadManager) {
      
     // Disable any eval() call in jQuery : it's disabled by CSP in any packaged application
     // It happens on some wiktionary archives, because there is some javascript inside the html article
@@ -43,6 +43,36 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
      * @type Integer
      */
     var MAX_SEARCH_RESULT_SIZE = 50;
+    
+    /**
+     * Maximum number of titles suggested under the search field while typing
+     * @type Integer
+     */
+    var MAX_SUGGESTION_SIZE = 10;
+    
+    /**
+     * Maximum number of similar titles suggested when a title search finds nothing
+     * @type Integer
+     */
+    var MAX_SIMILAR_TITLE_SIZE = 5;
+    
+    /**
+     * Maximum number of articles to display in a search in the content of the articles
+     * @type Integer
+     */
+    var MAX_FULL_TEXT_SEARCH_RESULT_SIZE = 100;
+    
+    /**
+     * Maximum number of books of the catalog to display
+     * @type Integer
+     */
+    var MAX_CATALOG_BOOK_SIZE = 100;
+    
+    // Codes of the keys used to choose a suggestion
+    var KEY_ENTER = 13;
+    var KEY_ESCAPE = 27;
+    var KEY_UP = 38;
+    var KEY_DOWN = 40;
 
     /**
      * Maximum distance (in degrees) where to search for articles around me
@@ -58,6 +88,64 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
      */
     var selectedArchive = null;
     
+    /**
+     * Archives that have been opened (including the selected one), so that they can be searched together :
+     * objects with the archive, the key that identifies where it comes from (its directory or its file name),
+     * the name under which it is displayed, and its id in the library (once it is known)
+     * @type Array.<Object>
+     */
+    var openedArchives = [];
+    
+    /**
+     * Search options that are saved in the library for each archive
+     * @type Array.<String>
+     */
+    var ARCHIVE_SETTINGS_CHECKBOXES = ['#matchAnywhere', '#fullTextSearch', '#regularExpression'];
+    
+    /**
+     * Books of the catalog that has been loaded
+     * @type Array.<Book>
+     */
+    var catalogBooks = [];
+    
+    /**
+     * Downloads of ZIM files that are not completed (they are kept in the library, to be resumed at the next launches)
+     * @type Array.<Download>
+     */
+    var downloads = [];
+    
+    /**
+     * Texts describing the states of the downloads
+     * @type Object
+     */
+    var DOWNLOAD_STATE_LABELS = {};
+    DOWNLOAD_STATE_LABELS[downloadManager.PAUSED] = "Paused";
+    DOWNLOAD_STATE_LABELS[downloadManager.DOWNLOADING] = "Downloading";
+    DOWNLOAD_STATE_LABELS[downloadManager.VERIFYING] = "Verifying the checksum";
+    DOWNLOAD_STATE_LABELS[downloadManager.COMPLETED] = "Completed";
+    DOWNLOAD_STATE_LABELS[downloadManager.FAILED] = "Failed";
+    
+    /**
+     * Title search whose results are displayed, so that its next pages can be loaded :
+     * prefix, matchAnywhere, nextCursor (null if all the results are displayed),
+     * titleCount (number of titles displayed), loading (true while a page is being searched)
+     * and cancellationToken (to stop it when another search is started)
+     * @type Object
+     */
+    var currentTitleSearch = null;
+    
+    /**
+     * Token of the search of the suggestions displayed under the search field
+     * @type CancellationToken
+     */
+    var suggestionCancellationToken = null;
+    
+    /**
+     * Search in the content of the articles currently running (with a cancel() function), or null
+     * @type Object
+     */
+    var currentFullTextSearch = null;
+    
     /**
      * This max distance has a default value, but the user can make it change
      * @type Number
@@ -85,8 +173,14 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
     
     // Define behavior of HTML elements
     $('#searchTitles').on('click', function(e) {
+        hideSearchSuggestions();
         pushBrowserHistoryState(null, $('#prefix').val());
-        searchTitlesFromPrefix($('#prefix').val());
+        if ($('#fullTextSearch').is(':checked')) {
+            searchArticleContents($('#prefix').val());
+        }
+        else {
+            searchTitlesFromPrefix($('#prefix').val());
+        }
         $("#welcomeText").hide();
         $("#readingArticle").hide();
         $("#articleContent").hide();
@@ -99,12 +193,56 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
         document.getElementById("searchTitles").click();
         return false;
     });
+    $(ARCHIVE_SETTINGS_CHECKBOXES.join(', ')).on('change', saveArchiveSettings);
+    $('#matchAnywhere, #fullTextSearch, #regularExpression, #searchAllArchives').on('change', function(e) {
+        if ($('#prefix').val() && selectedArchive !== null && selectedArchive.isReady()) {
+            $('#searchTitles').click();
+        }
+    });
+    $('#btnCancelFullTextSearch').on('click', function(e) {
+        cancelTitleSearch();
+        $('#titleListHeaderMessage').html($('#titleList').children().length + " articles found (search cancelled).");
+        return false;
+    });
+    $('#openedArchivesList').on('click', '.btnSelectOpenedArchive', function(e) {
+        selectArchive(openedArchives[$(this).closest('[archiveindex]').attr('archiveindex')].archive);
+        refreshOpenedArchives();
+        refreshArchiveInfo();
+        refreshArchiveIntegrityCheck();
+        refreshFullTextIndex();
+        return false;
+    });
+    $('#openedArchivesList').on('click', '.btnCloseOpenedArchive', function(e) {
+        closeOpenedArchive(parseInt($(this).closest('[archiveindex]').attr('archiveindex'), 10));
+        return false;
+    });
+    $('#titleList').on('click', '#loadMoreTitles', function(e) {
+        loadMoreTitles();
+        return false;
+    });
+    $('#search-article').on('scroll', function(e) {
+        // The next page of titles is loaded when the end of the list is reached
+        if ($('#loadMoreTitles').is(':visible')
+                && this.scrollTop + this.clientHeight >= this.scrollHeight - 50) {
+            loadMoreTitles();
+        }
+    });
     $('#prefix').on('keyup', function(e) {
         if (selectedArchive !== null && selectedArchive.isReady()) {
             onKeyUpPrefix(e);
             $('#geolocationProgress').hide();
         }
     });
+    $('#prefix').on('keydown', onKeyDownPrefix);
+    $('#prefix').on('blur', hideSearchSuggestions);
+    // mousedown is used instead of click, because it happens before the search field loses the focus
+    $('#searchSuggestions').on('mousedown', 'a', function(e) {
+        openSearchSuggestion($(this));
+        return false;
+    });
+    $('#searchSuggestions').on('click', 'a', function(e) {
+        return false;
+    });
     $("#btnArticlesNearby").on("click", function(e) {
         if (selectedArchive.hasCoordinates()) {
             $('#prefix').val("");
@@ -156,6 +294,45 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
     $('#btnRescanDeviceStorage').on("click", function(e) {
         searchForArchivesInStorage();
     });
+    $('#catalogFile').on('change', function(e) {
+        if (this.files && this.files.length > 0) {
+            loadCatalog(catalog.loadCatalogFromFile(this.files[0]));
+        }
+    });
+    $('#btnLoadCatalog').on('click', function(e) {
+        var url = $('#catalogUrl').val().trim();
+        if (url) {
+            loadCatalog(catalog.loadCatalogFromUrl(url));
+        }
+        return false;
+    });
+    $('#btnDownload').on('click', function(e) {
+        var url = $('#downloadUrl').val().trim();
+        if (url) {
+            startDownload(url);
+            $('#downloadUrl').val('');
+        }
+        return false;
+    });
+    $('#catalogFilter').on('input', populateCatalogList);
+    $('#catalogLanguage, #catalogTag').on('change', populateCatalogList);
+    $('#btnCheckIntegrity').on("click", function(e) {
+        checkArchiveIntegrity();
+        return false;
+    });
+    $('#btnCancelIntegrityCheck').on("click", function(e) {
+        cancelArchiveIntegrityCheck();
+        $('#integrityCheckResult').text("Integrity check cancelled");
+        return false;
+    });
+    $('#btnBuildFullTextIndex').on("click", function(e) {
+        buildFullTextIndex();
+        return false;
+    });
+    $('#btnPauseFullTextIndex').on("click", function(e) {
+        pauseFullTextIndex();
+        return false;
+    });
     // Bottom bar :
     $('#btnBack').on('click', function(e) {
         history.back();
@@ -232,6 +409,11 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
         $('#articleContent').hide();
         $('#searchingForTitles').hide();
         refreshAPIStatus();
+        refreshLibrary();
+        refreshOpenedArchives();
+        refreshArchiveInfo();
+        refreshArchiveIntegrityCheck();
+        refreshFullTextIndex();
         return false;
     });
     $('#btnAbout').on('click', function(e) {
@@ -388,135 +570,684 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
     }
     
     /**
-     * If the ServiceWorker mode is selected, warn the user before activating it
-     * @param chosenContentInjectionMode The mode that the user has chosen
+     * Labels of the ArchiveInfo properties, in the order they are displayed
      */
-    function checkWarnServiceWorkerMode(chosenContentInjectionMode) {
-        if (chosenContentInjectionMode === 'serviceworker' && !cookies.hasItem("warnedServiceWorkerMode")) {
-            // The user selected the "serviceworker" mode, which is still unstable
-            // So let's display a warning to the user
-
-            // If the focus is on the search field, we have to move it,
-            // else the keyboard hides the message
-            if ($("#prefix").is(":focus")) {
-                $("searchTitles").focus();
+    var ARCHIVE_INFO_LABELS = [
+        ['format', "Format"],
+        ['title', "Title"],
+        ['description', "Description"],
+        ['language', "Language"],
+        ['date', "Date"],
+        ['creator', "Creator"],
+        ['publisher', "Publisher"],
+        ['articleCount', "Number of entries"],
+        ['clusterCount', "Number of clusters"],
+        ['fileSize', "Size"],
+        ['partCount', "Number of files"],
+        ['normalizedTitles', "Normalized titles"],
+        ['hasCoordinates', "Coordinates of the articles"],
+        ['hasMathFiles', "Math formulas"]
+    ];
+    
+    /**
+     * Formats a size in bytes in a readable way
+     * @param {Integer} size
+     * @returns {String}
+     */
+    function formatFileSize(size) {
+        var units = ["bytes", "KB", "MB", "GB", "TB"];
+        var unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return (unit === 0 ? size : size.toFixed(1)) + " " + units[unit];
+    }
+    
+    /**
+     * Displays the information about the selected archive in the configuration
+     */
+    function refreshArchiveInfo() {
+        if (!selectedArchive || !selectedArchive.isReady()) {
+            $('#archiveInfo').hide();
+            return;
+        }
+        var archive = selectedArchive;
+        archive.getArchiveInfo().then(function(info) {
+            if (archive !== selectedArchive) {
+                // Another archive has been selected in the meantime
+                return;
             }
-            if (confirm("The 'Service Worker' mode is still UNSTABLE for now."
-                + " It happens that the application needs to be reinstalled (or the ServiceWorker manually removed)."
-                + " Please confirm with OK that you're ready to face this kind of bugs, or click Cancel to stay in 'jQuery' mode.")) {
-                // We will not display this warning again for one day
-                cookies.setItem("warnedServiceWorkerMode", true, 86400);
-                return true;
+            var table = $('#archiveInfoTable');
+            table.empty();
+            var addRow = function(label, value) {
+                table.append($('<tr>').append($('<th>').text(label), $('<td>').text(value)));
+            };
+            for (var i = 0; i < ARCHIVE_INFO_LABELS.length; i++) {
+                var value = info[ARCHIVE_INFO_LABELS[i][0]];
+                if (value === undefined || value === null || value === "") {
+                    continue;
+                }
+                if (typeof value === "boolean") {
+                    value = value ? "Yes" : "No";
+                }
+                else if (ARCHIVE_INFO_LABELS[i][0] === 'fileSize') {
+                    value = formatFileSize(value);
+                }
+                addRow(ARCHIVE_INFO_LABELS[i][1], value);
+            }
+            if (info.mimeTypeCounts && info.mimeTypeCounts.length > 0) {
+                addRow("Content types", info.mimeTypeCounts.map(function(mimeTypeCount) {
+                    return mimeTypeCount.mimeType + " : " + mimeTypeCount.count;
+                }).join(", "));
+            }
+            var illustration = $('#archiveIllustration');
+            if (info.illustration) {
+                uiUtil.feedNodeWithBlob(illustration, 'src', info.illustration, 'image/png');
+                illustration.show();
             }
             else {
-                return false;
+                illustration.hide();
             }
-        }
-        return true;
+            $('#archiveInfo').show();
+        }).fail(function(error) {
+            console.error("Unable to read the information about the archive", error);
+            $('#archiveInfo').hide();
+        });
     }
     
-    // At launch, we try to set the last content injection mode (stored in a cookie)
-    var lastContentInjectionMode = cookies.getItem('lastContentInjectionMode');
-    if (lastContentInjectionMode) {
-        setContentInjectionMode(lastContentInjectionMode);
-    }
-    else {
-        setContentInjectionMode('jquery');
+    /**
+     * The integrity check currently running (with a cancel() function), or null
+     */
+    var currentIntegrityCheck = null;
+    
+    /**
+     * Shows the integrity check zone if the selected archive supports it
+     */
+    function refreshArchiveIntegrityCheck() {
+        if (selectedArchive && selectedArchive.isReady() && selectedArchive.checkIntegrity) {
+            $('#archiveIntegrity').show();
+        }
+        else {
+            $('#archiveIntegrity').hide();
+        }
     }
     
-    var serviceWorkerRegistration = null;
+    /**
+     * Checks the MD5 checksum of the selected archive, displaying the progress
+     */
+    function checkArchiveIntegrity() {
+        cancelArchiveIntegrityCheck();
+        var progressBar = $('#integrityCheckProgressBar');
+        progressBar.css('width', '0%').text('0%');
+        $('#integrityCheckResult').text("");
+        $('#btnCheckIntegrity').hide();
+        $('#integrityCheckInProgress').show();
+        currentIntegrityCheck = selectedArchive.checkIntegrity(function(progress) {
+            var percent = Math.floor(progress * 100) + '%';
+            progressBar.css('width', percent).text(percent);
+        }, function(valid, error) {
+            currentIntegrityCheck = null;
+            $('#integrityCheckInProgress').hide();
+            $('#btnCheckIntegrity').show();
+            if (error) {
+                $('#integrityCheckResult').text("The integrity check failed : " + error);
+            }
+            else if (valid) {
+                $('#integrityCheckResult').text("The archive is valid");
+            }
+            else {
+                $('#integrityCheckResult').text("The archive is corrupted : please copy or download it again");
+            }
+        });
+    }
     
     /**
-     * Tells if the ServiceWorker API is available
-     * https://developer.mozilla.org/en-US/docs/Web/API/ServiceWorker
-     * @returns {Boolean}
+     * Stops the integrity check, if one is running
      */
-    function isServiceWorkerAvailable() {
-        return ('serviceWorker' in navigator);
+    function cancelArchiveIntegrityCheck() {
+        if (currentIntegrityCheck) {
+            currentIntegrityCheck.cancel();
+            currentIntegrityCheck = null;
+        }
+        $('#integrityCheckInProgress').hide();
+        $('#btnCheckIntegrity').show();
     }
     
     /**
-     * Tells if the MessageChannel API is available
-     * https://developer.mozilla.org/en-US/docs/Web/API/MessageChannel
-     * @returns {Boolean}
+     * The building of the full-text index currently running (with a cancel() function), or null
      */
-    function isMessageChannelAvailable() {
-        try{
-            var dummyMessageChannel = new MessageChannel();
-            if (dummyMessageChannel) return true;
+    var currentFullTextIndexing = null;
+    
+    /**
+     * Shows the full-text index zone if the selected archive supports it, with the progress of the index
+     */
+    function refreshFullTextIndex() {
+        if (!selectedArchive || !selectedArchive.isReady() || !selectedArchive.getFullTextIndexState) {
+            $('#fullTextIndex').hide();
+            return;
         }
-        catch (e){
-            return false;
+        $('#fullTextIndex').show();
+        if (currentFullTextIndexing) {
+            return;
         }
-        return false;
+        selectedArchive.hasEmbeddedFullTextIndex().then(function(hasEmbeddedIndex) {
+            var button = $('#btnBuildFullTextIndex');
+            if (hasEmbeddedIndex) {
+                // There is no need to build an index
+                $('#fullTextIndexStatus').text("This archive contains a full-text index : the search in the content of the articles is fast");
+                button.hide();
+                return;
+            }
+            return selectedArchive.getFullTextIndexState().then(function(state) {
+                if (!state) {
+                    $('#fullTextIndexStatus').text("The articles are not indexed yet");
+                    button.text("Build the full-text index").show();
+                }
+                else if (!state.complete) {
+                    $('#fullTextIndexStatus').text(Math.floor(state.nextUrlIndex / state.entryCount * 100) + "% of the archive is indexed");
+                    button.text("Resume the indexing").show();
+                }
+                else {
+                    $('#fullTextIndexStatus').text("All the articles are indexed : the search in their content is fast");
+                    button.hide();
+                }
+            });
+        }).fail(function(e) {
+            $('#fullTextIndexStatus').text("The full-text index can not be used : " + e.message);
+            $('#btnBuildFullTextIndex').hide();
+        });
     }
     
     /**
-     * Tells if the ServiceWorker is registered, and ready to capture HTTP requests
-     * and inject content in articles.
-     * @returns {Boolean}
+     * Builds the full-text index of the selected archive (or resumes it), displaying the progress
      */
-    function isServiceWorkerReady() {
-        // Return true if the serviceWorkerRegistration is not null and not undefined
-        return (serviceWorkerRegistration);
+    function buildFullTextIndex() {
+        pauseFullTextIndex();
+        var progressBar = $('#fullTextIndexProgressBar');
+        progressBar.css('width', '0%').text('0%');
+        $('#fullTextIndexStatus').text("");
+        $('#btnBuildFullTextIndex').hide();
+        $('#fullTextIndexInProgress').show();
+        currentFullTextIndexing = selectedArchive.buildFullTextIndex(function(progress) {
+            var percent = Math.floor(progress * 100) + '%';
+            progressBar.css('width', percent).text(percent);
+        }, function(error) {
+            currentFullTextIndexing = null;
+            $('#fullTextIndexInProgress').hide();
+            if (error) {
+                alert("The indexing of the articles failed : " + error);
+            }
+            refreshFullTextIndex();
+        });
     }
     
     /**
-     * 
-     * @type Array.<StorageFirefoxOS|StoragePhoneGap>
+     * Stops the building of the full-text index, if it is running : it can be resumed later
      */
-    var storages = [];
-    function searchForArchivesInPreferencesOrStorage() {
-        // First see if the list of archives is stored in the cookie
-        var listOfArchivesFromCookie = cookies.getItem("listOfArchives");
-        if (listOfArchivesFromCookie !== null && listOfArchivesFromCookie !== undefined && listOfArchivesFromCookie !== "") {
-            var directories = listOfArchivesFromCookie.split('|');
-            populateDropDownListOfArchives(directories);
+    function pauseFullTextIndex() {
+        if (currentFullTextIndexing) {
+            currentFullTextIndexing.cancel();
+            currentFullTextIndexing = null;
+            $('#fullTextIndexInProgress').hide();
+            refreshFullTextIndex();
         }
-        else {
-            searchForArchivesInStorage();
+    }
+    
+    /**
+     * Adds an archive that has just been opened to the list of the opened archives
+     * (in place of the one that has been opened from the same place before, if any), and to the library
+     * @param {ZIMArchive|LocalArchive} archive
+     * @param {String} key Directory or file name of the archive
+     * @param {Object} source Where the archive has been opened from, for the library : storagePath, or fileNames and fileHandles
+     */
+    function addOpenedArchive(archive, key, source) {
+        var openedArchive = null;
+        for (var i = 0; i < openedArchives.length; i++) {
+            if (openedArchives[i].key === key) {
+                openedArchive = openedArchives[i];
+            }
+        }
+        if (openedArchive === null) {
+            openedArchive = {key: key, name: key};
+            openedArchives.push(openedArchive);
         }
+        openedArchive.archive = archive;
+        refreshOpenedArchives();
+        archive.getArchiveInfo().then(function(info) {
+            openedArchive.id = info.id;
+            // The title of the archive is more readable than its file name, when it has one
+            if (info.title) {
+                openedArchive.name = info.title;
+                refreshOpenedArchives();
+            }
+            return library.addArchive(info, source);
+        }).then(function(entry) {
+            // The user may have renamed the archive in the library
+            openedArchive.name = entry.name;
+            refreshOpenedArchives();
+            refreshLibrary();
+            if (archive === selectedArchive) {
+                restoreArchiveSettings(entry.settings);
+            }
+        }).fail(function(error) {
+            console.error("Unable to add the archive to the library", error);
+        });
     }
-    function searchForArchivesInStorage() {
-        // If DeviceStorage is available, we look for archives in it
-        $("#btnConfigure").click();
-        $('#scanningForArchives').show();
-        backend.scanForArchives(storages, populateDropDownListOfArchives);
+    
+    /**
+     * Gives the id in the library of the selected archive
+     * @returns {String} the id, or null if it is not known (yet)
+     */
+    function getSelectedArchiveId() {
+        for (var i = 0; i < openedArchives.length; i++) {
+            if (openedArchives[i].archive === selectedArchive && openedArchives[i].id) {
+                return openedArchives[i].id;
+            }
+        }
+        return null;
     }
-
-    if ($.isFunction(navigator.getDeviceStorages)) {
-        // The method getDeviceStorages is available (FxOS>=1.1)
-        storages = $.map(navigator.getDeviceStorages("sdcard"), function(s) {
-            return new osabstraction.StorageFirefoxOS(s);
+    
+    /**
+     * Saves the search options in the library, for the selected archive
+     */
+    function saveArchiveSettings() {
+        var id = getSelectedArchiveId();
+        if (id === null) {
+            return;
+        }
+        var settings = {};
+        ARCHIVE_SETTINGS_CHECKBOXES.forEach(function(checkbox) {
+            settings[checkbox.substring(1)] = $(checkbox).is(':checked');
         });
-    } else if ($.isFunction(window.requestFileSystem)) {
-        // The requestFileSystem is available (Cordova)
-        window.requestFileSystem(LocalFileSystem.PERSISTENT, 0, function(fs) {
-            storages[0] = new osabstraction.StoragePhoneGap(fs);
-            searchForArchivesInPreferencesOrStorage();
+        library.saveSettings(id, settings).fail(function(error) {
+            console.error("Unable to save the settings of the archive", error);
         });
     }
-
-    if (storages !== null && storages.length > 0) {
-        // Make a fake first access to device storage, in order to ask the user for confirmation if necessary.
-        // This way, it is only done once at this moment, instead of being done several times in callbacks
-        // After that, we can start looking for archives
-        storages[0].get("fake-file-to-read").then(searchForArchivesInPreferencesOrStorage,
-                                                  searchForArchivesInPreferencesOrStorage);
+    
+    /**
+     * Sets the search options that have been saved for an archive
+     * @param {Object} settings Settings of the LibraryEntry
+     */
+    function restoreArchiveSettings(settings) {
+        ARCHIVE_SETTINGS_CHECKBOXES.forEach(function(checkbox) {
+            var value = settings[checkbox.substring(1)];
+            if (value !== undefined) {
+                $(checkbox).prop('checked', value);
+            }
+        });
     }
-    else {
-        // If DeviceStorage is not available, we display the file select components
-        displayFileSelect();
-        if (document.getElementById('archiveFiles').files && document.getElementById('archiveFiles').files.length>0) {
-            // Archive files are already selected, 
-            setLocalArchiveFromFileSelect();
+    
+    /**
+     * Displays the archives of the library in the configuration, so that they can be opened again
+     */
+    function refreshLibrary() {
+        library.listEntries().then(function(entries) {
+            var list = $('#libraryList');
+            list.empty();
+            entries.forEach(function(entry) {
+                var details = [entry.format, entry.language, entry.date, entry.fileSize ? formatFileSize(entry.fileSize) : null,
+                    "opened on " + new Date(entry.lastOpened).toLocaleString()];
+                var item = $("<div class='list-group-item'>").append(
+                    $("<strong>").text(entry.name), " ",
+                    $("<small>").text(details.filter(Boolean).join(", ")), "<br />",
+                    $("<a class='btn btn-default btn-xs'>").text("Open").on('click', function() {
+                        openLibraryEntry(entry);
+                        return false;
+                    }), " ",
+                    $("<a class='btn btn-default btn-xs'>").text("Rename").on('click', function() {
+                        renameLibraryEntry(entry);
+                        return false;
+                    }), " ",
+                    $("<a class='btn btn-default btn-xs'>").text("Remove").on('click', function() {
+                        removeLibraryEntry(entry);
+                        return false;
+                    }));
+                list.append(item);
+            });
+            $('#library').toggle(entries.length > 0);
+        }).fail(function(error) {
+            console.error("Unable to read the library", error);
+            $('#library').hide();
+        });
+    }
+    
+    /**
+     * Opens an archive of the library (or selects it, if it is already opened)
+     * @param {LibraryEntry} entry
+     */
+    function openLibraryEntry(entry) {
+        for (var i = 0; i < openedArchives.length; i++) {
+            if (openedArchives[i].id === entry.id) {
+                selectArchive(openedArchives[i].archive);
+                restoreArchiveSettings(entry.settings);
+                $("#btnHome").click();
+                return;
+            }
         }
-        else {
-            $("#btnConfigure").click();
+        if (entry.storagePath) {
+            if (!isInArchiveList(entry.storagePath)) {
+                alert("The archive " + entry.name + " has not been found in the device storage anymore");
+                return;
+            }
+            $('#archiveList').val(entry.storagePath);
+            setLocalArchiveFromArchiveList();
+            return;
         }
+        library.getFiles(entry).then(function(files) {
+            if (files === null) {
+                alert("Please select the files of the archive " + entry.name + " again (" + entry.fileNames.join(", ")
+                        + ") : this browser does not keep the access to them");
+                return;
+            }
+            setLocalArchiveFromFileList(files, entry.fileHandles);
+        }).fail(function(error) {
+            alert("Unable to open the archive " + entry.name + " : " + error.message);
+        });
     }
+    
+    /**
+     * Asks the user for a new name of an archive of the library
+     * @param {LibraryEntry} entry
+     */
+    function renameLibraryEntry(entry) {
+        var name = prompt("New name of the archive :", entry.name);
+        if (!name || !name.trim()) {
+            return;
+        }
+        library.renameArchive(entry.id, name.trim()).then(function() {
+            openedArchives.forEach(function(openedArchive) {
+                if (openedArchive.id === entry.id) {
+                    openedArchive.name = name.trim();
+                }
+            });
+            refreshOpenedArchives();
+            refreshLibrary();
+        }).fail(function(error) {
+            alert("Unable to rename the archive : " + error.message);
+        });
+    }
+    
+    /**
+     * Removes an archive from the library, after a confirmation of the user (its files are kept)
+     * @param {LibraryEntry} entry
+     */
+    function removeLibraryEntry(entry) {
+        if (!confirm("Remove " + entry.name + " from the library ? Its files will not be deleted")) {
+            return;
+        }
+        library.removeArchive(entry.id).then(refreshLibrary).fail(function(error) {
+            alert("Unable to remove the archive from the library : " + error.message);
+        });
+    }
+    
+    /**
+     * Makes an archive the selected one : the articles are read from it, and it is searched
+     * @param {ZIMArchive|LocalArchive} archive
+     */
+    function selectArchive(archive) {
+        if (archive === selectedArchive) {
+            return;
+        }
+        cancelArchiveIntegrityCheck();
+        pauseFullTextIndex();
+        cancelTitleSearch();
+        $('#integrityCheckResult').text("");
+        selectedArchive = archive;
+        checkSelectedArchiveCompatibilityWithInjectionMode();
+        var id = getSelectedArchiveId();
+        if (id !== null) {
+            library.getEntry(id).then(function(entry) {
+                if (entry && archive === selectedArchive) {
+                    restoreArchiveSettings(entry.settings);
+                }
+            }).fail(function(error) {
+                console.error("Unable to read the settings of the archive", error);
+            });
+        }
+    }
+    
+    /**
+     * Closes an opened archive, so that it is not searched anymore.
+     * If it is the selected archive, the first of the other opened archives is selected instead
+     * @param {Integer} index Position of the archive in openedArchives
+     */
+    function closeOpenedArchive(index) {
+        var archive = openedArchives[index].archive;
+        openedArchives.splice(index, 1);
+        if (archive === selectedArchive) {
+            if (openedArchives.length > 0) {
+                selectArchive(openedArchives[0].archive);
+            }
+            else {
+                cancelArchiveIntegrityCheck();
+                pauseFullTextIndex();
+                cancelTitleSearch();
+                selectedArchive = null;
+            }
+            refreshArchiveInfo();
+            refreshArchiveIntegrityCheck();
+            refreshFullTextIndex();
+        }
+        refreshOpenedArchives();
+    }
+    
+    /**
+     * Displays the list of the opened archives in the configuration,
+     * and the option to search all of them when there are several ones
+     * (the option to search anywhere in the titles is only enabled if the selected archive supports it)
+     */
+    function refreshOpenedArchives() {
+        $('#matchAnywhere').prop('disabled', selectedArchive !== null && !selectedArchive.hasInfixTitleSearch());
+        var list = $('#openedArchivesList');
+        list.empty();
+        for (var i = 0; i < openedArchives.length; i++) {
+            var item = $("<div class='list-group-item'>").attr('archiveindex', i).text(openedArchives[i].name + " ");
+            if (openedArchives[i].archive === selectedArchive) {
+                item.addClass('active');
+            }
+            else {
+                item.append($("<a class='btn btn-default btn-xs btnSelectOpenedArchive'>").text("Select"), " ");
+            }
+            item.append($("<a class='btn btn-default btn-xs btnCloseOpenedArchive'>").text("Close"));
+            list.append(item);
+        }
+        $('#openedArchives').toggle(openedArchives.length > 0);
+        $('#searchAllArchivesOption').toggle(openedArchives.length > 1);
+    }
+    
+    /**
+     * Tells the user why the selected archive could not be opened,
+     * and goes back to the configuration so that another one can be chosen
+     * @param {Error} error (a zimfile.ZIMError if the ZIM file itself is invalid)
+     */
+    function onArchiveOpenError(error) {
+        selectedArchive = null;
+        var message = error.message || error;
+        switch (error.code) {
+            case zimfile.ZIMError.BAD_MAGIC:
+                message = "The selected file is not a ZIM archive.";
+                break;
+            case zimfile.ZIMError.MISSING_PARTS:
+                message += ". Please select all the parts (.zimaa, .zimab...) of the archive at once.";
+                break;
+            case zimfile.ZIMError.TRUNCATED:
+                message += ". The file has probably not been completely copied or downloaded.";
+                break;
+        }
+        alert("Unable to open the archive : " + message);
+        $("#btnConfigure").click();
+    }
+    
+    /**
+     * If the ServiceWorker mode is selected, warn the user before activating it
+     * @param chosenContentInjectionMode The mode that the user has chosen
+     */
+    function checkWarnServiceWorkerMode(chosenContentInjectionMode) {
+        if (chosenContentInjectionMode === 'serviceworker' && !cookies.hasItem("warnedServiceWorkerMode")) {
+            // The user selected the "serviceworker" mode, which is still unstable
+            // So let's display a warning to the user
+
+            // If the focus is on the search field, we have to move it,
+            // else the keyboard hides the message
+            if ($("#prefix").is(":focus")) {
+                $("searchTitles").focus();
+            }
+            if (confirm("The 'Service Worker' mode is still UNSTABLE for now."
+                + " It happens that the application needs to be reinstalled (or the ServiceWorker manually removed)."
+                + " Please confirm with OK that you're ready to face this kind of bugs, or click Cancel to stay in 'jQuery' mode.")) {
+                // We will not display this warning again for one day
+                cookies.setItem("warnedServiceWorkerMode", true, 86400);
+                return true;
+            }
+            else {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    // At launch, we try to set the last content injection mode (stored in a cookie)
+    var lastContentInjectionMode = cookies.getItem('lastContentInjectionMode');
+    if (lastContentInjectionMode) {
+        setContentInjectionMode(lastContentInjectionMode);
+    }
+    else {
+        setContentInjectionMode('jquery');
+    }
+    
+    var serviceWorkerRegistration = null;
+    
+    /**
+     * Tells if the ServiceWorker API is available
+     * https://developer.mozilla.org/en-US/docs/Web/API/ServiceWorker
+     * @returns {Boolean}
+     */
+    function isServiceWorkerAvailable() {
+        return ('serviceWorker' in navigator);
+    }
+    
+    /**
+     * Tells if the MessageChannel API is available
+     * https://developer.mozilla.org/en-US/docs/Web/API/MessageChannel
+     * @returns {Boolean}
+     */
+    function isMessageChannelAvailable() {
+        try{
+            var dummyMessageChannel = new MessageChannel();
+            if (dummyMessageChannel) return true;
+        }
+        catch (e){
+            return false;
+        }
+        return false;
+    }
+    
+    /**
+     * Tells if the ServiceWorker is registered, and ready to capture HTTP requests
+     * and inject content in articles.
+     * @returns {Boolean}
+     */
+    function isServiceWorkerReady() {
+        // Return true if the serviceWorkerRegistration is not null and not undefined
+        return (serviceWorkerRegistration);
+    }
+    
+    /**
+     * 
+     * @type Array.<StorageFirefoxOS|StoragePhoneGap>
+     */
+    var storages = [];
+    function searchForArchivesInPreferencesOrStorage() {
+        // First see if the list of archives is stored in the library
+        loadListOfArchives().fail(function(error) {
+            console.error("Unable to read the list of archives from the library", error);
+            return [];
+        }).then(function(directories) {
+            if (directories.length > 0) {
+                populateDropDownListOfArchives(directories);
+            }
+            else {
+                searchForArchivesInStorage();
+            }
+        });
+    }
+    /**
+     * Reads the list of archives found in the device storage from the library.
+     * The first time, it is moved there from the cookie where it was stored before the library existed
+     * @returns {Promise} that resolves to the Array of the directories of the archives
+     */
+    function loadListOfArchives() {
+        var listOfArchivesFromCookie = cookies.getItem("listOfArchives");
+        if (listOfArchivesFromCookie === null || listOfArchivesFromCookie === undefined || listOfArchivesFromCookie === "") {
+            return library.listStoragePaths();
+        }
+        var directories = listOfArchivesFromCookie.split('|');
+        return library.saveStoragePaths(directories).then(function() {
+            cookies.removeItem("listOfArchives");
+            return directories;
+        });
+    }
+    function searchForArchivesInStorage() {
+        // If DeviceStorage is available, we look for archives in it
+        $("#btnConfigure").click();
+        $('#scanningForArchives').show();
+        backend.scanForArchives(storages, populateDropDownListOfArchives);
+    }
+
+    if ($.isFunction(navigator.getDeviceStorages)) {
+        // The method getDeviceStorages is available (FxOS>=1.1)
+        storages = $.map(navigator.getDeviceStorages("sdcard"), function(s) {
+            return new osabstraction.StorageFirefoxOS(s);
+        });
+    } else if ($.isFunction(window.requestFileSystem)) {
+        // The requestFileSystem is available (Cordova)
+        window.requestFileSystem(LocalFileSystem.PERSISTENT, 0, function(fs) {
+            storages[0] = new osabstraction.StoragePhoneGap(fs);
+            searchForArchivesInPreferencesOrStorage();
+            restoreDownloads();
+        });
+    }
+
+    if (storages !== null && storages.length > 0) {
+        // Make a fake first access to device storage, in order to ask the user for confirmation if necessary.
+        // This way, it is only done once at this moment, instead of being done several times in callbacks
+        // After that, we can start looking for archives
+        storages[0].get("fake-file-to-read").then(searchForArchivesInPreferencesOrStorage,
+                                                  searchForArchivesInPreferencesOrStorage);
+    }
+    else {
+        // If DeviceStorage is not available, we display the file select components
+        displayFileSelect();
+        var areArchiveFilesSelected = document.getElementById('archiveFiles').files && document.getElementById('archiveFiles').files.length>0;
+        if (areArchiveFilesSelected) {
+            // Archive files are already selected, 
+            setLocalArchiveFromFileSelect();
+        }
+        else {
+            $("#btnConfigure").click();
+        }
+        if (!$.isFunction(window.requestFileSystem) && osabstraction.StorageOPFS.isAvailable()) {
+            // The archives imported in the Origin Private File System of the browser are available at every launch
+            osabstraction.StorageOPFS.open().then(function(storage) {
+                storages = [storage];
+                $('#importToOPFSOption').show();
+                restoreDownloads();
+                if (!areArchiveFilesSelected) {
+                    backend.scanForArchives(storages, function(archivePaths) {
+                        // If no archive has been imported yet, the user has to select the files
+                        if (archivePaths && archivePaths.length > 0) {
+                            populateDropDownListOfArchives(archivePaths);
+                        }
+                    });
+                }
+            }).fail(function(error) {
+                console.error("Unable to open the Origin Private File System", error);
+            });
+        }
+    }
+
 
-
     // Display the article when the user goes back in the browser history
     window.onpopstate = function(event) {
         if (event.state) {
@@ -567,14 +1298,17 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
                 maxDistance * 2,
                 maxDistance * 2);
 
+        // The results of the nearby search replace the ones of the title search
+        cancelTitleSearch();
         selectedArchive.getTitlesInCoords(rectangle, MAX_SEARCH_RESULT_SIZE, populateListOfTitles);
     }
     
     /**
      * Populate the drop-down list of titles with the given list
      * @param {Array.<String>} archiveDirectories
+     * @param {String} archiveToSelect Optional : directory of the archive to open (instead of the last opened one)
      */
-    function populateDropDownListOfArchives(archiveDirectories) {
+    function populateDropDownListOfArchives(archiveDirectories, archiveToSelect) {
         $('#scanningForArchives').hide();
         $('#chooseArchiveFromLocalStorage').show();
         var comboArchiveList = document.getElementById('archiveList');
@@ -588,20 +1322,36 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
                 comboArchiveList.options[i] = new Option(archiveDirectory, archiveDirectory);
             }
         }
-        // Store the list of archives in a cookie, to avoid rescanning at each start
-        cookies.setItem("listOfArchives", archiveDirectories.join('|'), Infinity);
+        // Store the list of archives in the library, to avoid rescanning at each start
+        library.saveStoragePaths(archiveDirectories).fail(function(error) {
+            console.error("Unable to store the list of archives in the library", error);
+        });
+        // The books of the catalog that are on the device have changed
+        populateCatalogList();
         
         $('#archiveList').on('change', setLocalArchiveFromArchiveList);
         if (comboArchiveList.options.length > 0) {
-            var lastSelectedArchive = cookies.getItem("lastSelectedArchive");
-            if (lastSelectedArchive !== null && lastSelectedArchive !== undefined && lastSelectedArchive !== "") {
-                // Attempt to select the corresponding item in the list, if it exists
-                if ($("#archiveList option[value='"+lastSelectedArchive+"']").length > 0) {
+            library.listEntries().fail(function(error) {
+                console.error("Unable to read the library", error);
+                return [];
+            }).then(function(entries) {
+                // The archive of the device storage that has been opened the most recently is opened again
+                var lastSelectedArchive = archiveToSelect && isInArchiveList(archiveToSelect) ? archiveToSelect : null;
+                for (var i = 0; i < entries.length && lastSelectedArchive === null; i++) {
+                    if (entries[i].storagePath && isInArchiveList(entries[i].storagePath)) {
+                        lastSelectedArchive = entries[i].storagePath;
+                    }
+                }
+                if (lastSelectedArchive === null) {
+                    // Archive selected before the library existed
+                    lastSelectedArchive = cookies.getItem("lastSelectedArchive");
+                }
+                if (lastSelectedArchive && isInArchiveList(lastSelectedArchive)) {
                     $("#archiveList").val(lastSelectedArchive);
                 }
-            }
-            // Set the localArchive as the last selected (or the first one if it has never been selected)
-            setLocalArchiveFromArchiveList();
+                // Set the localArchive as the last selected (or the first one if it has never been selected)
+                setLocalArchiveFromArchiveList();
+            });
         }
         else {
             alert("Welcome to Kiwix! This application needs at least a ZIM file in your SD-card (or internal storage). Please download one and put it on the device (see About section). Also check that your device is not connected to a computer through USB device storage (which often locks the SD-card content)");
@@ -613,12 +1363,265 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
         }
     }
 
+    /**
+     * Displays the books of a catalog, once it is loaded
+     * @param {Promise} books Promise of the Array of the Books of the catalog
+     */
+    function loadCatalog(books) {
+        $('#catalogBrowser').hide();
+        books.then(function(books) {
+            catalogBooks = books;
+            var fillSelect = function(select, values, allValuesLabel) {
+                select.empty().append($('<option>').val('').text(allValuesLabel));
+                values.forEach(function(value) {
+                    select.append($('<option>').val(value).text(value));
+                });
+            };
+            fillSelect($('#catalogLanguage'), catalog.listLanguages(books), "All languages");
+            fillSelect($('#catalogTag'), catalog.listTags(books), "All tags");
+            $('#catalogFilter').val('');
+            populateCatalogList();
+            $('#catalogBrowser').show();
+        }).fail(function(error) {
+            alert("Unable to read the catalog : " + error.message);
+        });
+    }
+
+    /**
+     * Displays the books of the catalog that match the filters,
+     * with a button to open the ones whose archive is already in the drop-down list of archives
+     */
+    function populateCatalogList() {
+        var books = catalog.filterBooks(catalogBooks, {
+            text: $('#catalogFilter').val(),
+            language: $('#catalogLanguage').val(),
+            tag: $('#catalogTag').val()
+        });
+        var archivePaths = $('#archiveList option').map(function() {
+            return this.value;
+        }).get();
+        var list = $('#catalogList');
+        list.empty();
+        books.slice(0, MAX_CATALOG_BOOK_SIZE).forEach(function(book) {
+            var details = [book.languages.join(", "), book.date, book.size ? formatFileSize(book.size) : null,
+                book.articleCount ? book.articleCount + " articles" : null];
+            var item = $("<div class='list-group-item'>");
+            if (book.illustrationUrl) {
+                item.append($("<img width='48' height='48' alt='' class='pull-left'>").attr('src', book.illustrationUrl), " ");
+            }
+            item.append($("<strong>").text(book.title), " ",
+                $("<small>").text(details.filter(Boolean).join(", ")), "<br />",
+                $("<span>").text(book.summary), "<br />");
+            if (book.tags.length > 0) {
+                item.append($("<small>").text("Tags : " + book.tags.join(", ")), "<br />");
+            }
+            var archivePath = catalog.findArchivePath(book, archivePaths);
+            if (archivePath) {
+                item.append($("<span class='label label-success'>").text("On this device"), " ",
+                    $("<a class='btn btn-default btn-xs'>").text("Open").on('click', function() {
+                        $('#archiveList').val(archivePath);
+                        setLocalArchiveFromArchiveList();
+                        return false;
+                    }));
+            }
+            else if (book.downloadUrl && getDownloadStorage()) {
+                item.append($("<a class='btn btn-default btn-xs'>").text("Download").on('click', function() {
+                    // The ZIM file is next to its Metalink file
+                    startDownload(book.downloadUrl.replace(/\.meta4$/, ''), book.fileName);
+                    return false;
+                }));
+            }
+            else if (book.downloadUrl) {
+                item.append($("<a class='btn btn-default btn-xs' target='_blank'>").attr('href', book.downloadUrl).text("Download"));
+            }
+            list.append(item);
+        });
+        var message = books.length + " books";
+        if (books.length > MAX_CATALOG_BOOK_SIZE) {
+            message += " (only the first " + MAX_CATALOG_BOOK_SIZE + " are displayed : please refine the search)";
+        }
+        $('#catalogListHeaderMessage').text(message);
+    }
+
+    /**
+     * Gives the storage where the ZIM files can be downloaded
+     * @returns {StorageOPFS|StoragePhoneGap} the storage, or null if no storage can write files
+     */
+    function getDownloadStorage() {
+        for (var i = 0; i < storages.length; i++) {
+            if ($.isFunction(storages[i].openFileForAppending)) {
+                return storages[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Displays the downloads that were not completed in the previous sessions, so that they can be resumed
+     */
+    function restoreDownloads() {
+        var storage = getDownloadStorage();
+        if (!storage) {
+            return;
+        }
+        $('#downloads').show();
+        library.listDownloads().then(function(savedDownloads) {
+            // Some downloads may have been started in the meantime
+            savedDownloads.forEach(function(savedDownload) {
+                var download = new downloadManager.Download(storage, savedDownload.url, savedDownload.fileName, savedDownload.size);
+                download.downloadedSize = savedDownload.downloadedSize || 0;
+                downloads.push(download);
+            });
+            refreshDownloadList();
+        }).fail(function(error) {
+            console.error("Unable to read the downloads", error);
+        });
+    }
+
+    /**
+     * Keeps a download that is not completed in the library, with its progress
+     * @param {Download} download
+     */
+    function saveDownload(download) {
+        library.saveDownload({
+            url: download.url,
+            fileName: download.fileName,
+            size: download.size,
+            downloadedSize: download.downloadedSize
+        }).fail(function(error) {
+            console.error("Unable to save the download", error);
+        });
+    }
+
+    /**
+     * Removes a download from the list, once it is completed or deleted
+     * @param {Download} download
+     */
+    function forgetDownload(download) {
+        downloads.splice(downloads.indexOf(download), 1);
+        library.removeDownload(download.fileName).fail(function(error) {
+            console.error("Unable to remove the download", error);
+        });
+        refreshDownloadList();
+    }
+
+    /**
+     * Starts downloading a ZIM file
+     * @param {String} url
+     * @param {String} fileName Optional : the end of the URL by default
+     */
+    function startDownload(url, fileName) {
+        var download = new downloadManager.Download(getDownloadStorage(), url, fileName);
+        var isAlreadyDownloaded = downloads.some(function(otherDownload) {
+            return otherDownload.fileName === download.fileName;
+        });
+        if (isAlreadyDownloaded) {
+            alert("The file " + download.fileName + " is already being downloaded");
+            return;
+        }
+        downloads.push(download);
+        saveDownload(download);
+        resumeDownload(download);
+    }
+
+    /**
+     * Starts a download or resumes it, displaying its progress.
+     * Once it is completed, the ZIM file is listed with the other archives, and opened
+     * @param {Download} download
+     */
+    function resumeDownload(download) {
+        var lastSavedSize = download.downloadedSize;
+        download.start(function() {
+            // The progress is saved from time to time
+            if (download.downloadedSize - lastSavedSize >= 64 * 1024 * 1024) {
+                lastSavedSize = download.downloadedSize;
+                saveDownload(download);
+            }
+            refreshDownloadList();
+        }).then(function(path) {
+            forgetDownload(download);
+            backend.scanForArchives(storages, function(archivePaths) {
+                if (archivePaths) {
+                    populateDropDownListOfArchives(archivePaths, path);
+                }
+            });
+        }).fail(function(error) {
+            saveDownload(download);
+            refreshDownloadList();
+        });
+    }
+
+    /**
+     * Stops a download, and deletes what has been downloaded
+     * @param {Download} download
+     */
+    function removeDownload(download) {
+        if (!confirm("Delete the download of " + download.fileName + " ?")) {
+            return;
+        }
+        download.remove().then(function() {
+            forgetDownload(download);
+        });
+    }
+
+    /**
+     * Displays the downloads, with their progress and buttons to pause, resume or delete them
+     */
+    function refreshDownloadList() {
+        var list = $('#downloadList');
+        list.empty();
+        downloads.forEach(function(download) {
+            var progress = download.state === downloadManager.VERIFYING ? download.verificationProgress
+                : (download.size ? download.downloadedSize / download.size : 0);
+            var percent = Math.floor(progress * 100) + '%';
+            var details = [DOWNLOAD_STATE_LABELS[download.state],
+                download.size ? formatFileSize(download.downloadedSize) + " / " + formatFileSize(download.size) : null,
+                download.error];
+            var item = $("<div class='list-group-item'>").append(
+                $("<strong>").text(download.fileName), " ",
+                $("<small>").text(details.filter(Boolean).join(", ")),
+                $("<div class='progress'>").append(
+                    $("<div class='progress-bar' role='progressbar'>").css('width', percent).text(percent)));
+            if (download.state === downloadManager.DOWNLOADING) {
+                item.append($("<a class='btn btn-default btn-xs'>").text("Pause").on('click', function() {
+                    download.pause();
+                    return false;
+                }));
+            }
+            else if (download.state !== downloadManager.VERIFYING) {
+                item.append($("<a class='btn btn-default btn-xs'>").text("Resume").on('click', function() {
+                    resumeDownload(download);
+                    return false;
+                }), " ", $("<a class='btn btn-default btn-xs'>").text("Delete").on('click', function() {
+                    removeDownload(download);
+                    return false;
+                }));
+            }
+            list.append(item);
+        });
+    }
+
+    /**
+     * Tells if a directory is in the drop-down list of archives
+     * @param {String} archiveDirectory
+     * @returns {Boolean}
+     */
+    function isInArchiveList(archiveDirectory) {
+        return $('#archiveList option').filter(function() {
+            return this.value === archiveDirectory;
+        }).length > 0;
+    }
+
     /**
      * Sets the localArchive from the selected archive in the drop-down list
      */
     function setLocalArchiveFromArchiveList() {
         var archiveDirectory = $('#archiveList').val();
         if (archiveDirectory && archiveDirectory.length > 0) {
+            cancelArchiveIntegrityCheck();
+            pauseFullTextIndex();
+            cancelTitleSearch();
+            $('#integrityCheckResult').text("");
             // Now, try to find which DeviceStorage has been selected by the user
             // It is the prefix of the archive directory
             var regexpStorageName = /^\/([^\/]+)\//;
@@ -651,55 +1654,150 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
                 }
             }
             selectedArchive = backend.loadArchiveFromDeviceStorage(selectedStorage, archiveDirectory, function (archive) {
-                cookies.setItem("lastSelectedArchive", archiveDirectory, Infinity);
+                addOpenedArchive(archive, archiveDirectory, {storagePath: archiveDirectory});
+                prepareNormalizedTitleIndex(archive);
                 if (checkSelectedArchiveCompatibilityWithInjectionMode()) {
                     // The archive is set : go back to home page to start searching
                     $("#btnHome").click();
                 }
-            });
+            }, onArchiveOpenError);
             
         }
     }
 
+    /**
+     * Gets the archive ready for case and diacritic insensitive title searches, in the background.
+     * Until then, the searches are still possible, but case sensitive
+     * @param {ZIMArchive|LocalArchive} archive
+     */
+    function prepareNormalizedTitleIndex(archive) {
+        archive.prepareNormalizedTitleIndex().fail(function(error) {
+            console.error("Unable to prepare the title index", error);
+        });
+    }
+
     /**
      * Displays the zone to select files from the archive
      */
     function displayFileSelect() {
         $('#openLocalFiles').show();
         $('#archiveFiles').on('change', setLocalArchiveFromFileSelect);
+        $('#importToOPFS').on('change', function(e) {
+            cookies.setItem('importToOPFS', this.checked, Infinity);
+        });
+        $('#importToOPFS').prop('checked', cookies.getItem('importToOPFS') === 'true');
+        if ($.isFunction(window.showOpenFilePicker)) {
+            // With this file picker, the handles of the files can be kept in the library, to open them again later
+            $('#archiveFiles').on('click', function(e) {
+                window.showOpenFilePicker({multiple: true}).then(function(fileHandles) {
+                    return Promise.all(fileHandles.map(function(fileHandle) {
+                        return fileHandle.getFile();
+                    })).then(function(files) {
+                        openOrImportFiles(files, fileHandles);
+                    });
+                }).catch(function(error) {
+                    // AbortError : the user has not chosen any file
+                    if (error.name !== 'AbortError') {
+                        alert("Unable to open the files : " + error.message);
+                    }
+                });
+                return false;
+            });
+        }
     }
 
-    function setLocalArchiveFromFileList(files) {
+    /**
+     * Opens an archive from its files
+     * @param {Array.<File>} files
+     * @param {Array.<FileSystemFileHandle>} fileHandles Optional : handles of the files, to keep in the library
+     */
+    function setLocalArchiveFromFileList(files, fileHandles) {
+        cancelArchiveIntegrityCheck();
+        pauseFullTextIndex();
+        cancelTitleSearch();
+        $('#integrityCheckResult').text("");
         selectedArchive = backend.loadArchiveFromFiles(files, function(archive){
+            addOpenedArchive(archive, files[0].name, {
+                fileNames: Array.prototype.map.call(files, function(file) {
+                    return file.name;
+                }),
+                fileHandles: fileHandles || null
+            });
+            prepareNormalizedTitleIndex(archive);
             if (checkSelectedArchiveCompatibilityWithInjectionMode()) {
                 // The archive is set : go back to home page to start searching
                 $("#btnHome").click();
             }
-        });
+        }, onArchiveOpenError);
         
     }
     /**
      * Sets the localArchive from the File selects populated by user
      */
     function setLocalArchiveFromFileSelect() {
-        setLocalArchiveFromFileList(document.getElementById('archiveFiles').files);
+        openOrImportFiles(document.getElementById('archiveFiles').files);
+    }
+
+    /**
+     * Opens the archive of the files selected by the user, after importing them in the Origin Private File System
+     * if the user wants to
+     * @param {Array.<File>} files
+     * @param {Array.<FileSystemFileHandle>} fileHandles Optional : handles of the files, to keep in the library
+     */
+    function openOrImportFiles(files, fileHandles) {
+        if ($('#importToOPFS').is(':checked') && storages.length > 0 && storages[0] instanceof osabstraction.StorageOPFS) {
+            var isZIMArchive = Array.prototype.some.call(files, function(file) {
+                return /\.zim(aa)?$/i.test(file.name);
+            });
+            if (isZIMArchive) {
+                importArchiveToOPFS(files);
+                return;
+            }
+            alert("Only the ZIM archives can be imported in the browser : this archive is opened without importing it");
+        }
+        setLocalArchiveFromFileList(files, fileHandles);
+    }
+
+    /**
+     * Copies the files of a ZIM archive in the Origin Private File System, displaying the progress,
+     * then opens the archive from there : it will be available at the next launches
+     * @param {Array.<File>} files
+     */
+    function importArchiveToOPFS(files) {
+        var storage = storages[0];
+        var progressBar = $('#importProgressBar');
+        progressBar.css('width', '0%').text('0%');
+        $('#importInProgress').show();
+        storage.importFiles(Array.prototype.slice.call(files), function(progress) {
+            var percent = Math.floor(progress * 100) + '%';
+            progressBar.css('width', percent).text(percent);
+        }).then(function(paths) {
+            $('#importInProgress').hide();
+            var archivePath = paths.filter(function(path) {
+                return /\.zim(aa)?$/i.test(path);
+            })[0];
+            backend.scanForArchives(storages, function(archivePaths) {
+                if (archivePaths) {
+                    populateDropDownListOfArchives(archivePaths, archivePath);
+                }
+            });
+        }).fail(function(error) {
+            $('#importInProgress').hide();
+            alert("Unable to import the archive in the browser : " + (error.message || error));
+        });
     }
 
     /**
      * This is used in the testing interface to inject a remote archive.
+     * The archive is read on demand with HTTP Range requests : it is not downloaded entirely
+     * @param {String} url URL of the ZIM file (or of the first part of a split ZIM file)
      */
     window.setRemoteArchive = function(url) {
-        var request = new XMLHttpRequest();
-        request.open("GET", url, true);
-        request.responseType = "blob";
-        request.onload = function (e) {
-            if (request.response) {
-                // Hack to make this look similar to a file
-                request.response.name = url;
-                setLocalArchiveFromFileList([request.response]);
-            }
-        };
-        request.send(null);
+        remoteFile.openArchiveFiles(url).then(function(files) {
+            setLocalArchiveFromFileList(files);
+        }).fail(function(error) {
+            alert("Unable to open the remote archive : " + error.message);
+        });
     };
 
     /**
@@ -707,18 +1805,114 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
      * @param {Event} evt
      */
     function onKeyUpPrefix(evt) {
+        // These keys are used to choose a suggestion (see onKeyDownPrefix)
+        if ([KEY_ENTER, KEY_ESCAPE, KEY_UP, KEY_DOWN].indexOf(evt.which) !== -1) {
+            return;
+        }
         // Use a timeout, so that very quick typing does not cause a lot of overhead
         // It is also necessary for the words suggestions to work inside Firefox OS
         if(window.timeoutKeyUpPrefix) {
             window.clearTimeout(window.timeoutKeyUpPrefix);
         }
         window.timeoutKeyUpPrefix = window.setTimeout(function() {
-            var prefix = $("#prefix").val();
-            if (prefix && prefix.length>0) {
-                $('#searchTitles').click();
+            var prefix = $("#prefix").val().trim();
+            if (prefix.length>0) {
+                showSearchSuggestions(prefix);
             }
+            else {
+                hideSearchSuggestions();
+            }
+        }
+        ,300);
+    }
+
+    /**
+     * Lets the user choose a suggestion with the arrow keys, and open it with Enter.
+     * When no suggestion is selected, Enter searches all the titles, as usual
+     * @param {Event} evt
+     * @returns {Boolean} false if the key has been handled
+     */
+    function onKeyDownPrefix(evt) {
+        var suggestionList = $('#searchSuggestions');
+        if (!suggestionList.is(':visible')) {
+            return true;
         }
-        ,500);
+        var suggestions = suggestionList.children('li');
+        var selectedIndex = suggestions.index(suggestions.filter('.active'));
+        switch (evt.which) {
+            case KEY_DOWN:
+                selectSearchSuggestion((selectedIndex + 1) % suggestions.length);
+                return false;
+            case KEY_UP:
+                selectSearchSuggestion(selectedIndex <= 0 ? suggestions.length - 1 : selectedIndex - 1);
+                return false;
+            case KEY_ENTER:
+                if (selectedIndex >= 0) {
+                    openSearchSuggestion(suggestions.eq(selectedIndex).children('a'));
+                    return false;
+                }
+                hideSearchSuggestions();
+                return true;
+            case KEY_ESCAPE:
+                hideSearchSuggestions();
+                return false;
+        }
+        return true;
+    }
+
+    /**
+     * Displays the first titles starting with the given prefix under the search field,
+     * without changing the rest of the page
+     * @param {String} prefix
+     */
+    function showSearchSuggestions(prefix) {
+        if (suggestionCancellationToken) {
+            suggestionCancellationToken.cancel();
+        }
+        suggestionCancellationToken = new util.CancellationToken();
+        selectedArchive.findTitlesWithPrefix(prefix, MAX_SUGGESTION_SIZE, function(titleArray) {
+            var suggestionListHtml = "";
+            for (var i = 0; i < titleArray.length; i++) {
+                suggestionListHtml += "<li><a href='#' titleid='" + titleArray[i].toStringId().replace(/'/g,"&apos;")
+                        + "'>" + titleArray[i].getReadableName() + "</a></li>";
+            }
+            $('#searchSuggestions').html(suggestionListHtml).toggle(titleArray.length > 0 && $('#prefix').is(':focus'));
+        }, null, suggestionCancellationToken);
+    }
+
+    /**
+     * Highlights a suggestion, so that it can be opened with Enter
+     * @param {Integer} index
+     */
+    function selectSearchSuggestion(index) {
+        var suggestions = $('#searchSuggestions').children('li');
+        suggestions.removeClass('active');
+        suggestions.eq(index).addClass('active');
+    }
+
+    /**
+     * Hides the suggestions, and cancels the search of suggestions that might be running
+     */
+    function hideSearchSuggestions() {
+        if (suggestionCancellationToken) {
+            suggestionCancellationToken.cancel();
+            suggestionCancellationToken = null;
+        }
+        if(window.timeoutKeyUpPrefix) {
+            window.clearTimeout(window.timeoutKeyUpPrefix);
+        }
+        $('#searchSuggestions').hide().empty();
+    }
+
+    /**
+     * Opens the article of a suggestion
+     * @param {Object} suggestionLink jQuery object of the link of the suggestion
+     */
+    function openSearchSuggestion(suggestionLink) {
+        var titleId = suggestionLink.attr('titleid');
+        hideSearchSuggestions();
+        $("#welcomeText").hide();
+        goToTitleId(titleId);
     }
 
 
@@ -732,7 +1926,21 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
         $('#configuration').hide();
         $('#articleContent').contents().empty();
         if (selectedArchive !== null && selectedArchive.isReady()) {
-            selectedArchive.findTitlesWithPrefix(prefix.trim(), MAX_SEARCH_RESULT_SIZE, populateListOfTitles);
+            cancelTitleSearch();
+            currentTitleSearch = {
+                prefix: prefix.trim(),
+                matchAnywhere: $('#matchAnywhere').is(':checked'),
+                nextCursor: null,
+                titleCount: 0,
+                loading: false,
+                cancellationToken: new util.CancellationToken()
+            };
+            if ($('#searchAllArchives').is(':checked') && openedArchives.length > 1) {
+                searchTitlesInAllArchives(currentTitleSearch);
+            }
+            else {
+                searchNextTitlePage(currentTitleSearch);
+            }
         } else {
             $('#searchingForTitles').hide();
             // We have to remove the focus from the search field,
@@ -743,6 +1951,216 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
         }
     }
 
+    /**
+     * Searches the next page of results of a title search (or the first one),
+     * and adds them to the list of titles
+     * @param {Object} titleSearch
+     */
+    function searchNextTitlePage(titleSearch) {
+        titleSearch.loading = true;
+        var callback = function(titleArray, maxTitles, nextCursor) {
+            titleSearch.loading = false;
+            titleSearch.nextCursor = nextCursor;
+            var isFirstPage = titleSearch.titleCount === 0;
+            populateListOfTitles(titleArray, maxTitles, false, titleSearch);
+            if (isFirstPage && titleArray.length === 0 && titleSearch.prefix) {
+                showSimilarTitles(titleSearch);
+            }
+        };
+        var cursor = titleSearch.titleCount > 0 ? titleSearch.nextCursor : undefined;
+        // The archives that can not be searched anywhere in the titles are searched by prefix
+        if (titleSearch.matchAnywhere && selectedArchive.hasInfixTitleSearch()) {
+            selectedArchive.findTitlesWithInfix(titleSearch.prefix, MAX_SEARCH_RESULT_SIZE, callback, cursor, titleSearch.cancellationToken);
+        }
+        else {
+            selectedArchive.findTitlesWithPrefix(titleSearch.prefix, MAX_SEARCH_RESULT_SIZE, callback, cursor, titleSearch.cancellationToken);
+        }
+    }
+
+    /**
+     * Suggests the titles that look like the search, when it has found nothing (because of a typo...)
+     * @param {Object} titleSearch
+     */
+    function showSimilarTitles(titleSearch) {
+        similarTitles.findSimilarTitles(selectedArchive, titleSearch.prefix, MAX_SIMILAR_TITLE_SIZE, titleSearch.cancellationToken).then(function(titles) {
+            if (titleSearch.cancellationToken.cancelled || titles.length === 0) {
+                return;
+            }
+            var titleListDiv = $('#titleList');
+            titleListDiv.append($("<div class='list-group-item list-group-item-warning'>").text("Did you mean :"));
+            titles.forEach(function(title) {
+                var titleLink = $("<a href='#' class='list-group-item'>").attr('titleid', title.toStringId()).html(title.getReadableName());
+                titleLink.on('click', handleTitleClick);
+                titleListDiv.append(titleLink);
+            });
+        }).fail(function(error) {
+            console.error("Unable to look for similar titles", error);
+        });
+    }
+
+    /**
+     * Searches the titles in all the opened archives at the same time.
+     * The first page of results of each archive is displayed, grouped by archive
+     * @param {Object} titleSearch
+     */
+    function searchTitlesInAllArchives(titleSearch) {
+        titleSearch.loading = true;
+        var archives = openedArchives.filter(function(openedArchive) {
+            return openedArchive.archive.isReady();
+        });
+        var titleGroups = [];
+        var remainingArchives = archives.length;
+        archives.forEach(function(openedArchive, i) {
+            var callback = function(titleArray) {
+                titleGroups[i] = {archive: openedArchive.archive, name: openedArchive.name, titles: titleArray};
+                remainingArchives--;
+                if (remainingArchives === 0 && !titleSearch.cancellationToken.cancelled) {
+                    titleSearch.loading = false;
+                    populateListOfTitlesByArchive(titleGroups, MAX_SEARCH_RESULT_SIZE);
+                }
+            };
+            if (titleSearch.matchAnywhere && openedArchive.archive.hasInfixTitleSearch()) {
+                openedArchive.archive.findTitlesWithInfix(titleSearch.prefix, MAX_SEARCH_RESULT_SIZE, callback, undefined, titleSearch.cancellationToken);
+            }
+            else {
+                openedArchive.archive.findTitlesWithPrefix(titleSearch.prefix, MAX_SEARCH_RESULT_SIZE, callback, undefined, titleSearch.cancellationToken);
+            }
+        });
+    }
+
+    /**
+     * Stops the current title search or search in the content of the articles (if it is still running) :
+     * its next results will not be displayed
+     */
+    function cancelTitleSearch() {
+        if (currentTitleSearch) {
+            currentTitleSearch.cancellationToken.cancel();
+            currentTitleSearch = null;
+        }
+        if (currentFullTextSearch) {
+            currentFullTextSearch.cancel();
+            currentFullTextSearch = null;
+        }
+        $('#fullTextSearchInProgress').hide();
+    }
+
+    /**
+     * Searches the query in the content of the articles : in the full-text index if it has been built,
+     * else by reading all the articles
+     * @param {String} query Text to look for, or a regular expression
+     */
+    function searchArticleContents(query) {
+        $('#configuration').hide();
+        $('#articleContent').contents().empty();
+        if (selectedArchive === null || !selectedArchive.isReady()) {
+            $("#searchTitles").focus();
+            alert("Archive not set : please select an archive");
+            $("#btnConfigure").click();
+            return;
+        }
+        if (!selectedArchive.searchArticleContents) {
+            alert("The search in the content of the articles is not available for this archive");
+            return;
+        }
+        cancelTitleSearch();
+        query = query.trim();
+        if ($('#regularExpression').is(':checked') || !selectedArchive.searchFullText) {
+            readArticleContents(query);
+            return;
+        }
+        // The full-text index is used if the archive contains one, or if the one built is complete :
+        // otherwise, all the articles are read
+        var indexSearch = {cancelled: false};
+        currentFullTextSearch = {
+            cancel: function() {
+                indexSearch.cancelled = true;
+            }
+        };
+        $('#searchingForTitles').show();
+        selectedArchive.hasEmbeddedFullTextIndex().then(function(hasEmbeddedIndex) {
+            return hasEmbeddedIndex || selectedArchive.getFullTextIndexState().then(function(state) {
+                return state !== null && state.complete;
+            });
+        }).then(function(isIndexed) {
+            if (indexSearch.cancelled) {
+                return;
+            }
+            if (!isIndexed) {
+                $('#searchingForTitles').hide();
+                readArticleContents(query);
+                return;
+            }
+            return selectedArchive.searchFullText(query, MAX_SEARCH_RESULT_SIZE).then(function(titleArray) {
+                if (!indexSearch.cancelled) {
+                    currentFullTextSearch = null;
+                    populateListOfTitles(titleArray, MAX_SEARCH_RESULT_SIZE);
+                }
+            });
+        }).fail(function(e) {
+            $('#searchingForTitles').hide();
+            alert("The search in the full-text index failed : " + e.message);
+        });
+    }
+
+    /**
+     * Reads the content of all the articles in the background, to look for the query :
+     * the articles found are added to the list of titles as soon as they are found
+     * @param {String} query Text to look for, or a regular expression
+     */
+    function readArticleContents(query) {
+        var titleListDiv = $('#titleList');
+        var titleListHeaderMessageDiv = $('#titleListHeaderMessage');
+        var progressBar = $('#fullTextSearchProgressBar');
+        var resultCount = 0;
+        try {
+            currentFullTextSearch = selectedArchive.searchArticleContents(query, $('#regularExpression').is(':checked'), MAX_FULL_TEXT_SEARCH_RESULT_SIZE,
+                    function(result) {
+                        resultCount++;
+                        titleListHeaderMessageDiv.html(resultCount + " articles found.");
+                        var titleLink = $("<a href='#' class='list-group-item'></a>").attr('titleid', result.titleId);
+                        titleLink.append($('<span></span>').text(result.title), '<br/>', $('<small></small>').text(result.snippet));
+                        titleLink.on('click', handleTitleClick);
+                        titleListDiv.append(titleLink);
+                    }, function(progress) {
+                        var percent = Math.floor(progress * 100) + '%';
+                        progressBar.css('width', percent).text(percent);
+                    }, function(error) {
+                        currentFullTextSearch = null;
+                        $('#fullTextSearchInProgress').hide();
+                        if (error) {
+                            alert("The search in the content of the articles failed : " + error);
+                        }
+                        else if (resultCount >= MAX_FULL_TEXT_SEARCH_RESULT_SIZE) {
+                            titleListHeaderMessageDiv.html(resultCount + " first articles below (refine your search).");
+                        }
+                        else if (resultCount === 0) {
+                            titleListHeaderMessageDiv.html("No articles found.");
+                        }
+                    });
+        } catch (e) {
+            alert("Invalid regular expression : " + e.message);
+            return;
+        }
+        titleListDiv.empty();
+        titleListHeaderMessageDiv.html("Searching in the content of the articles...");
+        progressBar.css('width', '0%').text('0%');
+        $('#fullTextSearchInProgress').show();
+        $('#searchingForTitles').hide();
+        $('#suggestEnlargeMaxDistance').hide();
+        $('#suggestReduceMaxDistance').hide();
+        titleListDiv.show();
+        titleListHeaderMessageDiv.show();
+    }
+
+    /**
+     * Loads the next page of results of the current title search, if there is one
+     */
+    function loadMoreTitles() {
+        if (currentTitleSearch && currentTitleSearch.nextCursor !== null && !currentTitleSearch.loading) {
+            $('#searchingForTitles').show();
+            searchNextTitlePage(currentTitleSearch);
+        }
+    }
   
     /**
      * Display the list of titles with the given array of titles
@@ -750,8 +2168,10 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
      * @param {Integer} maxTitles
      * @param {Boolean} isNearbySearchSuggestions : it set to true, allow suggestions to
      *  reduce or enlarge the distance where to look for articles nearby
+     * @param {Object} titleSearch Optional : title search these titles are a page of.
+     *  The titles are added to the ones of the previous pages
      */
-    function populateListOfTitles(titleArray, maxTitles, isNearbySearchSuggestions) {
+    function populateListOfTitles(titleArray, maxTitles, isNearbySearchSuggestions, titleSearch) {
         var currentLatitude;
         var currentLongitude;
         if (currentCoordinates) {
@@ -765,8 +2185,20 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
             nbTitles = titleArray.length;
         }
 
+        var appendTitles = false;
+        var hasMoreTitles = false;
+        if (titleSearch) {
+            appendTitles = titleSearch.titleCount > 0;
+            hasMoreTitles = titleSearch.nextCursor !== null;
+            titleSearch.titleCount += nbTitles;
+            nbTitles = titleSearch.titleCount;
+        }
+
         var message;
-        if (maxTitles >= 0 && nbTitles >= maxTitles) {
+        if (hasMoreTitles) {
+            message = nbTitles + " first titles below.";
+        }
+        else if (!titleSearch && maxTitles >= 0 && nbTitles >= maxTitles) {
             message = maxTitles + " first titles below (refine your search).";
         }
         else {
@@ -805,8 +2237,18 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
                     + distanceFromHereHtml 
                     + "</a>";
         }
-        titleListDiv.html(titleListDivHtml);
-        $("#titleList a").on("click",handleTitleClick);
+        if (hasMoreTitles) {
+            titleListDivHtml += "<a href='#' id='loadMoreTitles' class='list-group-item list-group-item-info'>Load more titles...</a>";
+        }
+        $('#loadMoreTitles').remove();
+        var newTitleLinks = $(titleListDivHtml);
+        if (appendTitles) {
+            titleListDiv.append(newTitleLinks);
+        }
+        else {
+            titleListDiv.empty().append(newTitleLinks);
+        }
+        newTitleLinks.filter("[titleid]").on("click",handleTitleClick);
         $('#searchingForTitles').hide();
         $('#geolocationProgress').hide();
         $('#titleList').show();
@@ -814,6 +2256,40 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
     }
     
     
+    /**
+     * Displays the titles found in several archives, under the name of their archive.
+     * Each title is opened in its own archive
+     * @param {Array.<Object>} titleGroups Objects with the archive, its name, and the Array of the titles found in it
+     * @param {Integer} maxTitles Maximum number of titles found in each archive
+     */
+    function populateListOfTitlesByArchive(titleGroups, maxTitles) {
+        var titleListDiv = $('#titleList');
+        titleListDiv.empty();
+        var nbTitles = 0;
+        var nbArchives = 0;
+        titleGroups.forEach(function(titleGroup) {
+            if (titleGroup.titles.length === 0) {
+                return;
+            }
+            nbTitles += titleGroup.titles.length;
+            nbArchives++;
+            var count = titleGroup.titles.length >= maxTitles ? maxTitles + " first titles" : titleGroup.titles.length + " titles";
+            titleListDiv.append($("<div class='list-group-item list-group-item-info'>").text(titleGroup.name + " : " + count));
+            titleGroup.titles.forEach(function(title) {
+                var titleLink = $("<a href='#' class='list-group-item'>").attr('titleid', title.toStringId()).html(title.getReadableName());
+                // The title is opened in the archive it has been found in
+                titleLink.data('archive', titleGroup.archive);
+                titleLink.on('click', handleTitleClick);
+                titleListDiv.append(titleLink);
+            });
+        });
+        var message = nbTitles === 0 ? "No titles found." : nbTitles + " titles found in " + nbArchives + " archives.";
+        $('#titleListHeaderMessage').html(message);
+        $('#searchingForTitles').hide();
+        $('#titleList').show();
+        $('#titleListHeaderMessage').show();
+    }
+    
     /**
      * Checks if the small archive is in use
      * If it is, display a warning message about the hyperlinks not working
@@ -841,10 +2317,25 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
      * @returns {Boolean}
      */
     function handleTitleClick(event) {
+        // The titles found in all the opened archives are opened in their own archive
+        var archive = $(event.currentTarget).data('archive');
+        if (archive && archive !== selectedArchive) {
+            selectArchive(archive);
+        }
+        // The title link can contain other elements, that can be the target of the click
+        goToTitleId(event.currentTarget.getAttribute("titleId"));
+        return false;
+    }
+
+    /**
+     * Opens the article of the given title, and clears the list of titles
+     * @param {String} titleId
+     */
+    function goToTitleId(titleId) {
         // If we use the small archive, a warning should be displayed to the user
         checkSmallArchive();
         
-        var titleId = event.target.getAttribute("titleId");
+        cancelTitleSearch();
         $("#titleList").empty();
         $('#titleListHeaderMessage').empty();
         $('#suggestEnlargeMaxDistance').hide();
@@ -853,7 +2344,6 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
         findTitleFromTitleIdAndLaunchArticleRead(titleId);
         var title = selectedArchive.parseTitleId(titleId);
         pushBrowserHistoryState(title.name());
-        return false;
     }
     
 
@@ -889,6 +2379,7 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
             selectedArchive.resolveRedirect(title, readArticle);
         }
         else {
+            currentArticleUrl = title.url || null;
             selectedArchive.readArticle(title, displayArticleInForm);
         }
     }
@@ -919,7 +2410,7 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
                     } else {
                         console.log("Reading binary file...");
                         selectedArchive.readBinaryFile(title, function(readableTitleName, content) {
-                            messagePort.postMessage({'action': 'giveContent', 'titleName' : titleName, 'content': content});
+                            messagePort.postMessage({'action': 'giveContent', 'titleName' : titleName, 'content': content, 'mimetype': title.getMimetype()});
                             console.log("content sent to ServiceWorker");
                         });
                     }
@@ -942,6 +2433,53 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
     // Since late 2014, all ZIM files should use relative URLs
     var regexpImageUrl = /^(?:\.\.\/|\/)+(I\/.*)$/;
     var regexpMetadataUrl = /^(?:\.\.\/|\/)+(-\/.*)$/;
+    // URLs that do not point inside the archive : with a scheme (http:, data:...), protocol-relative, or anchors
+    var regexpExternalUrl = /^(?:[a-z][a-z0-9+.\-]*:|\/\/|#)/i;
+
+    /**
+     * URL (with namespace) of the article being displayed, if it comes from a ZIM archive
+     */
+    var currentArticleUrl = null;
+
+    /**
+     * Gives the name of the archive entry that a URL of the displayed article points to.
+     * With the old namespace layout, the URL has to match the given regular expression.
+     * With the new namespace layout, the URL is resolved relatively to the URL of the article,
+     * inside the C namespace
+     * @param {String} url
+     * @param {RegExp} regexpOldLayout Regular expression whose first group is the entry name
+     * @returns {String} name of the entry (with its namespace), or null if the URL does not point to an entry
+     */
+    function getEntryNameFromUrl(url, regexpOldLayout) {
+        if (!url) {
+            return null;
+        }
+        if (!selectedArchive.hasNewNamespaceScheme()) {
+            var match = url.match(regexpOldLayout);
+            return match ? decodeURIComponent(match[1]) : null;
+        }
+        if (regexpExternalUrl.test(url) || !currentArticleUrl) {
+            return null;
+        }
+        // Start from the directory of the article (the first element being its namespace)
+        var path = currentArticleUrl.split('/');
+        path.pop();
+        if (url.charAt(0) === '/') {
+            path = [path[0]];
+        }
+        var segments = uiUtil.removeUrlParameters(url.split('#')[0]).split('/');
+        for (var i = 0; i < segments.length; i++) {
+            if (segments[i] === '..') {
+                if (path.length > 1) {
+                    path.pop();
+                }
+            }
+            else if (segments[i] !== '.' && segments[i] !== '') {
+                path.push(decodeURIComponent(segments[i]));
+            }
+        }
+        return path.join('/');
+    }
 
     /**
      * Display the the given HTML article in the web page,
@@ -964,6 +2502,15 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
             $('#articleContent').contents().find('head').append("<link rel='stylesheet' type='text/css' href='" + currentPath + "css/mediawiki-main.css' id='mediawiki-stylesheet' />");
         }
 
+        // With the ServiceWorker, the relative URLs of the article have to be resolved from its own URL
+        // (the dummy article being in the A directory, they would miss the directory of an article of the new namespace layout)
+        var iframeHead = $('#articleContent').contents().find('head');
+        iframeHead.find('base').remove();
+        if (contentInjectionMode === 'serviceworker' && currentArticleUrl) {
+            var articleUrl = currentArticleUrl.split('/').map(encodeURIComponent).join('/');
+            iframeHead.prepend("<base href='../" + articleUrl.replace(/'/g, '%27') + "' />");
+        }
+
         // Display the article inside the web page.
         $('#articleContent').contents().find('body').html(htmlArticle);
         
@@ -1002,10 +2549,21 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
                         || util.endsWith(lowerCaseUrl, ".jpg")
                         || util.endsWith(lowerCaseUrl, ".jpeg"))) {
                     // It's a link to a file of wikipedia : change the URL to the online version and open in a new tab
-                    var onlineWikipediaUrl = url.replace(regexpImageLink, "https://" + selectedArchive._language + ".wikipedia.org/wiki/File:$1");
+                    var onlineWikipediaUrl = url.replace(regexpImageLink, "https://" + util.getWikipediaLanguageCode(selectedArchive._language) + ".wikipedia.org/wiki/File:$1");
                     $(this).attr("href", onlineWikipediaUrl);
                     $(this).attr("target", "_blank");
                 }
+                else if (selectedArchive.hasNewNamespaceScheme()) {
+                    // It's a link to another article, relative to the current one
+                    var articleName = getEntryNameFromUrl(url);
+                    if (articleName) {
+                        $(this).on('click', function(e) {
+                            pushBrowserHistoryState(articleName);
+                            goToArticle(articleName);
+                            return false;
+                        });
+                    }
+                }
                 else {
                     // It's a link to another article
                     // Add an onclick event to go to this article
@@ -1039,13 +2597,11 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
                 } else {
                     // It's a standard image contained in the ZIM file
                     // We try to find its name (from an absolute or relative URL)
-                    var imageMatch = image.attr("src").match(regexpImageUrl);
-                    if (imageMatch) {
-                        var titleName = decodeURIComponent(imageMatch[1]);
+                    var titleName = getEntryNameFromUrl(image.attr("src"), regexpImageUrl);
+                    if (titleName) {
                         selectedArchive.getTitleByName(titleName).then(function(title) {
                             selectedArchive.readBinaryFile(title, function (readableTitleName, content) {
-                                // TODO : use the complete MIME-type of the image (as read from the ZIM file)
-                                uiUtil.feedNodeWithBlob(image, 'src', content, 'image');
+                                uiUtil.feedNodeWithBlob(image, 'src', content, title.getMimetype());
                             });
                         }).fail(function (e) {
                             console.error("could not find title for image:" + titleName, e);
@@ -1058,10 +2614,10 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
             $('#articleContent').contents().find('link[rel=stylesheet]').each(function() {
                 var link = $(this);
                 // We try to find its name (from an absolute or relative URL)
-                var hrefMatch = link.attr("href").match(regexpMetadataUrl);
-                if (hrefMatch) {
+                var cssName = getEntryNameFromUrl(link.attr("href"), regexpMetadataUrl);
+                if (cssName) {
                     // It's a CSS file contained in the ZIM file
-                    var titleName = uiUtil.removeUrlParameters(decodeURIComponent(hrefMatch[1]));
+                    var titleName = uiUtil.removeUrlParameters(cssName);
                     selectedArchive.getTitleByName(titleName).then(function(title) {
                         selectedArchive.readBinaryFile(title, function (readableTitleName, content) {
                             var cssContent = util.uintToString(content);
@@ -1097,11 +2653,11 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
             $('#articleContent').contents().find('script').each(function() {
                 var script = $(this);
                 // We try to find its name (from an absolute or relative URL)
-                var srcMatch = script.attr("src").match(regexpMetadataUrl);
+                var scriptName = getEntryNameFromUrl(script.attr("src"), regexpMetadataUrl);
                 // TODO check that the type of the script is text/javascript or application/javascript
-                if (srcMatch) {
+                if (scriptName) {
                     // It's a Javascript file contained in the ZIM file
-                    var titleName = uiUtil.removeUrlParameters(decodeURIComponent(srcMatch[1]));
+                    var titleName = uiUtil.removeUrlParameters(scriptName);
                     selectedArchive.getTitleByName(titleName).then(function(title) {
                         if (title === null)
                             console.log("Error: js file not found: " + titleName);
@@ -1281,7 +2837,7 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
                 alert("Error finding random article.");
             }
             else {
-                if (title.namespace === 'A') {
+                if (title.isArticle()) {
                     $("#articleName").html(title.name());
                     pushBrowserHistoryState(title.name());
                     $("#readingArticle").show();
@@ -1303,7 +2859,7 @@ define(['jquery', 'abstractBackend', 'util', 'uiUtil', 'cookies','geometry','osa
                 console.error("Error finding main article.");
             }
             else {
-                if (title.namespace === 'A') {
+                if (title.isArticle()) {
                     $("#articleName").html(title.name());
                     pushBrowserHistoryState(title.name());
                     $("#readingArticle").show();
@@ -25,6 +25,12 @@
 // This global variable is used by archive.js to find the webworker js file
 // because it has to be found in a different location if used in a unit test
 var PREFIX_PATH_WEBWORKER_BZIP2 = "";
+// Same for the webworker that checks the MD5 checksum of ZIM files (used by zimfile.js)
+var PREFIX_PATH_WEBWORKER_MD5 = "";
+// Same for the webworker that builds the normalized title index of ZIM archives (used by zimArchive.js)
+var PREFIX_PATH_WEBWORKER_TITLEINDEX = "";
+// Same for the webworker that searches in the content of the articles (used by fullTextSearch.js)
+var PREFIX_PATH_WEBWORKER_FULLTEXT = "";
 
 require.config({
     baseUrl: 'js/lib',
@@ -30,11 +30,13 @@ define(['archive', 'zimArchive', 'util', 'jquery'],
      * @param {DeviceStorage} storage
      * @param {String} path
      * @param {callbackZIMArchive} callback
+     * @param {callbackZIMArchiveError} callbackError Called if a ZIM archive can not be opened
+     *     (Evopedia archives still report their errors themselves)
      * @returns {ZIMArchive|LocalArchive}
      */
-    function loadArchiveFromDeviceStorage(storage, path, callback) {
+    function loadArchiveFromDeviceStorage(storage, path, callback, callbackError) {
         if (regexpZIMFileName.test(path)) {
-            return new zimArchive.ZIMArchive(storage, path, callback);
+            return new zimArchive.ZIMArchive(storage, path, callback, callbackError);
         }
         else {
             var archive = new evopediaArchive.LocalArchive();
@@ -46,11 +48,13 @@ define(['archive', 'zimArchive', 'util', 'jquery'],
      * Create an archive (ZIM or Evopedia) from Files
      * @param {Array.<File>} files
      * @param {callbackZIMArchive} callback
+     * @param {callbackZIMArchiveError} callbackError Called if a ZIM archive can not be opened
+     *     (Evopedia archives still report their errors themselves)
      * @returns {ZIMArchive|LocalArchive}
      */
-    function loadArchiveFromFiles(files, callback) {
+    function loadArchiveFromFiles(files, callback, callbackError) {
         if (files.length >= 1 && regexpZIMFileName.test(files[0].name)) {
-            return new zimArchive.ZIMArchive(files, null, callback);
+            return new zimArchive.ZIMArchive(files, null, callback, callbackError);
         }
         else {
             var archive = new evopediaArchive.LocalArchive();
@@ -21,8 +21,8 @@
  * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
  */
 'use strict';
-define(['normalize_string', 'geometry', 'title', 'util', 'titleIterators', 'q'],
- function(normalize_string, geometry, evopediaTitle, util, titleIterators, q) {
+define(['normalize_string', 'geometry', 'title', 'util', 'titleIterators', 'fullTextSearch', 'fullTextIndex', 'q'],
+ function(normalize_string, geometry, evopediaTitle, util, titleIterators, fullTextSearch, fullTextIndex, q) {
      
     // Declare the webworker that can uncompress with bzip2 algorithm
     // When using the application normally, there's no prefix
@@ -44,7 +44,7 @@ define(['normalize_string', 'geometry', 'title', 'util', 'titleIterators', 'q'],
      * @property {File} _mathIndexFile File that indexes the math images
      * @property {Date} _date When the archive as been built
      * @property {String} _language Language used by the archive
-     * @property {File} _titleSearchFile File that allows infix search
+     * @property {File} _titleSearchFile File that allows infix search (its format is not documented, so the title file is scanned instead)
      * @property {Boolean} _normalizedTitles Are the titles normalized in the archive?
      */
     function LocalArchive() {
@@ -67,6 +67,18 @@ define(['normalize_string', 'geometry', 'title', 'util', 'titleIterators', 'q'],
         return true;
     };
 
+    LocalArchive.prototype.hasNewNamespaceScheme = function() {
+        return false;
+    };
+
+    /**
+     * Evopedia titles are already normalized : there is no index to prepare
+     * @returns {Promise}
+     */
+    LocalArchive.prototype.prepareNormalizedTitleIndex = function() {
+        return q.when(null);
+    };
+
     LocalArchive.prototype.hasCoordinates = function() {
         return (this._coordinateFiles !== null && this._coordinateFiles.length > 0);
     };
@@ -75,6 +87,42 @@ define(['normalize_string', 'geometry', 'title', 'util', 'titleIterators', 'q'],
         return evopediaTitle.Title.parseTitleId(this, titleId);
     };
 
+    /**
+     * Gives information about the archive, from its metadata.txt file
+     * and the files that have been found
+     * @returns {Promise} that resolves to an ArchiveInfo
+     */
+    LocalArchive.prototype.getArchiveInfo = function() {
+        var files = this._dataFiles.concat(this._coordinateFiles, [this._titleFile, this._titleSearchFile, this._mathIndexFile, this._mathDataFile]);
+        var fileSize = 0;
+        var partCount = 0;
+        for (var i = 0; i < files.length; i++) {
+            if (files[i]) {
+                fileSize += files[i].size;
+                partCount++;
+            }
+        }
+        return q.when({
+            id: this._getId(),
+            format: "Evopedia",
+            language: this._language,
+            date: this._date,
+            normalizedTitles: this._normalizedTitles,
+            fileSize: fileSize,
+            partCount: partCount,
+            hasCoordinates: this.hasCoordinates(),
+            hasMathFiles: this._mathIndexFile !== null && this._mathDataFile !== null
+        });
+    };
+
+    /**
+     * Gives an id of the archive (Evopedia archives have no UUID)
+     * @returns {String}
+     */
+    LocalArchive.prototype._getId = function() {
+        return "evopedia:" + this._language + ":" + this._date;
+    };
+
     /**
      * Read the title Files in the given directory, and assign them to the
      * current LocalArchive
@@ -387,42 +435,187 @@ define(['normalize_string', 'geometry', 'title', 'util', 'titleIterators', 'q'],
         callback(null);
     };
 
+    /**
+     * @callback callbackTitlePage
+     * @param {Array.<Title>} titleArray Array of Titles found
+     * @param {Integer} maxSize Maximum number of Titles that were requested
+     * @param {Integer} nextCursor Offset in the title file where the search can go on, to get the next page of results
+     *     (null if there are no more results)
+     */
+
     /**
      * Find titles that start with the given prefix, and call the callbackFunction with this list of Titles
      * @param {String} prefix
      * @param {Integer} maxSize Maximum number of titles to read
-     * @param {callbackTitleList} callbackFunction
+     * @param {callbackTitlePage} callbackFunction
+     * @param {Integer} cursor Optional : nextCursor of the previous page of results
+     * @param {CancellationToken} cancellationToken Optional : once cancelled, the search stops and callbackFunction is not called
      */
-    LocalArchive.prototype.findTitlesWithPrefix = function(prefix, maxSize, callbackFunction) {
+    LocalArchive.prototype.findTitlesWithPrefix = function(prefix, maxSize, callbackFunction, cursor, cancellationToken) {
         var that = this;
         var titles = [];
         var normalize = this.getNormalizeFunction();
         prefix = normalize(prefix);
 
-        titleIterators.findPrefixOffset(this._titleFile, prefix, normalize).then(function(offset) {
-            var iterator = new titleIterators.SequentialTitleIterator(that, offset);
+        var startOffset;
+        if (cursor !== undefined && cursor !== null) {
+            startOffset = q.when(cursor);
+        }
+        else {
+            startOffset = titleIterators.findPrefixOffset(this._titleFile, prefix, normalize, cancellationToken);
+        }
+        startOffset.then(function(offset) {
+            var iterator = new titleIterators.SequentialTitleIterator(that, offset, cancellationToken);
+            // Gives the cursor of the next page of results
             function addNext() {
                 if (titles.length >= maxSize) {
-                    callbackFunction(titles, maxSize);
-                    return 1;
+                    // The next page starts with the title following the last one found
+                    return iterator._offset;
                 }
                 return iterator.advance().then(function(title) {
                     if (title === null) {
-                        callbackFunction(titles, maxSize);
-                        return 1;
+                        return null;
                     }
                     // check whether this title really starts with the prefix
                     var name = normalize(title._name);
                     if (name.length < prefix.length || name.substring(0, prefix.length) !== prefix) {
-                        callbackFunction(titles, maxSize);
-                        return 1;
+                        return null;
                     }
                     titles.push(title);
                     return addNext();
                 });
             }
             return addNext();
-        }).then(function(){}, errorHandler);
+        }).then(function(nextCursor) {
+            if (cancellationToken) {
+                cancellationToken.throwIfCancelled();
+            }
+            callbackFunction(titles, maxSize, nextCursor);
+        }).then(function(){}, searchErrorHandler);
+    };
+    
+    /**
+     * Tells if the titles can be searched anywhere in their name (see findTitlesWithInfix)
+     * 
+     * @returns {Boolean}
+     */
+    LocalArchive.prototype.hasInfixTitleSearch = function() {
+        return true;
+    };
+    
+    /**
+     * Look for titles containing the given string, anywhere in the title.
+     * 
+     * The format of titles_search.idx (_titleSearchFile), that Evopedia uses for this search,
+     * is not documented : so the whole title file is read instead (which takes longer on big archives)
+     * 
+     * @param {String} infix
+     * @param {Integer} maxSize
+     * @param {callbackTitlePage} callbackFunction
+     * @param {Integer} cursor Optional : nextCursor of the previous page of results
+     * @param {CancellationToken} cancellationToken Optional : once cancelled, the search stops and callbackFunction is not called
+     */
+    LocalArchive.prototype.findTitlesWithInfix = function(infix, maxSize, callbackFunction, cursor, cancellationToken) {
+        var titles = [];
+        var normalize = this.getNormalizeFunction();
+        // The titles of Evopedia archives have underscores instead of spaces
+        infix = normalize(infix.replace(/ /g, "_"));
+        titleIterators.scanTitles(this, cursor || 0, function(title) {
+            if (normalize(title._name).indexOf(infix) !== -1) {
+                titles.push(title);
+            }
+            return titles.length < maxSize;
+        }, cancellationToken).then(function() {
+            if (cancellationToken) {
+                cancellationToken.throwIfCancelled();
+            }
+            var nextCursor = null;
+            if (titles.length >= maxSize) {
+                var lastTitle = titles[titles.length - 1];
+                nextCursor = lastTitle._titleOffset + lastTitle._titleEntryLength;
+            }
+            callbackFunction(titles, maxSize, nextCursor);
+        }).then(function(){}, searchErrorHandler);
+    };
+    
+    /**
+     * Searches a text or a regular expression in the content of all the articles, in the background.
+     * All the blocks of the data files are decompressed, which can take a long time
+     * @param {String} query
+     * @param {Boolean} isRegExp true if the query is a regular expression
+     * @param {Integer} maxResults The search stops when this number of articles has been found
+     * @param {callbackFullTextSearchResult} callbackResult Called with each article found
+     * @param {callbackFullTextSearchProgress} callbackProgress
+     * @param {callbackFullTextSearchEnd} callbackEnd
+     * @returns {Object} an object with a cancel() function
+     * @throws {SyntaxError} if the regular expression is not valid
+     */
+    LocalArchive.prototype.searchArticleContents = function(query, isRegExp, maxResults, callbackResult, callbackProgress, callbackEnd) {
+        // An invalid regular expression is reported before starting the search
+        fullTextSearch.createMatcher(query, isRegExp);
+        return fullTextSearch.startWorker('searchEvopedia', {
+            titleFile: this._titleFile,
+            // Data files can be missing from the array : the holes are not sent to the WebWorker
+            dataFiles: this._dataFiles.filter(function(dataFile) {
+                return dataFile;
+            }),
+            language: this._language,
+            query: query,
+            isRegExp: isRegExp,
+            maxResults: maxResults
+        }, callbackResult, callbackProgress, callbackEnd);
+    };
+    
+    /**
+     * Gives the progress of the building of the full-text index
+     * @returns {Promise} that resolves to the FullTextIndexState, or null if it has not started
+     */
+    LocalArchive.prototype.getFullTextIndexState = function() {
+        return fullTextIndex.loadState(this._getId());
+    };
+    
+    /**
+     * Builds the full-text index of the articles in the background, and stores it in IndexedDB.
+     * If it has already been started (even in a previous session), it is resumed where it stopped
+     * @param {callbackFullTextSearchProgress} callbackProgress
+     * @param {callbackFullTextSearchEnd} callbackEnd
+     * @returns {Object} an object with a cancel() function, that pauses the indexing
+     */
+    LocalArchive.prototype.buildFullTextIndex = function(callbackProgress, callbackEnd) {
+        return fullTextSearch.startWorker('buildIndexEvopedia', {
+            id: this._getId(),
+            titleFile: this._titleFile,
+            dataFiles: this._dataFiles.filter(function(dataFile) {
+                return dataFile;
+            }),
+            language: this._language
+        }, null, callbackProgress, callbackEnd);
+    };
+    
+    /**
+     * Tells if the archive contains a full-text index that can be used by searchFullText :
+     * Evopedia archives never do, it has to be built
+     * @returns {Promise} that resolves to a Boolean
+     */
+    LocalArchive.prototype.hasEmbeddedFullTextIndex = function() {
+        return q.when(false);
+    };
+    
+    /**
+     * Looks for the articles containing the words of the query in the full-text index built by buildFullTextIndex.
+     * The articles that contain the most words of the query, and the rarest ones, come first
+     * @param {String} query
+     * @param {Integer} size Maximum number of results
+     * @returns {Promise} that resolves to the Array of Titles of the articles found
+     *     (or is rejected if the index has not been built)
+     */
+    LocalArchive.prototype.searchFullText = function(query, size) {
+        var that = this;
+        return fullTextIndex.search(this._getId(), query, size).then(function(titleOffsets) {
+            return q.all(titleOffsets.map(function(titleOffset) {
+                return new titleIterators.SequentialTitleIterator(that, titleOffset).advance();
+            }));
+        });
     };
     
     /**
@@ -927,6 +1120,15 @@ define(['normalize_string', 'geometry', 'title', 'util', 'titleIterators', 'q'],
         };
     }
 
+    /**
+     * ErrorHandler of the title searches : a search that has been cancelled is not an error
+     * @param error
+     */
+    function searchErrorHandler(error) {
+        if (!(error instanceof util.CancellationError)) {
+            errorHandler(error);
+        }
+    }
     
     /**
      * Functions and classes exposed by this module
@@ -0,0 +1,326 @@
+/**
+ * catalog.js : Reads the catalogs of the content that Kiwix distributes (OPDS/Atom feeds),
+ * to browse the books they list
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['q'], function(Q) {
+
+    // Relations of the links of an entry
+    var REL_THUMBNAIL = 'http://opds-spec.org/image/thumbnail';
+    var REL_ACQUISITION = 'http://opds-spec.org/acquisition/open-access';
+
+    /**
+     * A book of a catalog
+     *
+     * @typedef Book
+     * @property {String} id UUID of the ZIM file
+     * @property {String} name Name of the content, without its date (ex : wikipedia_en_all)
+     * @property {String} title
+     * @property {String} summary
+     * @property {Array.<String>} languages ISO-639-3 codes of the languages
+     * @property {String} category
+     * @property {Array.<String>} tags Tags of the book (without the internal ones, that start with _)
+     * @property {String} date Date of the content (YYYY-MM-DD)
+     * @property {Integer} articleCount
+     * @property {Integer} mediaCount
+     * @property {Integer} size Size of the ZIM file in bytes (null if it is unknown)
+     * @property {String} creator
+     * @property {String} publisher
+     * @property {String} illustrationUrl
+     * @property {String} downloadUrl
+     * @property {String} fileName Name of the ZIM file, taken from the download URL
+     */
+
+    /**
+     * Gives the child elements of an element that have the given local name (whatever their namespace)
+     * @param {Element} element
+     * @param {String} localName
+     * @returns {Array.<Element>}
+     */
+    function childElements(element, localName) {
+        var elements = [];
+        for (var i = 0; i < element.childNodes.length; i++) {
+            var child = element.childNodes[i];
+            if (child.nodeType === 1 && child.localName === localName) {
+                elements.push(child);
+            }
+        }
+        return elements;
+    }
+
+    /**
+     * Gives the text of the first child element with the given local name
+     * @param {Element} element
+     * @param {String} localName
+     * @returns {String} the trimmed text, or null if there is no such element
+     */
+    function childText(element, localName) {
+        var child = childElements(element, localName)[0];
+        return child ? child.textContent.trim() : null;
+    }
+
+    /**
+     * Gives the text of the name of the first child element with the given local name (author, publisher)
+     * @param {Element} element
+     * @param {String} localName
+     * @returns {String}
+     */
+    function childName(element, localName) {
+        var child = childElements(element, localName)[0];
+        return child ? childText(child, 'name') : null;
+    }
+
+    /**
+     * Reads an integer
+     * @param {String} text
+     * @returns {Integer} the integer, or null if there is none
+     */
+    function parseInteger(text) {
+        var value = parseInt(text, 10);
+        return isNaN(value) ? null : value;
+    }
+
+    /**
+     * Resolves a URL of the catalog
+     * @param {String} url
+     * @param {String} baseUrl URL of the catalog, if it has been downloaded
+     * @returns {String}
+     */
+    function resolveUrl(url, baseUrl) {
+        if (!url || !baseUrl) {
+            return url;
+        }
+        try {
+            return new URL(url, baseUrl).href;
+        }
+        catch (e) {
+            return url;
+        }
+    }
+
+    /**
+     * Reads a book from an entry of the catalog
+     * @param {Element} entry
+     * @param {String} baseUrl
+     * @returns {Book}
+     */
+    function parseEntry(entry, baseUrl) {
+        var book = {
+            id: (childText(entry, 'id') || '').replace(/^urn:uuid:/i, ''),
+            name: childText(entry, 'name'),
+            title: childText(entry, 'title') || '',
+            summary: childText(entry, 'summary') || '',
+            languages: (childText(entry, 'language') || '').split(',').filter(Boolean),
+            category: childText(entry, 'category'),
+            tags: (childText(entry, 'tags') || '').split(';').filter(function(tag) {
+                return tag && tag[0] !== '_';
+            }),
+            // The older catalogs have no issue date
+            date: (childText(entry, 'issued') || childText(entry, 'updated') || '').substring(0, 10),
+            articleCount: parseInteger(childText(entry, 'articleCount')),
+            mediaCount: parseInteger(childText(entry, 'mediaCount')),
+            size: null,
+            creator: childName(entry, 'author'),
+            publisher: childName(entry, 'publisher'),
+            illustrationUrl: null,
+            downloadUrl: null,
+            fileName: null
+        };
+        childElements(entry, 'link').forEach(function(link) {
+            var rel = link.getAttribute('rel');
+            var href = resolveUrl(link.getAttribute('href'), baseUrl);
+            if (rel === REL_THUMBNAIL) {
+                book.illustrationUrl = href;
+            }
+            else if (rel === REL_ACQUISITION) {
+                book.downloadUrl = href;
+                book.size = parseInteger(link.getAttribute('length'));
+                // The download URL is the one of a Metalink file, next to the ZIM file
+                book.fileName = decodeURIComponent(href.replace(/[?#].*$/, '').replace(/^.*\//, '').replace(/\.meta4$/, ''));
+            }
+        });
+        return book;
+    }
+
+    /**
+     * Reads the books listed in an OPDS catalog
+     * @param {String} xml The OPDS/Atom feed
+     * @param {String} baseUrl Optional : URL of the feed, to resolve the relative URLs of the books
+     * @returns {Array.<Book>}
+     * @throws {Error} if the feed is not valid
+     */
+    function parseCatalog(xml, baseUrl) {
+        var feed = new DOMParser().parseFromString(xml, 'application/xml');
+        var root = feed.documentElement;
+        if (!root || root.localName !== 'feed' || feed.getElementsByTagName('parsererror').length > 0) {
+            throw new Error("This is not an OPDS catalog");
+        }
+        return childElements(root, 'entry').map(function(entry) {
+            return parseEntry(entry, baseUrl);
+        });
+    }
+
+    /**
+     * Reads the books of a catalog from a local file
+     * @param {File} file
+     * @returns {Promise} that resolves to the Array of the Books
+     */
+    function loadCatalogFromFile(file) {
+        return Q.Promise(function(resolve, reject) {
+            var reader = new FileReader();
+            reader.onload = function(e) {
+                try {
+                    resolve(parseCatalog(e.target.result));
+                }
+                catch (error) {
+                    reject(error);
+                }
+            };
+            reader.onerror = reader.onabort = function() {
+                reject(reader.error);
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Downloads a catalog and reads its books
+     * @param {String} url
+     * @returns {Promise} that resolves to the Array of the Books
+     */
+    function loadCatalogFromUrl(url) {
+        return Q.Promise(function(resolve, reject) {
+            var request = new XMLHttpRequest();
+            request.open('GET', url, true);
+            request.responseType = 'text';
+            request.onload = function() {
+                if (request.status < 200 || request.status >= 300) {
+                    reject(new Error("Unable to download the catalog (HTTP status " + request.status + ")"));
+                    return;
+                }
+                try {
+                    resolve(parseCatalog(request.responseText, request.responseURL || url));
+                }
+                catch (error) {
+                    reject(error);
+                }
+            };
+            request.onerror = function() {
+                reject(new Error("Unable to download the catalog : the server can not be reached"));
+            };
+            request.send(null);
+        });
+    }
+
+    /**
+     * Gives the books that match a filter
+     * @param {Array.<Book>} books
+     * @param {Object} filter text (searched in the title, the summary and the name of the books), language and tag
+     *     (all of them are optional)
+     * @returns {Array.<Book>}
+     */
+    function filterBooks(books, filter) {
+        var words = (filter.text || '').toLocaleLowerCase().split(/\s+/).filter(Boolean);
+        return books.filter(function(book) {
+            if (filter.language && book.languages.indexOf(filter.language) === -1) {
+                return false;
+            }
+            if (filter.tag && book.tags.indexOf(filter.tag) === -1 && book.category !== filter.tag) {
+                return false;
+            }
+            var text = [book.title, book.summary, book.name].join(' ').toLocaleLowerCase();
+            return words.every(function(word) {
+                return text.indexOf(word) !== -1;
+            });
+        });
+    }
+
+    /**
+     * Lists the values of a property of the books, to filter them
+     * @param {Array.<Book>} books
+     * @param {Function} getValues Gives the values of a book
+     * @returns {Array.<String>} the distinct values, sorted
+     */
+    function listValues(books, getValues) {
+        var values = Object.create(null);
+        books.forEach(function(book) {
+            getValues(book).forEach(function(value) {
+                values[value] = true;
+            });
+        });
+        return Object.keys(values).sort();
+    }
+
+    /**
+     * Lists the languages of the books
+     * @param {Array.<Book>} books
+     * @returns {Array.<String>}
+     */
+    function listLanguages(books) {
+        return listValues(books, function(book) {
+            return book.languages;
+        });
+    }
+
+    /**
+     * Lists the tags (and categories) of the books
+     * @param {Array.<Book>} books
+     * @returns {Array.<String>}
+     */
+    function listTags(books) {
+        return listValues(books, function(book) {
+            return book.category ? book.tags.concat(book.category) : book.tags;
+        });
+    }
+
+    /**
+     * Looks for the archive of a book among archive paths : its ZIM file has the same name
+     * (a split ZIM file is found by its first part)
+     * @param {Book} book
+     * @param {Array.<String>} archivePaths Paths of ZIM files or directories of Evopedia archives
+     * @returns {String} the path of the archive, or null if it is not there
+     */
+    function findArchivePath(book, archivePaths) {
+        if (!book.fileName) {
+            return null;
+        }
+        for (var i = 0; i < archivePaths.length; i++) {
+            var fileName = archivePaths[i].replace(/^.*\//, '').replace(/(\.zim)aa$/i, '$1');
+            if (fileName === book.fileName) {
+                return archivePaths[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        parseCatalog: parseCatalog,
+        loadCatalogFromFile: loadCatalogFromFile,
+        loadCatalogFromUrl: loadCatalogFromUrl,
+        filterBooks: filterBooks,
+        listLanguages: listLanguages,
+        listTags: listTags,
+        findArchivePath: findArchivePath
+    };
+});
@@ -0,0 +1,328 @@
+/**
+ * downloadManager.js : Downloads ZIM files from an HTTP server (a local mirror...) into a storage of the device,
+ * resuming them after interruptions
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['zimfile', 'util', 'q'], function(zimfile, util, Q) {
+
+    // Size of the parts of the file requested at once
+    var CHUNK_SIZE = 4 * 1024 * 1024;
+    // Number of times a part is requested again after a network or server error, before the download stops
+    var MAX_RETRIES = 5;
+    // Delay before requesting a part again (multiplied by the number of the attempt), in milliseconds
+    var RETRY_DELAY = 2000;
+    // Suffix of the file while it is downloaded : it is not listed with the archives until it is complete and verified
+    var PART_SUFFIX = '.part';
+    // Parts of a split ZIM file (.zimaa, .zimab...) : the checksum covers all the parts, so a part alone can not be verified
+    var regexpSplitPart = /\.zim[a-z][a-z]$/i;
+
+    /**
+     * States of a download
+     */
+    var PAUSED = 'paused';
+    var DOWNLOADING = 'downloading';
+    var VERIFYING = 'verifying';
+    var COMPLETED = 'completed';
+    var FAILED = 'failed';
+
+    /**
+     * Download of a ZIM file into a storage that can write files (see StorageOPFS and StoragePhoneGap).
+     * The data is requested by parts, with Range requests : when it is started again, the download resumes
+     * after the data already in the file. Once it is complete, the MD5 checksum of the file is verified
+     * (unless it is a part of a split ZIM file)
+     *
+     * @typedef Download
+     * @property {String} url
+     * @property {String} fileName Name of the ZIM file in the storage
+     * @property {StorageOPFS|StoragePhoneGap} storage
+     * @property {Integer} size Size of the file (null until the server has given it)
+     * @property {Integer} downloadedSize
+     * @property {Float} verificationProgress Part of the file whose checksum has been computed (between 0 and 1)
+     * @property {String} state paused, downloading, verifying, completed or failed
+     * @property {String} error Why the download has stopped, if it is paused or failed after an error
+     * @property {String} path Path of the ZIM file in the storage, once the download is completed
+     * @property {Integer} retryDelay Delay before requesting a part again after an error, in milliseconds
+     *     (multiplied by the number of the attempt)
+     * @property {Boolean} _paused true once the download has to stop
+     * @property {XMLHttpRequest} _request Request being made
+     *
+     * @param {StorageOPFS|StoragePhoneGap} storage
+     * @param {String} url
+     * @param {String} fileName Optional : the end of the URL by default
+     * @param {Integer} size Optional : size of the file, if it is already known
+     */
+    function Download(storage, url, fileName, size) {
+        this.url = url;
+        this.fileName = fileName || decodeURIComponent(url.replace(/[?#].*$/, '').replace(/^.*\//, ''));
+        this.storage = storage;
+        this.size = size || null;
+        this.downloadedSize = 0;
+        this.verificationProgress = 0;
+        this.state = PAUSED;
+        this.error = null;
+        this.path = null;
+        this.retryDelay = RETRY_DELAY;
+        this._paused = false;
+        this._request = null;
+    };
+
+    /**
+     * Gives the path of the file in the storage while it is downloaded
+     * @returns {String}
+     */
+    Download.prototype._partPath = function() {
+        return this.storage.getFilePath(this.fileName + PART_SUFFIX);
+    };
+
+    /**
+     * Starts the download, or resumes it
+     * @param {Function} callbackProgress Called with the Download whenever its state or its progress changes
+     * @returns {Promise} that resolves to the path of the ZIM file in the storage, once it is downloaded and verified.
+     *     It is rejected with a CancellationError if the download is paused, and with an Error if it fails
+     */
+    Download.prototype.start = function(callbackProgress) {
+        var that = this;
+        var partPath = this._partPath();
+        var writer = null;
+        var notify = function(state) {
+            that.state = state;
+            if (callbackProgress) {
+                callbackProgress(that);
+            }
+        };
+        var closeWriter = function() {
+            var closing = writer ? writer.close() : Q();
+            writer = null;
+            return closing;
+        };
+        this._paused = false;
+        this.error = null;
+        notify(DOWNLOADING);
+        return Q(this.storage.openFileForAppending(partPath)).fail(function(error) {
+            throw new Error("Unable to write the file : " + error);
+        }).then(function(fileWriter) {
+            writer = fileWriter;
+            that.downloadedSize = writer.size;
+            notify(DOWNLOADING);
+            return that._downloadParts(writer, 0, function() {
+                notify(DOWNLOADING);
+            });
+        }).then(function() {
+            return closeWriter();
+        }).then(function() {
+            if (regexpSplitPart.test(that.fileName)) {
+                return;
+            }
+            that.verificationProgress = 0;
+            notify(VERIFYING);
+            return that._verify(partPath, function() {
+                notify(VERIFYING);
+            });
+        }).then(function() {
+            return Q(that.storage.renameFile(partPath, that.fileName)).fail(function(error) {
+                throw new Error("Unable to rename the file : " + error);
+            });
+        }).then(function(path) {
+            that.path = path;
+            notify(COMPLETED);
+            return path;
+        }, function(error) {
+            // What has been downloaded is kept, so that the download can be resumed
+            return closeWriter().fin(function() {
+                if (error instanceof util.CancellationError) {
+                    notify(PAUSED);
+                }
+                else {
+                    that.error = error.message || String(error);
+                    notify(that.state === DOWNLOADING && error.isTemporary ? PAUSED : FAILED);
+                }
+                throw error;
+            });
+        });
+    };
+
+    /**
+     * Stops the download : it can be resumed later
+     * (the checksum verification can not be paused)
+     */
+    Download.prototype.pause = function() {
+        this._paused = true;
+        if (this._request) {
+            this._request.abort();
+        }
+    };
+
+    /**
+     * Deletes what has been downloaded. The download has to be paused or failed
+     * @returns {Promise} that resolves once the file is deleted
+     */
+    Download.prototype.remove = function() {
+        return Q(this.storage.removeFile(this._partPath())).fail(function(error) {
+            // The file may not have been created yet
+            console.error("Unable to delete the downloaded file", error);
+        });
+    };
+
+    /**
+     * Requests the parts of the file one after the other, and writes them
+     * @param {Object} writer Writer of the file (see openFileForAppending)
+     * @param {Integer} attempt Number of the attempt to get the next part (0 the first time)
+     * @param {Function} callbackProgress Called after each part
+     * @returns {Promise} that resolves once the whole file is written
+     */
+    Download.prototype._downloadParts = function(writer, attempt, callbackProgress) {
+        var that = this;
+        if (this._paused) {
+            return Q.reject(new util.CancellationError("The download has been paused"));
+        }
+        if (this.size !== null && this.downloadedSize >= this.size) {
+            return Q();
+        }
+        return this._requestPart(this.downloadedSize).then(function(blob) {
+            if (blob === null) {
+                // There is nothing after the data already downloaded
+                that.size = that.downloadedSize;
+                return;
+            }
+            return Q(writer.append(blob)).fail(function(error) {
+                throw new Error("Unable to write the file : " + error);
+            }).then(function() {
+                that.downloadedSize += blob.size;
+                callbackProgress();
+                return that._downloadParts(writer, 0, callbackProgress);
+            });
+        }, function(error) {
+            if (!error.isTemporary || attempt >= MAX_RETRIES || that._paused) {
+                throw error;
+            }
+            return Q.delay(that.retryDelay * (attempt + 1)).then(function() {
+                return that._downloadParts(writer, attempt + 1, callbackProgress);
+            });
+        });
+    };
+
+    /**
+     * Creates an error after which the download can be retried (network or server error)
+     * @param {String} message
+     * @returns {Error}
+     */
+    function temporaryError(message) {
+        var error = new Error(message);
+        error.isTemporary = true;
+        return error;
+    }
+
+    /**
+     * Requests a part of the file from the server
+     * @param {Integer} begin Position of the part
+     * @returns {Promise} that resolves to a Blob, or to null if the file ends before this position
+     */
+    Download.prototype._requestPart = function(begin) {
+        var that = this;
+        return Q.Promise(function(resolve, reject) {
+            var request = new XMLHttpRequest();
+            that._request = request;
+            request.open('GET', that.url, true);
+            request.responseType = 'blob';
+            request.setRequestHeader('Range', 'bytes=' + begin + '-' + (begin + CHUNK_SIZE - 1));
+            request.onload = function() {
+                that._request = null;
+                if (request.status === 206) {
+                    var regexpResults = /^bytes\s+(\d+)-\d+\/(\d+)/.exec(request.getResponseHeader('Content-Range') || '');
+                    if (!regexpResults || parseInt(regexpResults[1], 10) !== begin) {
+                        reject(new Error("The server has not sent the requested part of the file"));
+                        return;
+                    }
+                    that.size = parseInt(regexpResults[2], 10);
+                    resolve(request.response);
+                }
+                else if (request.status === 416) {
+                    resolve(null);
+                }
+                else if (request.status === 200) {
+                    reject(new Error("The server does not support the Range requests needed to resume the downloads"));
+                }
+                else if (request.status >= 500) {
+                    reject(temporaryError("The server has failed to send the file (HTTP status " + request.status + ")"));
+                }
+                else {
+                    reject(new Error("Unable to download " + that.url + " (HTTP status " + request.status + ")"));
+                }
+            };
+            request.onerror = function() {
+                that._request = null;
+                reject(temporaryError("The server can not be reached"));
+            };
+            request.onabort = function() {
+                that._request = null;
+                reject(new util.CancellationError("The download has been paused"));
+            };
+            request.send(null);
+        });
+    };
+
+    /**
+     * Verifies the MD5 checksum of the downloaded file. If the file is corrupted, it is deleted
+     * @param {String} partPath
+     * @param {Function} callbackProgress Called while the file is read
+     * @returns {Promise} that resolves if the file is valid, and is rejected with an Error otherwise
+     */
+    Download.prototype._verify = function(partPath, callbackProgress) {
+        var that = this;
+        return Q(this.storage.get(partPath)).fail(function(error) {
+            throw new Error("Unable to read the downloaded file : " + error);
+        }).then(function(file) {
+            return zimfile.fromFileArray([file]);
+        }).then(function(file) {
+            return Q.Promise(function(resolve, reject) {
+                file.verifyChecksum(function(progress) {
+                    that.verificationProgress = progress;
+                    callbackProgress();
+                }, function(valid, error) {
+                    if (error) {
+                        reject(new Error("The checksum of the downloaded file could not be verified : " + error));
+                    }
+                    else if (valid) {
+                        resolve();
+                    }
+                    else {
+                        that.downloadedSize = 0;
+                        that.remove().fin(function() {
+                            reject(new Error("The downloaded file is corrupted : it has been deleted, please download it again"));
+                        });
+                    }
+                });
+            });
+        });
+    };
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        Download: Download,
+        PAUSED: PAUSED,
+        DOWNLOADING: DOWNLOADING,
+        VERIFYING: VERIFYING,
+        COMPLETED: COMPLETED,
+        FAILED: FAILED
+    };
+});
@@ -0,0 +1,377 @@
+/**
+ * fullTextIndex.js : Inverted index of the words of the articles of an archive, stored in IndexedDB.
+ * It is built in the background, batch after batch, so that it can be paused and resumed later
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['fullTextSearch', 'normalize_string', 'utf8', 'idb', 'q'], function(fullTextSearch, normalize_string, utf8, idb, Q) {
+
+    // Name of the IndexedDB database
+    var DB_NAME = 'kiwix-fulltext-indexes';
+    // Postings of each batch of articles, whose keys are [uuid, term, first URL index of the batch]
+    // (for Evopedia archives, the id of the archive and the first bzip2 block of the batch)
+    var POSTINGS_STORE = 'postings';
+    // Progress of the indexing of each archive, whose keys are the UUIDs of the archives
+    var STATE_STORE = 'states';
+    // Version of the format of the stored indexes : indexes of another version are rebuilt
+    var INDEX_FORMAT_VERSION = 1;
+    // Number of directory entries (articles or not) indexed at once, and stored in one transaction
+    var BATCH_SIZE = 500;
+    // Number of bzip2 blocks of an Evopedia archive indexed at once
+    var EVOPEDIA_BATCH_SIZE = 10;
+    // Shorter and longer words are not indexed
+    var MIN_TERM_LENGTH = 2;
+    var MAX_TERM_LENGTH = 64;
+    // Parameters of the BM25 ranking
+    var BM25_K1 = 1.2;
+    var BM25_B = 0.75;
+
+    // Punctuation, symbols and spaces, that separate the words
+    var regexpSeparators = /[\s\u0000-\u002f\u003a-\u0040\u005b-\u0060\u007b-\u00bf\u00d7\u00f7\u2000-\u206f\u3000-\u303f]+/;
+
+    /**
+     * Splits a text into normalized words (whatever their case and diacritics)
+     * @param {String} text
+     * @returns {Array.<String>}
+     */
+    function tokenize(text) {
+        return normalize_string.normalizeTitle(text).split(regexpSeparators).filter(function(term) {
+            return term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH;
+        });
+    }
+
+    /**
+     * Progress of the indexing of an archive.
+     * Evopedia archives are indexed block after block : their entries are their bzip2 blocks
+     *
+     * @typedef FullTextIndexState
+     * @property {Integer} version Format of the index
+     * @property {Integer} nextUrlIndex URL index of the first directory entry that is not indexed yet
+     * @property {Integer} entryCount Number of directory entries of the archive
+     * @property {Integer} documentCount Number of articles indexed
+     * @property {Integer} totalLength Number of words of the articles indexed
+     * @property {Boolean} complete true if all the articles are indexed
+     */
+
+    /**
+     * Opens the IndexedDB database, creating it if necessary
+     * @returns {Promise} that resolves to the IDBDatabase
+     */
+    function openDatabase() {
+        return idb.openDatabase(DB_NAME, 1, function(db) {
+            db.createObjectStore(POSTINGS_STORE);
+            db.createObjectStore(STATE_STORE);
+        });
+    }
+
+    /**
+     * Reads the progress of the indexing of an archive
+     * @param {IDBDatabase} db
+     * @param {String} uuid UUID of the archive
+     * @returns {Promise} that resolves to the FullTextIndexState, or null if the indexing has not started
+     */
+    function readState(db, uuid) {
+        var state = null;
+        var transaction = db.transaction(STATE_STORE, 'readonly');
+        transaction.objectStore(STATE_STORE).get(uuid).onsuccess = function(event) {
+            state = event.target.result;
+        };
+        return idb.transactionComplete(transaction).then(function() {
+            return state && state.version === INDEX_FORMAT_VERSION ? state : null;
+        });
+    }
+
+    /**
+     * Gives the progress of the indexing of an archive
+     * @param {String} uuid UUID of the archive (or its id, for Evopedia archives)
+     * @returns {Promise} that resolves to the FullTextIndexState, or null if the indexing has not started
+     */
+    function loadState(uuid) {
+        return openDatabase().then(function(db) {
+            return readState(db, uuid).fin(function() {
+                db.close();
+            });
+        });
+    }
+
+    /**
+     * @typedef FullTextIndexBatch
+     * @property {Object} postings For each term, a flat list of URL index, term frequency and length of the article
+     * @property {Integer} documentCount Number of articles of the batch
+     * @property {Integer} totalLength Number of words of the articles of the batch
+     */
+
+    /**
+     * @callback callbackReadBatch
+     * @param {Integer} start First entry of the batch
+     * @param {Integer} end Entry after the last one of the batch
+     * @returns {Promise} that resolves to the FullTextIndexBatch
+     */
+
+    /**
+     * Indexes the entries of an archive that are not indexed yet, batch after batch.
+     * Each batch is stored with the progress in a single transaction : if the indexing is stopped,
+     * it can be resumed after the last batch stored.
+     * @param {String} uuid UUID of the archive
+     * @param {Integer} entryCount Number of entries of the archive
+     * @param {Integer} batchSize Number of entries indexed at once
+     * @param {callbackReadBatch} readBatch
+     * @param {callbackFullTextSearchProgress} callbackProgress
+     * @returns {Promise} that resolves when all the entries are indexed
+     */
+    function indexBatches(uuid, entryCount, batchSize, readBatch, callbackProgress) {
+        return openDatabase().then(function(db) {
+            return readState(db, uuid).then(function(state) {
+                if (state) {
+                    return state;
+                }
+                // The postings of another version of the index are removed before starting again
+                var transaction = db.transaction([POSTINGS_STORE, STATE_STORE], 'readwrite');
+                transaction.objectStore(POSTINGS_STORE).delete(IDBKeyRange.bound([uuid], [uuid, []]));
+                transaction.objectStore(STATE_STORE).delete(uuid);
+                return idb.transactionComplete(transaction).then(function() {
+                    return {
+                        version: INDEX_FORMAT_VERSION,
+                        nextUrlIndex: 0,
+                        entryCount: entryCount,
+                        documentCount: 0,
+                        totalLength: 0,
+                        complete: false
+                    };
+                });
+            }).then(function(state) {
+                var indexBatch = function() {
+                    if (state.complete) {
+                        return;
+                    }
+                    var start = state.nextUrlIndex;
+                    var end = Math.min(start + batchSize, state.entryCount);
+                    return readBatch(start, end).then(function(batch) {
+                        var transaction = db.transaction([POSTINGS_STORE, STATE_STORE], 'readwrite');
+                        var postingsStore = transaction.objectStore(POSTINGS_STORE);
+                        for (var term in batch.postings) {
+                            postingsStore.put(batch.postings[term], [uuid, term, start]);
+                        }
+                        state.nextUrlIndex = end;
+                        state.documentCount += batch.documentCount;
+                        state.totalLength += batch.totalLength;
+                        state.complete = end >= state.entryCount;
+                        transaction.objectStore(STATE_STORE).put(state, uuid);
+                        return idb.transactionComplete(transaction);
+                    }).then(function() {
+                        callbackProgress(state.entryCount ? state.nextUrlIndex / state.entryCount : 1);
+                        return indexBatch();
+                    });
+                };
+                return indexBatch();
+            }).fin(function() {
+                db.close();
+            });
+        });
+    }
+
+    /**
+     * Adds the words of an article to the postings of a batch
+     * @param {FullTextIndexBatch} batch
+     * @param {Integer} urlIndex URL index of the article (or offset of its title, in Evopedia archives)
+     * @param {String} text Text of the article
+     */
+    function addArticle(batch, urlIndex, text) {
+        var terms = tokenize(text);
+        var frequencies = Object.create(null);
+        terms.forEach(function(term) {
+            frequencies[term] = (frequencies[term] || 0) + 1;
+        });
+        for (var term in frequencies) {
+            (batch.postings[term] = batch.postings[term] || []).push(urlIndex, frequencies[term], terms.length);
+        }
+        batch.documentCount++;
+        batch.totalLength += terms.length;
+    }
+
+    /**
+     * Indexes the articles of a ZIM archive that are not indexed yet, batch after batch.
+     * It takes a while on big archives : it is meant to be called in a WebWorker
+     * @param {ZIMArchive} archive
+     * @param {callbackFullTextSearchProgress} callbackProgress
+     * @returns {Promise} that resolves when all the articles are indexed
+     */
+    function buildIndex(archive, callbackProgress) {
+        return indexBatches(archive._file.uuid, archive._file.articleCount, BATCH_SIZE, function(start, end) {
+            return readBatchPostings(archive, start, end);
+        }, callbackProgress);
+    }
+
+    /**
+     * Reads the articles of a range of directory entries, and gives their postings
+     * @param {ZIMArchive} archive
+     * @param {Integer} start URL index of the first directory entry
+     * @param {Integer} end URL index after the last directory entry
+     * @returns {Promise} that resolves to the FullTextIndexBatch
+     */
+    function readBatchPostings(archive, start, end) {
+        var reads = [];
+        for (var i = start; i < end; i++) {
+            reads.push(archive._file.dirEntryByUrlIndex(i));
+        }
+        return Q.all(reads).then(function(dirEntries) {
+            var articles = [];
+            dirEntries.forEach(function(dirEntry, i) {
+                var title = archive._dirEntryToTitleObject(dirEntry);
+                if (!title.isRedirect() && title.isArticle()) {
+                    articles.push({urlIndex: start + i, title: title});
+                }
+            });
+            // Reading the articles in the order of their clusters decompresses each cluster only once
+            articles.sort(function(a, b) {
+                return a.title.cluster - b.title.cluster || a.title.blob - b.title.blob;
+            });
+            var batch = {postings: Object.create(null), documentCount: 0, totalLength: 0};
+            var indexArticle = function(i) {
+                if (i >= articles.length) {
+                    return batch;
+                }
+                return articles[i].title.readData().then(function(data) {
+                    addArticle(batch, articles[i].urlIndex, fullTextSearch.htmlToText(utf8.parse(data)));
+                    return indexArticle(i + 1);
+                });
+            };
+            return indexArticle(0);
+        });
+    }
+
+    /**
+     * Indexes the articles of an Evopedia archive that are not indexed yet, bzip2 block after block.
+     * The articles are identified by the offset of their title in the title file.
+     * It takes a while on big archives : it is meant to be called in a WebWorker
+     * @param {LocalArchive} archive The archive, or an object with the same _titleFile, _dataFiles and _language
+     * @param {String} id Id of the archive, that is used instead of a UUID
+     * @param {callbackFullTextSearchProgress} callbackProgress
+     * @returns {Promise} that resolves when all the articles are indexed
+     */
+    function buildEvopediaIndex(archive, id, callbackProgress) {
+        return fullTextSearch.listEvopediaBlocks(archive).then(function(blockList) {
+            return indexBatches(id, blockList.length, EVOPEDIA_BATCH_SIZE, function(start, end) {
+                var batch = {postings: Object.create(null), documentCount: 0, totalLength: 0};
+                var indexBlock = function(i) {
+                    if (i >= end) {
+                        return batch;
+                    }
+                    var block = blockList[i];
+                    return fullTextSearch.readEvopediaBlock(block).then(function(texts) {
+                        block.titles.forEach(function(title, j) {
+                            addArticle(batch, title._titleOffset, texts[j]);
+                        });
+                        return indexBlock(i + 1);
+                    });
+                };
+                return indexBlock(start);
+            }, callbackProgress);
+        });
+    }
+
+    /**
+     * Reads the postings of a term, in all the batches
+     * @param {IDBObjectStore} postingsStore
+     * @param {String} uuid UUID of the archive
+     * @param {String} term
+     * @param {Array.<Integer>} postings Flat list of URL index, term frequency and length of the article, to complete
+     */
+    function readPostings(postingsStore, uuid, term, postings) {
+        postingsStore.openCursor(IDBKeyRange.bound([uuid, term, 0], [uuid, term, Infinity])).onsuccess = function(event) {
+            var cursor = event.target.result;
+            if (cursor) {
+                Array.prototype.push.apply(postings, cursor.value);
+                cursor.continue();
+            }
+        };
+    }
+
+    /**
+     * Looks for the articles that contain the words of the query, whatever their case and diacritics.
+     * The articles are ranked with BM25 : the ones containing more words of the query, and rarer ones, come first.
+     * If the index is not complete, only the articles already indexed are found
+     * @param {String} uuid UUID of the archive (or its id, for Evopedia archives)
+     * @param {String} query
+     * @param {Integer} size Maximum number of results
+     * @returns {Promise} that resolves to the URL indexes of the articles found, best ones first
+     *     (or the offsets of their titles, in Evopedia archives), or is rejected if the indexing of the archive has not started
+     */
+    function search(uuid, query, size) {
+        var terms = tokenize(query).filter(function(term, i, terms) {
+            return terms.indexOf(term) === i;
+        });
+        return openDatabase().then(function(db) {
+            return readState(db, uuid).then(function(state) {
+                if (!state) {
+                    throw new Error("The full-text index of this archive has not been built");
+                }
+                var postingsByTerm = terms.map(function() {
+                    return [];
+                });
+                var transaction = db.transaction(POSTINGS_STORE, 'readonly');
+                terms.forEach(function(term, i) {
+                    readPostings(transaction.objectStore(POSTINGS_STORE), uuid, term, postingsByTerm[i]);
+                });
+                return idb.transactionComplete(transaction).then(function() {
+                    return rank(postingsByTerm, state, size);
+                });
+            }).fin(function() {
+                db.close();
+            });
+        });
+    }
+
+    /**
+     * Computes the BM25 score of the articles found
+     * @param {Array.<Array.<Integer>>} postingsByTerm Postings of each term of the query
+     * @param {FullTextIndexState} state
+     * @param {Integer} size Maximum number of results
+     * @returns {Array.<Integer>} the URL indexes of the best articles, best ones first
+     */
+    function rank(postingsByTerm, state, size) {
+        var averageLength = state.totalLength / Math.max(1, state.documentCount);
+        var scores = Object.create(null);
+        postingsByTerm.forEach(function(postings) {
+            var documentFrequency = postings.length / 3;
+            var idf = Math.log(1 + (state.documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+            for (var i = 0; i < postings.length; i += 3) {
+                var frequency = postings[i + 1];
+                var lengthRatio = postings[i + 2] / averageLength;
+                scores[postings[i]] = (scores[postings[i]] || 0)
+                        + idf * frequency * (BM25_K1 + 1) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+            }
+        });
+        return Object.keys(scores).sort(function(a, b) {
+            return scores[b] - scores[a] || a - b;
+        }).slice(0, size).map(Number);
+    }
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        tokenize: tokenize,
+        loadState: loadState,
+        buildIndex: buildIndex,
+        buildEvopediaIndex: buildEvopediaIndex,
+        search: search
+    };
+});
@@ -0,0 +1,363 @@
+/**
+ * fullTextSearch.js : Search of a text or a regular expression in the content of all the articles.
+ * There is no full-text index : the articles are all decompressed and read, in a WebWorker
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['titleIterators', 'bzip2', 'utf8', 'util', 'q'], function(titleIterators, bzip2, utf8, util, Q) {
+
+    // Number of characters kept before and after the match, in the snippets
+    var SNIPPET_CONTEXT_LENGTH = 60;
+    // Number of directory entries read at once, when searching the articles of a ZIM archive
+    var DIRENTRY_BATCH_SIZE = 256;
+
+    var regexpInvisibleElements = /<(script|style|head)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+    var regexpComments = /<!--[\s\S]*?-->/g;
+    var regexpTags = /<[^>]*>/g;
+    var regexpEntities = /&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi;
+    var regexpWhitespaces = /\s+/g;
+    var regexpSpecialCharacters = /[.*+?^${}()|[\]\\]/g;
+
+    var NAMED_ENTITIES = {
+        amp: '&',
+        lt: '<',
+        gt: '>',
+        quot: '"',
+        apos: "'",
+        nbsp: ' '
+    };
+
+    /**
+     * Extracts the text of an HTML article : tags, scripts and styles are removed,
+     * the usual entities are decoded and the whitespaces are collapsed
+     * @param {String} html
+     * @returns {String}
+     */
+    function htmlToText(html) {
+        return html.replace(regexpInvisibleElements, ' ')
+                .replace(regexpComments, ' ')
+                .replace(regexpTags, ' ')
+                .replace(regexpEntities, function(entity, decimal, hexadecimal, name) {
+                    if (decimal) {
+                        return String.fromCharCode(parseInt(decimal, 10));
+                    }
+                    if (hexadecimal) {
+                        return String.fromCharCode(parseInt(hexadecimal, 16));
+                    }
+                    var character = NAMED_ENTITIES[name.toLowerCase()];
+                    return character === undefined ? entity : character;
+                })
+                .replace(regexpWhitespaces, ' ')
+                .trim();
+    }
+
+    /**
+     * Creates the regular expression that finds the query in the text of the articles, whatever its case
+     * @param {String} query Text to look for, or a regular expression
+     * @param {Boolean} isRegExp true if the query is a regular expression
+     * @returns {RegExp}
+     * @throws {SyntaxError} if the regular expression is not valid
+     */
+    function createMatcher(query, isRegExp) {
+        if (!isRegExp) {
+            query = query.replace(regexpSpecialCharacters, '\\$&');
+        }
+        return new RegExp(query, 'i');
+    }
+
+    /**
+     * Looks for the matcher in the text, and gives the part of the text around the first match
+     * @param {String} text
+     * @param {RegExp} matcher
+     * @returns {String} the snippet, or null if the text does not match
+     */
+    function findSnippet(text, matcher) {
+        var match = matcher.exec(text);
+        if (match === null) {
+            return null;
+        }
+        var start = Math.max(0, match.index - SNIPPET_CONTEXT_LENGTH);
+        var end = Math.min(text.length, match.index + match[0].length + SNIPPET_CONTEXT_LENGTH);
+        return (start > 0 ? '...' : '') + text.substring(start, end) + (end < text.length ? '...' : '');
+    }
+
+    /**
+     * @typedef FullTextSearchResult
+     * @property {String} titleId Id of the title of the article (see parseTitleId of the archive)
+     * @property {String} title Readable name of the title
+     * @property {String} snippet Text of the article around the first match
+     */
+
+    /**
+     * @callback callbackFullTextSearchResult
+     * @param {FullTextSearchResult} result An article that matches
+     */
+
+    /**
+     * @callback callbackFullTextSearchProgress
+     * @param {Number} progress Fraction of the archive already searched, between 0 and 1
+     */
+
+    /**
+     * @callback callbackFullTextSearchEnd
+     * @param {String} error Reason why the search failed, or null if it is over
+     */
+
+    /**
+     * Reads all the articles of a ZIM archive, cluster after cluster, and gives the ones that match.
+     * The directory entries are read first, to group the articles by cluster : so each cluster is decompressed only once.
+     * It takes a while on big archives : it is meant to be called in a WebWorker
+     * @param {ZIMArchive} archive
+     * @param {RegExp} matcher
+     * @param {Integer} maxResults The search stops when this number of articles has been found
+     * @param {callbackFullTextSearchResult} callbackResult
+     * @param {callbackFullTextSearchProgress} callbackProgress Called after each cluster, with the part of the clusters of articles searched
+     * @returns {Promise} that resolves when the search is over
+     */
+    function searchZIMArchive(archive, matcher, maxResults, callbackResult, callbackProgress) {
+        var file = archive._file;
+        // Titles of the articles, by cluster number
+        var clusters = {};
+        var readDirEntries = function(start) {
+            if (start >= file.articleCount) {
+                return Q();
+            }
+            var end = Math.min(start + DIRENTRY_BATCH_SIZE, file.articleCount);
+            var reads = [];
+            for (var i = start; i < end; i++) {
+                reads.push(file.dirEntryByUrlIndex(i));
+            }
+            return Q.all(reads).then(function(dirEntries) {
+                dirEntries.forEach(function(dirEntry) {
+                    var title = archive._dirEntryToTitleObject(dirEntry);
+                    if (!title.isRedirect() && title.isArticle()) {
+                        (clusters[title.cluster] = clusters[title.cluster] || []).push(title);
+                    }
+                });
+                return readDirEntries(end);
+            });
+        };
+        return readDirEntries(0).then(function() {
+            var clusterList = Object.keys(clusters).map(Number).sort(function(a, b) {
+                return a - b;
+            });
+            var resultCount = 0;
+            var readCluster = function(i) {
+                if (i >= clusterList.length || resultCount >= maxResults) {
+                    return;
+                }
+                var articles = clusters[clusterList[i]].sort(function(a, b) {
+                    return a.blob - b.blob;
+                });
+                var readArticle = function(j) {
+                    if (j >= articles.length || resultCount >= maxResults) {
+                        return;
+                    }
+                    var title = articles[j];
+                    return title.readData().then(function(data) {
+                        var snippet = findSnippet(htmlToText(utf8.parse(data)), matcher);
+                        if (snippet !== null) {
+                            resultCount++;
+                            callbackResult({titleId: title.toStringId(), title: title.getReadableName(), snippet: snippet});
+                        }
+                        return readArticle(j + 1);
+                    });
+                };
+                return Q(readArticle(0)).then(function() {
+                    callbackProgress((i + 1) / clusterList.length);
+                    return readCluster(i + 1);
+                });
+            };
+            return readCluster(0);
+        });
+    }
+
+    /**
+     * A bzip2 block of a data file of an Evopedia archive
+     *
+     * @typedef EvopediaBlock
+     * @property {File} file Data file
+     * @property {Integer} start Offset of the block in the data file
+     * @property {Integer} end Offset of the next block (or size of the data file)
+     * @property {Array.<Title>} titles Titles of the articles of the block
+     */
+
+    /**
+     * Lists the bzip2 blocks of the data files of an Evopedia archive, with the titles of their articles
+     * @param {LocalArchive} archive The archive, or an object with the same _titleFile, _dataFiles and _language
+     * @returns {Promise} that resolves to the Array of EvopediaBlocks, in the order of the data files
+     */
+    function listEvopediaBlocks(archive) {
+        // Titles of the articles, by data file number and then by start of their bzip2 block
+        var blocks = {};
+        return titleIterators.scanTitles(archive, 0, function(title) {
+            if (!title.isRedirect()) {
+                var fileBlocks = blocks[title._fileNr] = blocks[title._fileNr] || {};
+                (fileBlocks[title._blockStart] = fileBlocks[title._blockStart] || []).push(title);
+            }
+        }).then(function() {
+            // A block ends where the next one starts (or at the end of the data file)
+            var blockList = [];
+            Object.keys(blocks).forEach(function(fileNr) {
+                var dataFile = findDataFile(archive._dataFiles, fileNr);
+                if (!dataFile) {
+                    throw new Error("File number " + fileNr + " not found");
+                }
+                var blockStarts = Object.keys(blocks[fileNr]).map(Number).sort(function(a, b) {
+                    return a - b;
+                });
+                blockStarts.forEach(function(blockStart, i) {
+                    blockList.push({
+                        file: dataFile,
+                        start: blockStart,
+                        end: i + 1 < blockStarts.length ? blockStarts[i + 1] : dataFile.size,
+                        titles: blocks[fileNr][blockStart]
+                    });
+                });
+            });
+            return blockList;
+        });
+    }
+
+    /**
+     * Decompresses a bzip2 block of an Evopedia archive, and gives the text of its articles
+     * @param {EvopediaBlock} block
+     * @returns {Promise} that resolves to the Array of the texts of the articles, in the order of block.titles
+     */
+    function readEvopediaBlock(block) {
+        return util.readFileSlice(block.file, block.start, block.end - block.start).then(function(compressedArticles) {
+            var htmlArticles = bzip2.simple(bzip2.array(compressedArticles));
+            return block.titles.map(function(title) {
+                var htmlArticle = htmlArticles.substring(title._blockOffset, title._blockOffset + title._articleLength);
+                // Decode UTF-8 encoding
+                return htmlToText(decodeURIComponent(escape(htmlArticle)));
+            });
+        });
+    }
+
+    /**
+     * Reads all the articles of an Evopedia archive, block after block, and gives the ones that match.
+     * It takes a while on big archives : it is meant to be called in a WebWorker
+     * @param {LocalArchive} archive The archive, or an object with the same _titleFile, _dataFiles and _language
+     * @param {RegExp} matcher
+     * @param {Integer} maxResults The search stops when this number of articles has been found
+     * @param {callbackFullTextSearchResult} callbackResult
+     * @param {callbackFullTextSearchProgress} callbackProgress
+     * @returns {Promise} that resolves when the search is over
+     */
+    function searchEvopediaArchive(archive, matcher, maxResults, callbackResult, callbackProgress) {
+        return listEvopediaBlocks(archive).then(function(blockList) {
+            var resultCount = 0;
+            var readBlock = function(i) {
+                if (i >= blockList.length || resultCount >= maxResults) {
+                    return;
+                }
+                var block = blockList[i];
+                return readEvopediaBlock(block).then(function(texts) {
+                    for (var j = 0; j < block.titles.length && resultCount < maxResults; j++) {
+                        var title = block.titles[j];
+                        var snippet = findSnippet(texts[j], matcher);
+                        if (snippet !== null) {
+                            resultCount++;
+                            callbackResult({titleId: title.toStringId(), title: title.getReadableName(), snippet: snippet});
+                        }
+                    }
+                    callbackProgress((i + 1) / blockList.length);
+                    return readBlock(i + 1);
+                });
+            };
+            return readBlock(0);
+        });
+    }
+
+    /**
+     * Finds the data file of an Evopedia archive with the given number
+     * @param {Array.<File>} dataFiles
+     * @param {Integer} fileNr
+     * @returns {File} the data file, or undefined if it is missing
+     */
+    function findDataFile(dataFiles, fileNr) {
+        var expectedFileName = "wikipedia_" + (fileNr < 10 ? "0" : "") + fileNr + ".dat";
+        // In case of DeviceStorage usage, the file name is prefixed by the directory
+        return dataFiles.filter(function(dataFile) {
+            return dataFile && dataFile.name.slice(-expectedFileName.length) === expectedFileName;
+        })[0];
+    }
+
+    /**
+     * Starts a full-text search (or the indexing of the articles) in a WebWorker, so that the user interface is not blocked
+     * @param {String} cmd Command of the WebWorker, depending on the kind of archive
+     * @param {Object} msg Files of the archive and query, for the WebWorker
+     * @param {callbackFullTextSearchResult} callbackResult Optional : not called when indexing
+     * @param {callbackFullTextSearchProgress} callbackProgress
+     * @param {callbackFullTextSearchEnd} callbackEnd
+     * @returns {Object} an object with a cancel() function, that stops the work (callbackEnd is then not called)
+     */
+    function startWorker(cmd, msg, callbackResult, callbackProgress, callbackEnd) {
+        // When using the application normally, there's no prefix
+        // But the prefix www is needed when using unit tests
+        var webworkerFullText = new Worker(PREFIX_PATH_WEBWORKER_FULLTEXT + "js/lib/webworker_fulltext.js");
+        webworkerFullText.onerror = function(event) {
+            webworkerFullText.terminate();
+            callbackEnd("An unexpected error occured in the full-text WebWorker : " + event.message);
+        };
+        webworkerFullText.onmessage = function(event) {
+            switch (event.data.cmd) {
+                case "result":
+                    callbackResult(event.data.msg);
+                    break;
+                case "progress":
+                    callbackProgress(event.data.msg);
+                    break;
+                case "end":
+                    webworkerFullText.terminate();
+                    callbackEnd(null);
+                    break;
+                case "debug":
+                    console.log(event.data.msg);
+                    break;
+                case "error":
+                    webworkerFullText.terminate();
+                    callbackEnd(event.data.msg);
+                    break;
+            }
+        };
+        webworkerFullText.postMessage({cmd: cmd, msg: msg});
+        return {
+            cancel: function() {
+                webworkerFullText.terminate();
+            }
+        };
+    }
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        htmlToText: htmlToText,
+        createMatcher: createMatcher,
+        findSnippet: findSnippet,
+        searchZIMArchive: searchZIMArchive,
+        listEvopediaBlocks: listEvopediaBlocks,
+        readEvopediaBlock: readEvopediaBlock,
+        searchEvopediaArchive: searchEvopediaArchive,
+        startWorker: startWorker
+    };
+});
@@ -0,0 +1,75 @@
+/**
+ * idb.js : Access to the IndexedDB databases of the application
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['q'], function(Q) {
+
+    /**
+     * Opens an IndexedDB database, creating it if necessary
+     * @param {String} name Name of the database
+     * @param {Integer} version Version of the database
+     * @param {Function} upgrade Function that is given the IDBDatabase and the previous version
+     *     (0 if the database did not exist), when the object stores have to be created or changed
+     * @returns {Promise} that resolves to the IDBDatabase
+     */
+    function openDatabase(name, version, upgrade) {
+        return Q.Promise(function(resolve, reject) {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+            var request = indexedDB.open(name, version);
+            request.onupgradeneeded = function(event) {
+                upgrade(request.result, event.oldVersion);
+            };
+            request.onsuccess = function() {
+                resolve(request.result);
+            };
+            request.onerror = function() {
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Waits for the end of a transaction
+     * @param {IDBTransaction} transaction
+     * @returns {Promise} that resolves when the transaction is committed
+     */
+    function transactionComplete(transaction) {
+        return Q.Promise(function(resolve, reject) {
+            transaction.oncomplete = function() {
+                resolve();
+            };
+            transaction.onerror = transaction.onabort = function() {
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        openDatabase: openDatabase,
+        transactionComplete: transactionComplete
+    };
+});
@@ -0,0 +1,301 @@
+/**
+ * inflate.js : Decompressor of raw DEFLATE streams (RFC 1951), as written by zlib
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define([], function() {
+
+    // Base values and number of extra bits of the length codes (257 to 285) and of the distance codes
+    var LENGTH_BASES = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    var LENGTH_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+    var DISTANCE_BASES = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073,
+        4097, 6145, 8193, 12289, 16385, 24577];
+    var DISTANCE_EXTRA_BITS = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+    // Order in which the lengths of the code length codes are given, in a dynamic block
+    var CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+    var MAX_CODE_LENGTH = 15;
+
+    /**
+     * Canonical Huffman code, built from the length of the code of each symbol
+     *
+     * @typedef Huffman
+     * @property {Uint16Array} counts Number of codes of each length
+     * @property {Uint16Array} symbols Symbols, by order of their codes
+     *
+     * @param {Array.<Integer>} lengths
+     */
+    function Huffman(lengths) {
+        this.counts = new Uint16Array(MAX_CODE_LENGTH + 1);
+        this.symbols = new Uint16Array(lengths.length);
+        var offsets = new Uint16Array(MAX_CODE_LENGTH + 1);
+        var i;
+        for (i = 0; i < lengths.length; i++) {
+            this.counts[lengths[i]]++;
+        }
+        this.counts[0] = 0;
+        for (i = 1; i < MAX_CODE_LENGTH; i++) {
+            offsets[i + 1] = offsets[i] + this.counts[i];
+        }
+        for (i = 0; i < lengths.length; i++) {
+            if (lengths[i] !== 0) {
+                this.symbols[offsets[lengths[i]]++] = i;
+            }
+        }
+    };
+
+    // Fixed codes of the blocks compressed with the fixed Huffman codes
+    var fixedLengthCode;
+    var fixedDistanceCode;
+    (function() {
+        var lengths = [];
+        for (var i = 0; i < 288; i++) {
+            lengths[i] = i < 144 ? 8 : (i < 256 ? 9 : (i < 280 ? 7 : 8));
+        }
+        fixedLengthCode = new Huffman(lengths);
+        var distanceLengths = [];
+        for (var j = 0; j < 30; j++) {
+            distanceLengths[j] = 5;
+        }
+        fixedDistanceCode = new Huffman(distanceLengths);
+    })();
+
+    /**
+     * State of the decompression : compressed data read bit after bit, and output written so far
+     *
+     * @typedef Inflater
+     * @property {Uint8Array} _input
+     * @property {Integer} _inputPos Position of the next byte to read
+     * @property {Integer} _bitBuffer Bits read but not used yet
+     * @property {Integer} _bitCount Number of bits in _bitBuffer
+     * @property {Uint8Array} _output
+     * @property {Integer} _outputLength
+     *
+     * @param {Uint8Array} input
+     */
+    function Inflater(input) {
+        this._input = input;
+        this._inputPos = 0;
+        this._bitBuffer = 0;
+        this._bitCount = 0;
+        this._output = new Uint8Array(Math.max(1024, input.length * 4));
+        this._outputLength = 0;
+    };
+
+    /**
+     * Reads some bits (the first bits of the stream are the least significant ones)
+     * @param {Integer} count Number of bits, up to 16
+     * @returns {Integer}
+     */
+    Inflater.prototype._bits = function(count) {
+        while (this._bitCount < count) {
+            if (this._inputPos >= this._input.length) {
+                throw new Error("Unexpected end of the DEFLATE stream");
+            }
+            this._bitBuffer |= this._input[this._inputPos++] << this._bitCount;
+            this._bitCount += 8;
+        }
+        var value = this._bitBuffer & ((1 << count) - 1);
+        this._bitBuffer >>>= count;
+        this._bitCount -= count;
+        return value;
+    };
+
+    /**
+     * Reads a symbol encoded with the given code
+     * @param {Huffman} huffman
+     * @returns {Integer}
+     */
+    Inflater.prototype._symbol = function(huffman) {
+        var code = 0;
+        var first = 0;
+        var index = 0;
+        for (var length = 1; length <= MAX_CODE_LENGTH; length++) {
+            code |= this._bits(1);
+            var count = huffman.counts[length];
+            if (code - first < count) {
+                return huffman.symbols[index + code - first];
+            }
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error("Invalid Huffman code in the DEFLATE stream");
+    };
+
+    /**
+     * Makes sure that some more bytes can be written in the output
+     * @param {Integer} length
+     */
+    Inflater.prototype._reserve = function(length) {
+        if (this._outputLength + length > this._output.length) {
+            var output = new Uint8Array(Math.max(this._output.length * 2, this._outputLength + length));
+            output.set(this._output.subarray(0, this._outputLength));
+            this._output = output;
+        }
+    };
+
+    /**
+     * Copies a block that is not compressed
+     */
+    Inflater.prototype._storedBlock = function() {
+        // The block starts at the next byte boundary
+        this._bitBuffer = 0;
+        this._bitCount = 0;
+        var input = this._input;
+        var pos = this._inputPos;
+        if (pos + 4 > input.length) {
+            throw new Error("Unexpected end of the DEFLATE stream");
+        }
+        var length = input[pos] | (input[pos + 1] << 8);
+        var complement = input[pos + 2] | (input[pos + 3] << 8);
+        if (length !== (~complement & 0xffff)) {
+            throw new Error("Invalid stored block in the DEFLATE stream");
+        }
+        pos += 4;
+        if (pos + length > input.length) {
+            throw new Error("Unexpected end of the DEFLATE stream");
+        }
+        this._reserve(length);
+        this._output.set(input.subarray(pos, pos + length), this._outputLength);
+        this._outputLength += length;
+        this._inputPos = pos + length;
+    };
+
+    /**
+     * Decodes a block compressed with the given codes
+     * @param {Huffman} lengthCode Code of the literals and lengths
+     * @param {Huffman} distanceCode
+     */
+    Inflater.prototype._compressedBlock = function(lengthCode, distanceCode) {
+        for (;;) {
+            var symbol = this._symbol(lengthCode);
+            if (symbol < 256) {
+                this._reserve(1);
+                this._output[this._outputLength++] = symbol;
+            }
+            else if (symbol === 256) {
+                return;
+            }
+            else {
+                symbol -= 257;
+                if (symbol >= LENGTH_BASES.length) {
+                    throw new Error("Invalid length in the DEFLATE stream");
+                }
+                var length = LENGTH_BASES[symbol] + this._bits(LENGTH_EXTRA_BITS[symbol]);
+                var distanceSymbol = this._symbol(distanceCode);
+                if (distanceSymbol >= DISTANCE_BASES.length) {
+                    throw new Error("Invalid distance in the DEFLATE stream");
+                }
+                var distance = DISTANCE_BASES[distanceSymbol] + this._bits(DISTANCE_EXTRA_BITS[distanceSymbol]);
+                if (distance > this._outputLength) {
+                    throw new Error("Distance too far back in the DEFLATE stream");
+                }
+                this._reserve(length);
+                // The copy can overlap what it writes : it is done byte after byte
+                for (var i = 0; i < length; i++) {
+                    this._output[this._outputLength] = this._output[this._outputLength - distance];
+                    this._outputLength++;
+                }
+            }
+        }
+    };
+
+    /**
+     * Reads the codes of a block compressed with dynamic Huffman codes
+     * @returns {Array.<Huffman>} the code of the literals and lengths, and the code of the distances
+     */
+    Inflater.prototype._dynamicCodes = function() {
+        var lengthCount = this._bits(5) + 257;
+        var distanceCount = this._bits(5) + 1;
+        var codeLengthCount = this._bits(4) + 4;
+        var codeLengthLengths = [];
+        var i;
+        for (i = 0; i < 19; i++) {
+            codeLengthLengths[CODE_LENGTH_ORDER[i]] = i < codeLengthCount ? this._bits(3) : 0;
+        }
+        var codeLengthCode = new Huffman(codeLengthLengths);
+        var lengths = [];
+        while (lengths.length < lengthCount + distanceCount) {
+            var symbol = this._symbol(codeLengthCode);
+            if (symbol < 16) {
+                lengths.push(symbol);
+                continue;
+            }
+            var repeatedLength = 0;
+            var repeat;
+            if (symbol === 16) {
+                if (lengths.length === 0) {
+                    throw new Error("Invalid code lengths in the DEFLATE stream");
+                }
+                repeatedLength = lengths[lengths.length - 1];
+                repeat = 3 + this._bits(2);
+            }
+            else if (symbol === 17) {
+                repeat = 3 + this._bits(3);
+            }
+            else {
+                repeat = 11 + this._bits(7);
+            }
+            if (lengths.length + repeat > lengthCount + distanceCount) {
+                throw new Error("Invalid code lengths in the DEFLATE stream");
+            }
+            for (i = 0; i < repeat; i++) {
+                lengths.push(repeatedLength);
+            }
+        }
+        return [new Huffman(lengths.slice(0, lengthCount)), new Huffman(lengths.slice(lengthCount))];
+    };
+
+    /**
+     * Decompresses a raw DEFLATE stream (without zlib or gzip header)
+     * @param {Uint8Array} data
+     * @returns {Uint8Array} the decompressed data
+     * @throws {Error} if the stream is not valid
+     */
+    function inflateRaw(data) {
+        var inflater = new Inflater(data);
+        var isLastBlock;
+        do {
+            isLastBlock = inflater._bits(1) === 1;
+            var blockType = inflater._bits(2);
+            if (blockType === 0) {
+                inflater._storedBlock();
+            }
+            else if (blockType === 1) {
+                inflater._compressedBlock(fixedLengthCode, fixedDistanceCode);
+            }
+            else if (blockType === 2) {
+                var codes = inflater._dynamicCodes();
+                inflater._compressedBlock(codes[0], codes[1]);
+            }
+            else {
+                throw new Error("Invalid block type in the DEFLATE stream");
+            }
+        } while (!isLastBlock);
+        return inflater._output.subarray(0, inflater._outputLength);
+    }
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        inflateRaw: inflateRaw
+    };
+});
@@ -0,0 +1,352 @@
+/**
+ * library.js : Library of the archives the user has opened, stored in IndexedDB,
+ * so that they can be opened again without looking for them
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['idb', 'q'], function(idb, Q) {
+
+    // Name and version of the IndexedDB database
+    var DB_NAME = 'kiwix-library';
+    var DB_VERSION = 3;
+    // Archives of the library, whose keys are their ids
+    var DB_STORE = 'archives';
+    // Paths of the archives found in the device storage, whose keys are the paths
+    var STORAGE_PATHS_STORE = 'storagePaths';
+    // Downloads of ZIM files that are not completed, whose keys are the names of the files
+    var DOWNLOADS_STORE = 'downloads';
+
+    /**
+     * An archive of the library
+     *
+     * @typedef LibraryEntry
+     * @property {String} id Identity of the archive (see ArchiveInfo)
+     * @property {String} name Name under which the archive is displayed (that the user can change)
+     * @property {String} format
+     * @property {String} title
+     * @property {String} language
+     * @property {String} date
+     * @property {Integer} articleCount
+     * @property {Integer} fileSize
+     * @property {String} storagePath Directory of the archive in the device storage (null if it has been opened from files)
+     * @property {Array.<String>} fileNames Names of the files of the archive
+     * @property {Array.<FileSystemFileHandle>} fileHandles Handles to open the files again, if the browser can keep them
+     *     (null if the files have to be selected again)
+     * @property {Integer} lastOpened When the archive has been opened for the last time (in milliseconds since 1970)
+     * @property {Object} settings Settings of the user for this archive
+     */
+
+    /**
+     * A download of a ZIM file that is not completed, to resume it at the next launches (see downloadManager.Download)
+     *
+     * @typedef SavedDownload
+     * @property {String} url
+     * @property {String} fileName
+     * @property {Integer} size Size of the file (null if the server has not given it yet)
+     * @property {Integer} downloadedSize
+     */
+
+    /**
+     * Opens the IndexedDB database, creating it if necessary
+     * @returns {Promise} that resolves to the IDBDatabase
+     */
+    function openDatabase() {
+        return idb.openDatabase(DB_NAME, DB_VERSION, function(db, oldVersion) {
+            if (oldVersion < 1) {
+                db.createObjectStore(DB_STORE, {keyPath: 'id'});
+            }
+            if (oldVersion < 2) {
+                db.createObjectStore(STORAGE_PATHS_STORE);
+            }
+            if (oldVersion < 3) {
+                db.createObjectStore(DOWNLOADS_STORE, {keyPath: 'fileName'});
+            }
+        });
+    }
+
+    /**
+     * Runs a transaction on an object store of the library
+     * @param {String} storeName DB_STORE, STORAGE_PATHS_STORE or DOWNLOADS_STORE
+     * @param {String} mode 'readonly' or 'readwrite'
+     * @param {Function} operation Function that is given the object store, and that can set the result of the transaction
+     *     by returning a function that gives it
+     * @returns {Promise} that resolves to the result of the transaction, once it is complete
+     */
+    function runTransaction(storeName, mode, operation) {
+        return openDatabase().then(function(db) {
+            var transaction = db.transaction(storeName, mode);
+            var getResult = operation(transaction.objectStore(storeName));
+            return idb.transactionComplete(transaction).then(function() {
+                return getResult ? getResult() : undefined;
+            }).fin(function() {
+                db.close();
+            });
+        });
+    }
+
+    /**
+     * Changes an archive of the library
+     * @param {String} id
+     * @param {Function} change Function that is given the LibraryEntry (or undefined if there is none),
+     *     and that returns the LibraryEntry to store (or null to store nothing)
+     * @returns {Promise} that resolves to the LibraryEntry stored
+     */
+    function updateEntry(id, change) {
+        return runTransaction(DB_STORE, 'readwrite', function(store) {
+            var entry = null;
+            store.get(id).onsuccess = function(event) {
+                entry = change(event.target.result);
+                if (entry) {
+                    store.put(entry);
+                }
+            };
+            return function() {
+                return entry;
+            };
+        });
+    }
+
+    /**
+     * Lists the archives of the library
+     * @returns {Promise} that resolves to the Array of the LibraryEntries, the most recently opened first
+     */
+    function listEntries() {
+        return runTransaction(DB_STORE, 'readonly', function(store) {
+            var entries = [];
+            store.openCursor().onsuccess = function(event) {
+                var cursor = event.target.result;
+                if (cursor) {
+                    entries.push(cursor.value);
+                    cursor.continue();
+                }
+            };
+            return function() {
+                return entries.sort(function(a, b) {
+                    return b.lastOpened - a.lastOpened;
+                });
+            };
+        });
+    }
+
+    /**
+     * Reads an archive of the library
+     * @param {String} id
+     * @returns {Promise} that resolves to the LibraryEntry, or null if the archive is not in the library
+     */
+    function getEntry(id) {
+        return runTransaction(DB_STORE, 'readonly', function(store) {
+            var entry = null;
+            store.get(id).onsuccess = function(event) {
+                entry = event.target.result || null;
+            };
+            return function() {
+                return entry;
+            };
+        });
+    }
+
+    /**
+     * Adds an archive that has just been opened to the library, or updates it if it is already there
+     * (its name and its settings are kept)
+     * @param {ArchiveInfo} info Information about the archive
+     * @param {Object} source Where the archive has been opened from : storagePath, or fileNames and fileHandles
+     * @returns {Promise} that resolves to the LibraryEntry
+     */
+    function addArchive(info, source) {
+        return updateEntry(info.id, function(entry) {
+            entry = entry || {
+                id: info.id,
+                name: info.title || source.storagePath || source.fileNames[0],
+                settings: {}
+            };
+            entry.format = info.format;
+            entry.title = info.title || null;
+            entry.language = info.language || null;
+            entry.date = info.date || null;
+            entry.articleCount = info.articleCount || null;
+            entry.fileSize = info.fileSize;
+            entry.storagePath = source.storagePath || null;
+            entry.fileNames = source.fileNames || [];
+            entry.fileHandles = source.fileHandles || null;
+            entry.lastOpened = Date.now();
+            return entry;
+        });
+    }
+
+    /**
+     * Changes the name under which an archive is displayed
+     * @param {String} id
+     * @param {String} name
+     * @returns {Promise} that resolves to the LibraryEntry (or null if the archive is not in the library)
+     */
+    function renameArchive(id, name) {
+        return updateEntry(id, function(entry) {
+            if (!entry) {
+                return null;
+            }
+            entry.name = name;
+            return entry;
+        });
+    }
+
+    /**
+     * Saves some settings of the user for an archive (the other settings are kept)
+     * @param {String} id
+     * @param {Object} settings
+     * @returns {Promise} that resolves to the LibraryEntry (or null if the archive is not in the library)
+     */
+    function saveSettings(id, settings) {
+        return updateEntry(id, function(entry) {
+            if (!entry) {
+                return null;
+            }
+            for (var key in settings) {
+                entry.settings[key] = settings[key];
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Removes an archive from the library (its files are not deleted)
+     * @param {String} id
+     * @returns {Promise} that resolves once it is removed
+     */
+    function removeArchive(id) {
+        return runTransaction(DB_STORE, 'readwrite', function(store) {
+            store.delete(id);
+        });
+    }
+
+    /**
+     * Lists the archives found in the device storage when it has been scanned for the last time
+     * (they are not in the library until they are opened)
+     * @returns {Promise} that resolves to the Array of their paths
+     */
+    function listStoragePaths() {
+        return runTransaction(STORAGE_PATHS_STORE, 'readonly', function(store) {
+            var paths = [];
+            store.openCursor().onsuccess = function(event) {
+                var cursor = event.target.result;
+                if (cursor) {
+                    paths.push(cursor.value);
+                    cursor.continue();
+                }
+            };
+            return function() {
+                return paths;
+            };
+        });
+    }
+
+    /**
+     * Replaces the list of the archives found in the device storage, so that it does not need to be scanned at each start
+     * @param {Array.<String>} paths
+     * @returns {Promise} that resolves once the list is stored
+     */
+    function saveStoragePaths(paths) {
+        return runTransaction(STORAGE_PATHS_STORE, 'readwrite', function(store) {
+            store.clear();
+            paths.forEach(function(path) {
+                store.put(path, path);
+            });
+        });
+    }
+
+    /**
+     * Lists the downloads that are not completed
+     * @returns {Promise} that resolves to the Array of the SavedDownloads
+     */
+    function listDownloads() {
+        return runTransaction(DOWNLOADS_STORE, 'readonly', function(store) {
+            var downloads = [];
+            store.openCursor().onsuccess = function(event) {
+                var cursor = event.target.result;
+                if (cursor) {
+                    downloads.push(cursor.value);
+                    cursor.continue();
+                }
+            };
+            return function() {
+                return downloads;
+            };
+        });
+    }
+
+    /**
+     * Saves a download that is not completed, or its progress
+     * @param {SavedDownload} download
+     * @returns {Promise} that resolves once it is saved
+     */
+    function saveDownload(download) {
+        return runTransaction(DOWNLOADS_STORE, 'readwrite', function(store) {
+            store.put(download);
+        });
+    }
+
+    /**
+     * Forgets a download, once it is completed or deleted
+     * @param {String} fileName
+     * @returns {Promise} that resolves once it is removed
+     */
+    function removeDownload(fileName) {
+        return runTransaction(DOWNLOADS_STORE, 'readwrite', function(store) {
+            store.delete(fileName);
+        });
+    }
+
+    /**
+     * Gives the files of an archive of the library, if the browser has kept their handles.
+     * The user may be asked to allow the access to them again
+     * @param {LibraryEntry} entry
+     * @returns {Promise} that resolves to the Array of Files, or null if the files have to be selected again
+     */
+    function getFiles(entry) {
+        if (!entry.fileHandles || entry.fileHandles.length === 0) {
+            return Q(null);
+        }
+        return Q.all(entry.fileHandles.map(function(fileHandle) {
+            return Q(fileHandle.requestPermission({mode: 'read'})).then(function(permission) {
+                if (permission !== 'granted') {
+                    throw new Error("The access to " + fileHandle.name + " has not been allowed");
+                }
+                return fileHandle.getFile();
+            });
+        }));
+    }
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        listEntries: listEntries,
+        getEntry: getEntry,
+        addArchive: addArchive,
+        renameArchive: renameArchive,
+        saveSettings: saveSettings,
+        removeArchive: removeArchive,
+        listStoragePaths: listStoragePaths,
+        saveStoragePaths: saveStoragePaths,
+        listDownloads: listDownloads,
+        saveDownload: saveDownload,
+        removeDownload: removeDownload,
+        getFiles: getFiles
+    };
+});
@@ -0,0 +1,133 @@
+/**
+ * lruCache.js : Least Recently Used cache, bounded by the total size of its values
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define([], function() {
+
+    /**
+     * LRU cache : when the total size of the values exceeds maxSize,
+     * the least recently used values are evicted
+     *
+     * @typedef LRUCache
+     * @property {Integer} maxSize Maximum total size of the values
+     * @property {Integer} size Current total size of the values
+     * @property {Integer} hits Number of successful lookups
+     * @property {Integer} misses Number of failed lookups
+     * @property {Map} _entries Entries, from the least to the most recently used
+     *
+     * @param {Integer} maxSize
+     */
+    function LRUCache(maxSize) {
+        this.maxSize = maxSize;
+        this.size = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this._entries = new Map();
+    };
+
+    /**
+     * Looks up a value, and marks it as the most recently used
+     * @param key
+     * @returns the value, or undefined if it is not in the cache
+     */
+    LRUCache.prototype.get = function(key) {
+        var entry = this._entries.get(key);
+        if (entry === undefined) {
+            this.misses++;
+            return undefined;
+        }
+        this.hits++;
+        // Move the entry to the end of the insertion order
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        return entry.value;
+    };
+
+    /**
+     * Stores a value, evicting the least recently used ones if necessary.
+     * A value bigger than the whole cache is not stored.
+     * @param key
+     * @param value
+     * @param {Integer} size Size of the value (usually in bytes)
+     */
+    LRUCache.prototype.set = function(key, value, size) {
+        this.remove(key);
+        if (size > this.maxSize) {
+            return;
+        }
+        this._entries.set(key, {value: value, size: size});
+        this.size += size;
+        this._evict(this.maxSize);
+    };
+
+    /**
+     * Removes a value from the cache
+     * @param key
+     */
+    LRUCache.prototype.remove = function(key) {
+        var entry = this._entries.get(key);
+        if (entry !== undefined) {
+            this._entries.delete(key);
+            this.size -= entry.size;
+        }
+    };
+
+    /**
+     * Changes the maximum total size, evicting values if necessary
+     * @param {Integer} maxSize
+     */
+    LRUCache.prototype.setMaxSize = function(maxSize) {
+        this.maxSize = maxSize;
+        this._evict(maxSize);
+    };
+
+    /**
+     * Evicts the least recently used values until the total size fits in maxSize
+     * @param {Integer} maxSize
+     */
+    LRUCache.prototype._evict = function(maxSize) {
+        var keys = this._entries.keys();
+        while (this.size > maxSize) {
+            this.remove(keys.next().value);
+        }
+    };
+
+    /**
+     * Usage statistics of the cache
+     * @returns {Object} hits, misses, number of entries, size and maximum size
+     */
+    LRUCache.prototype.getStats = function() {
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            entries: this._entries.size,
+            size: this.size,
+            maxSize: this.maxSize
+        };
+    };
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        LRUCache: LRUCache
+    };
+});
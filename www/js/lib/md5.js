@@ -0,0 +1,163 @@
+/**
+ * md5.js : Incremental MD5 implementation (RFC 1321), to check the integrity of big files
+ * without loading them entirely in memory
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['util'], function(util) {
+
+    // Per-round shift amounts
+    var SHIFTS = [
+        7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+        5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+        4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+        6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+    ];
+
+    // Constants derived from the sine function
+    var CONSTANTS = new Int32Array(64);
+    for (var i = 0; i < 64; i++) {
+        CONSTANTS[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000);
+    }
+
+    /**
+     * MD5 hash computation, fed by successive calls to update()
+     *
+     * @typedef MD5
+     * @property {Int32Array} _state The four 32-bit words of the hash
+     * @property {Uint8Array} _buffer Bytes waiting for a complete 64-byte block
+     * @property {Integer} _bufferLength Number of bytes in _buffer
+     * @property {Integer} _length Total number of bytes hashed
+     * @property {Int32Array} _words The 16 words of the block being processed
+     */
+    function MD5() {
+        this._state = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+        this._buffer = new Uint8Array(64);
+        this._bufferLength = 0;
+        this._length = 0;
+        this._words = new Int32Array(16);
+    };
+
+    /**
+     * Adds some data to the hash
+     * @param {Uint8Array} data
+     * @returns {MD5} this object, so that calls can be chained
+     */
+    MD5.prototype.update = function(data) {
+        var pos = 0;
+        this._length += data.length;
+        if (this._bufferLength > 0) {
+            pos = Math.min(64 - this._bufferLength, data.length);
+            this._buffer.set(data.subarray(0, pos), this._bufferLength);
+            this._bufferLength += pos;
+            if (this._bufferLength < 64) {
+                return this;
+            }
+            this._processBlock(this._buffer, 0);
+            this._bufferLength = 0;
+        }
+        for (; pos + 64 <= data.length; pos += 64) {
+            this._processBlock(data, pos);
+        }
+        if (pos < data.length) {
+            this._buffer.set(data.subarray(pos), 0);
+            this._bufferLength = data.length - pos;
+        }
+        return this;
+    };
+
+    /**
+     * Finishes the computation. No data can be added afterwards
+     * @returns {Uint8Array} the 16 bytes of the hash
+     */
+    MD5.prototype.digest = function() {
+        var length = this._length;
+        var padding = new Uint8Array((this._bufferLength < 56 ? 56 : 120) - this._bufferLength + 8);
+        padding[0] = 0x80;
+        // Length in bits, as a 64-bit little-endian integer
+        var lengthPos = padding.length - 8;
+        var lowBits = (length % 0x20000000) * 8;
+        var highBits = Math.floor(length / 0x20000000);
+        for (var i = 0; i < 4; i++) {
+            padding[lengthPos + i] = (lowBits >>> (8 * i)) & 0xff;
+            padding[lengthPos + 4 + i] = (highBits >>> (8 * i)) & 0xff;
+        }
+        this.update(padding);
+        var hash = new Uint8Array(16);
+        for (var j = 0; j < 16; j++) {
+            hash[j] = (this._state[j >> 2] >>> (8 * (j & 3))) & 0xff;
+        }
+        return hash;
+    };
+
+    /**
+     * Finishes the computation, and gives the hash in hexadecimal
+     * @returns {String}
+     */
+    MD5.prototype.hexDigest = function() {
+        return util.uint8ArrayToHex(this.digest());
+    };
+
+    /**
+     * Processes a 64-byte block
+     * @param {Uint8Array} data
+     * @param {Integer} offset Start of the block in data
+     */
+    MD5.prototype._processBlock = function(data, offset) {
+        var words = this._words;
+        for (var i = 0; i < 16; i++) {
+            var j = offset + i * 4;
+            words[i] = data[j] | (data[j + 1] << 8) | (data[j + 2] << 16) | (data[j + 3] << 24);
+        }
+        var a = this._state[0], b = this._state[1], c = this._state[2], d = this._state[3];
+        for (var k = 0; k < 64; k++) {
+            var f, g;
+            if (k < 16) {
+                f = (b & c) | (~b & d);
+                g = k;
+            } else if (k < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * k + 1) & 15;
+            } else if (k < 48) {
+                f = b ^ c ^ d;
+                g = (3 * k + 5) & 15;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * k) & 15;
+            }
+            var x = (a + f + CONSTANTS[k] + words[g]) | 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((x << SHIFTS[k]) | (x >>> (32 - SHIFTS[k])))) | 0;
+        }
+        this._state[0] += a;
+        this._state[1] += b;
+        this._state[2] += c;
+        this._state[3] += d;
+    };
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        MD5: MD5
+    };
+});
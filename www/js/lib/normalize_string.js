@@ -136,8 +136,25 @@ define([], function() {
         return normalizedString;
     }
 
+    /**
+     * Normalize the given title, for case and diacritic insensitive comparisons.
+     * Unlike normalizeString, the characters that are not in the table
+     * (spaces, punctuation, other alphabets) are kept, in lower case
+     * @param {String} string Title to normalize
+     * @returns {String}
+     */
+    function normalizeTitle(string) {
+        var normalizedStringArray = [];
+        for (var i = 0; i < string.length; i++) {
+            var c = string[i].toLowerCase();
+            normalizedStringArray[i] = nm[c] || c;
+        }
+        return normalizedStringArray.join("");
+    }
+
 
     return {
-        normalizeString: normalizeString
+        normalizeString: normalizeString,
+        normalizeTitle: normalizeTitle
     };
 });
@@ -0,0 +1,192 @@
+/**
+ * normalizedTitleIndex.js : List of the normalized titles of a ZIM archive,
+ * for case and diacritic insensitive searches, and its storage in IndexedDB
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['normalize_string', 'idb'], function(normalize_string, idb) {
+
+    // Name of the IndexedDB database, and of its object store (whose keys are the UUIDs of the archives)
+    var DB_NAME = 'kiwix-normalized-title-indexes';
+    var DB_STORE = 'indexes';
+    // Version of the format of the stored indexes : indexes of another version are rebuilt
+    var INDEX_FORMAT_VERSION = 1;
+
+    /**
+     * Normalized titles of the articles of an archive, sorted,
+     * with the offsets of the corresponding directory entries
+     *
+     * @typedef NormalizedTitleIndex
+     * @property {Array.<String>} titles Normalized titles, in ascending order
+     * @property {Array.<Integer>} offsets Offsets of the directory entries, in the same order
+     * @property {Integer} length Number of titles
+     *
+     * @param {Array.<String>} titles
+     * @param {Array.<Integer>} offsets
+     */
+    function NormalizedTitleIndex(titles, offsets) {
+        this.titles = titles;
+        this.offsets = offsets;
+        this.length = titles.length;
+    };
+
+    /**
+     * Builds the index from unsorted entries
+     * @param {Array.<Object>} entries list of {title, offset}, where the title is not normalized yet
+     * @returns {NormalizedTitleIndex}
+     */
+    NormalizedTitleIndex.fromEntries = function(entries) {
+        entries.forEach(function(entry) {
+            entry.title = normalize_string.normalizeTitle(entry.title);
+        });
+        entries.sort(function(a, b) {
+            return a.title < b.title ? -1 : (a.title > b.title ? 1 : 0);
+        });
+        return new NormalizedTitleIndex(entries.map(function(entry) {
+            return entry.title;
+        }), entries.map(function(entry) {
+            return entry.offset;
+        }));
+    };
+
+    /**
+     * Page of results of a search in the index
+     *
+     * @typedef NormalizedTitleIndexResults
+     * @property {Array.<Integer>} offsets Offsets of the directory entries found, by order of title
+     * @property {Integer} nextPosition Position where the next page of results starts, or null if there are no more results
+     */
+
+    /**
+     * Looks for the titles starting with the given prefix, whatever their case and diacritics
+     * @param {String} prefix Prefix (not normalized)
+     * @param {Integer} resultSize Maximum number of results
+     * @param {Integer} startPosition Optional : nextPosition of the previous page of results
+     * @returns {NormalizedTitleIndexResults}
+     */
+    NormalizedTitleIndex.prototype.findOffsetsWithPrefix = function(prefix, resultSize, startPosition) {
+        var normalizedPrefix = normalize_string.normalizeTitle(prefix);
+        var begin = 0;
+        var end = this.length;
+        if (startPosition !== undefined && startPosition !== null) {
+            begin = startPosition;
+        }
+        else {
+            // Binary search of the first title that is not lower than the prefix
+            while (begin < end) {
+                var mid = Math.floor((begin + end) / 2);
+                if (this.titles[mid] < normalizedPrefix) {
+                    begin = mid + 1;
+                }
+                else {
+                    end = mid;
+                }
+            }
+        }
+        var offsets = [];
+        for (var i = begin; i < this.length && offsets.length < resultSize; i++) {
+            if (this.titles[i].slice(0, normalizedPrefix.length) !== normalizedPrefix) {
+                return {offsets: offsets, nextPosition: null};
+            }
+            offsets.push(this.offsets[i]);
+        }
+        return {offsets: offsets, nextPosition: i < this.length ? i : null};
+    };
+
+    /**
+     * Looks for the titles containing the given string, whatever their case and diacritics
+     * @param {String} infix String to look for (not normalized)
+     * @param {Integer} resultSize Maximum number of results
+     * @param {Integer} startPosition Optional : nextPosition of the previous page of results
+     * @returns {NormalizedTitleIndexResults}
+     */
+    NormalizedTitleIndex.prototype.findOffsetsWithInfix = function(infix, resultSize, startPosition) {
+        var normalizedInfix = normalize_string.normalizeTitle(infix);
+        var offsets = [];
+        for (var i = startPosition || 0; i < this.length && offsets.length < resultSize; i++) {
+            if (this.titles[i].indexOf(normalizedInfix) !== -1) {
+                offsets.push(this.offsets[i]);
+            }
+        }
+        return {offsets: offsets, nextPosition: i < this.length ? i : null};
+    };
+
+    /**
+     * Opens the IndexedDB database, creating it if necessary
+     * @returns {Promise} that resolves to the IDBDatabase
+     */
+    function openDatabase() {
+        return idb.openDatabase(DB_NAME, 1, function(db) {
+            db.createObjectStore(DB_STORE);
+        });
+    }
+
+    /**
+     * Reads the index of an archive stored by saveIndex
+     * @param {String} uuid UUID of the archive
+     * @returns {Promise} that resolves to the NormalizedTitleIndex, or null if it is not stored
+     */
+    function loadIndex(uuid) {
+        return openDatabase().then(function(db) {
+            var stored = null;
+            var transaction = db.transaction(DB_STORE, 'readonly');
+            transaction.objectStore(DB_STORE).get(uuid).onsuccess = function(event) {
+                stored = event.target.result;
+            };
+            return idb.transactionComplete(transaction).then(function() {
+                if (!stored || stored.version !== INDEX_FORMAT_VERSION) {
+                    return null;
+                }
+                return new NormalizedTitleIndex(stored.titles, stored.offsets);
+            }).fin(function() {
+                db.close();
+            });
+        });
+    }
+
+    /**
+     * Stores the index of an archive, so that it does not need to be built again
+     * @param {String} uuid UUID of the archive
+     * @param {NormalizedTitleIndex} index
+     * @returns {Promise} that resolves when the index is stored
+     */
+    function saveIndex(uuid, index) {
+        return openDatabase().then(function(db) {
+            var transaction = db.transaction(DB_STORE, 'readwrite');
+            transaction.objectStore(DB_STORE).put({
+                version: INDEX_FORMAT_VERSION,
+                titles: index.titles,
+                offsets: index.offsets
+            }, uuid);
+            return idb.transactionComplete(transaction).fin(function() {
+                db.close();
+            });
+        });
+    }
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        NormalizedTitleIndex: NormalizedTitleIndex,
+        loadIndex: loadIndex,
+        saveIndex: saveIndex
+    };
+});
@@ -164,18 +164,20 @@ define(['util', 'q', 'jquery'], function(util, q, jQuery) {
         var dirReaderSuccess = function(entries) {
             var dir = stack[stack.length - 1];
             stack.pop();
+            // The full path of the root directory already ends with a slash
+            var path = dir.fullPath;
+            if (path.length == 0 || path[path.length - 1] !== '/') {
+                path += '/';
+            }
             for (var i = 0; i < entries.length; i ++) {
                 var entry = entries[i];
                 if (entry.isDirectory) {
                     stack.push(entry);
                 } else if (util.endsWith(entry.name, "titles.idx")) {
-                    var path = dir.fullPath;
-                    if (path.length == 0 || path[path.length - 1] !== '/') {
-                        path += '/';
-                    }
                     directories.push(path);
                 } else if (util.endsWith(entry.name, ".zim")) {
-                    directories.push(dir.fullPath + '/' + entry.name);
+                    // Same path as the one given by renameFile, for the downloaded archives
+                    directories.push(path + entry.name);
                 }
             }
             iteration();
@@ -195,6 +197,109 @@ define(['util', 'q', 'jquery'], function(util, q, jQuery) {
         return deferred.promise;
     };
 
+    /**
+     * Gives the path of a new file of the storage (the downloaded archives are put at its root)
+     * @param {String} fileName
+     * @return {String}
+     */
+    StoragePhoneGap.prototype.getFilePath = function(fileName) {
+        return '/' + fileName;
+    };
+
+    /**
+     * Gets a file of the storage, to change it
+     * @param {String} path absolute path to the file
+     * @param {Boolean} create true to create the file if it does not exist
+     * @return {Promise} Promise which is resolved with the FileEntry and
+     *         rejected with an error message.
+     */
+    StoragePhoneGap.prototype._getFileEntry = function(path, create) {
+        var that = this;
+        var deferred = q.defer();
+        this._storage.root.getFile(path, {create: create, exclusive: false}, deferred.resolve, function(error) {
+            deferred.reject(that._errorCodeToString(error.code));
+        });
+        return deferred.promise;
+    };
+
+    /**
+     * Opens a file to write at its end (it is created if it does not exist)
+     * @param {String} path absolute path to the file
+     * @return {Promise} Promise which is resolved with an object with the size of the file,
+     *         an append(blob) function and a close() function (that both return a Promise),
+     *         and rejected with an error message.
+     */
+    StoragePhoneGap.prototype.openFileForAppending = function(path) {
+        var that = this;
+        return this._getFileEntry(path, true).then(function(fileEntry) {
+            var deferred = q.defer();
+            fileEntry.createWriter(function(writer) {
+                deferred.resolve({
+                    size: writer.length,
+                    append: function(blob) {
+                        // Each write is saved in the file at once
+                        var written = q.defer();
+                        writer.onwrite = function() {
+                            written.resolve();
+                        };
+                        writer.onerror = function() {
+                            written.reject(that._errorCodeToString(writer.error.code));
+                        };
+                        writer.seek(writer.length);
+                        writer.write(blob);
+                        return written.promise;
+                    },
+                    close: function() {
+                        return q();
+                    }
+                });
+            }, function(error) {
+                deferred.reject(that._errorCodeToString(error.code));
+            });
+            return deferred.promise;
+        });
+    };
+
+    /**
+     * Renames a file of the storage
+     * @param {String} path absolute path to the file
+     * @param {String} newName
+     * @return {Promise} Promise which is resolved with the new path of the file
+     *         and rejected with an error message.
+     */
+    StoragePhoneGap.prototype.renameFile = function(path, newName) {
+        var that = this;
+        return this._getFileEntry(path, false).then(function(fileEntry) {
+            var deferred = q.defer();
+            var onError = function(error) {
+                deferred.reject(that._errorCodeToString(error.code));
+            };
+            fileEntry.getParent(function(directoryEntry) {
+                fileEntry.moveTo(directoryEntry, newName, function(movedEntry) {
+                    deferred.resolve(movedEntry.fullPath);
+                }, onError);
+            }, onError);
+            return deferred.promise;
+        });
+    };
+
+    /**
+     * Deletes a file of the storage
+     * @param {String} path absolute path to the file
+     * @return {Promise} Promise which is resolved once the file is deleted
+     *         and rejected with an error message.
+     */
+    StoragePhoneGap.prototype.removeFile = function(path) {
+        var that = this;
+        return this._getFileEntry(path, false).then(function(fileEntry) {
+            var deferred = q.defer();
+            fileEntry.remove(deferred.resolve, function(error) {
+                deferred.reject(that._errorCodeToString(error.code));
+            });
+            return deferred.promise;
+        });
+    };
+
     /**
      * Convert HTML5 FileError codes to strings.
      * @param {Integer} code FileError code
@@ -217,8 +322,278 @@ define(['util', 'q', 'jquery'], function(util, q, jQuery) {
         }
     };
 
+    /**
+     * Storage in the Origin Private File System of the browser :
+     * the archives picked by the user are copied there, so that they are available at every launch
+     *
+     * @typedef StorageOPFS
+     * @property {FileSystemDirectoryHandle} _directory Root directory of the Origin Private File System
+     * @property {String} storageName Name of the storage, that prefixes the paths of its files
+     */
+
+    /**
+     * Creates an abstraction layer around the Origin Private File System.
+     * @see StorageFirefoxOS
+     * @param {FileSystemDirectoryHandle} directory Root directory of the Origin Private File System
+     */
+    function StorageOPFS(directory) {
+        this._directory = directory;
+        this.storageName = 'opfs';
+    };
+
+    // Size of the parts of the files that are written at once, when they are imported
+    var OPFS_WRITE_CHUNK_SIZE = 8 * 1024 * 1024;
+    // Size of the data appended to a file after which it is saved in the file
+    // (each time, the browser copies the whole file to write the next data)
+    var OPFS_COMMIT_SIZE = 64 * 1024 * 1024;
+
+    /**
+     * Tells if the browser has an Origin Private File System, where files can be written
+     * @returns {Boolean}
+     */
+    StorageOPFS.isAvailable = function() {
+        return typeof navigator !== 'undefined' && navigator.storage !== undefined
+                && typeof navigator.storage.getDirectory === 'function'
+                && typeof FileSystemFileHandle !== 'undefined' && 'createWritable' in FileSystemFileHandle.prototype;
+    };
+
+    /**
+     * Opens the Origin Private File System of the browser
+     * @return {Promise} Promise which is resolved with the StorageOPFS
+     */
+    StorageOPFS.open = function() {
+        return q(navigator.storage.getDirectory()).then(function(directory) {
+            return new StorageOPFS(directory);
+        });
+    };
+
+    /**
+     * Gives the name of a file of the storage from its path
+     * @param {String} path Path of the file, prefixed with the name of the storage
+     * @returns {String}
+     */
+    StorageOPFS.prototype._fileName = function(path) {
+        var prefix = '/' + this.storageName + '/';
+        return path.indexOf(prefix) === 0 ? path.substring(prefix.length) : path.replace(/^\//, '');
+    };
+
+    /**
+     * Access the given file.
+     * @param {String} path absolute path to the file
+     * @return {Promise} Promise which is resolved with a HTML5 file object and
+     *         rejected with an error message.
+     */
+    StorageOPFS.prototype.get = function(path) {
+        return q(this._directory.getFileHandle(this._fileName(path))).then(function(fileHandle) {
+            return fileHandle.getFile();
+        }, function(error) {
+            throw error.name;
+        });
+    };
+
+    /**
+     * Searches for archive files.
+     * Only ZIM archives can be imported in this storage : there is no directory of Evopedia archives
+     * @return {Promise} Promise which is resolved with an array of
+     *         paths and rejected with an error message.
+     */
+    StorageOPFS.prototype.scanForArchives = function() {
+        var that = this;
+        var deferred = jQuery.Deferred();
+        var paths = [];
+        // A standalone ZIM file (.zim) or the first file of a splitted ZIM files collection (.zimaa)
+        var regexpZIMFileName = /\.zim(aa)?$/i;
+        var iterator = this._directory.values();
+        var nextEntry = function() {
+            return q(iterator.next()).then(function(result) {
+                if (result.done) {
+                    return paths;
+                }
+                if (result.value.kind === 'file' && regexpZIMFileName.test(result.value.name)) {
+                    paths.push('/' + that.storageName + '/' + result.value.name);
+                }
+                return nextEntry();
+            });
+        };
+        // A jQuery promise is returned, as with DeviceStorage, so that the scans of several storages can be merged
+        nextEntry().then(function(paths) {
+            deferred.resolve(paths);
+        }, function(error) {
+            deferred.reject(error.name || error);
+        });
+        return deferred.promise();
+    };
+
+    /**
+     * Copies files in the storage (the files that have the same names are replaced)
+     * @param {Array.<File>} files
+     * @param {Function} callbackProgress Optional : called with the part of the data that has been copied (between 0 and 1)
+     * @return {Promise} Promise which is resolved with the paths of the files
+     *         once they are all copied, and rejected with an Error.
+     */
+    StorageOPFS.prototype.importFiles = function(files, callbackProgress) {
+        var that = this;
+        var totalSize = 0;
+        for (var i = 0; i < files.length; i++) {
+            totalSize += files[i].size;
+        }
+        var copiedSize = 0;
+        var importFile = function(file) {
+            return q(that._directory.getFileHandle(file.name, {create: true})).then(function(fileHandle) {
+                return fileHandle.createWritable();
+            }).then(function(writable) {
+                var writeChunk = function(offset) {
+                    if (offset >= file.size) {
+                        return q(writable.close());
+                    }
+                    var chunk = file.slice(offset, offset + OPFS_WRITE_CHUNK_SIZE);
+                    return q(writable.write(chunk)).then(function() {
+                        copiedSize += chunk.size;
+                        if (callbackProgress) {
+                            callbackProgress(totalSize > 0 ? copiedSize / totalSize : 1);
+                        }
+                        return writeChunk(offset + chunk.size);
+                    });
+                };
+                return writeChunk(0).fail(function(error) {
+                    // The incomplete file is not kept
+                    return q(writable.abort()).then(function() {
+                        return that._directory.removeEntry(file.name);
+                    }).then(function() {
+                        throw error;
+                    }, function() {
+                        throw error;
+                    });
+                });
+            });
+        };
+        var importNextFile = function(i) {
+            if (i >= files.length) {
+                return files.map(function(file) {
+                    return '/' + that.storageName + '/' + file.name;
+                });
+            }
+            return importFile(files[i]).then(function() {
+                return importNextFile(i + 1);
+            });
+        };
+        // Asks the browser not to delete the files when it lacks space
+        if (navigator.storage.persist) {
+            navigator.storage.persist();
+        }
+        return importNextFile(0);
+    };
+
+    /**
+     * Gives the path of a new file of the storage
+     * @param {String} fileName
+     * @return {String}
+     */
+    StorageOPFS.prototype.getFilePath = function(fileName) {
+        return '/' + this.storageName + '/' + fileName;
+    };
+
+    /**
+     * Opens a file to write at its end (it is created if it does not exist).
+     * What is written is only saved in the file when the writable stream of the file is closed :
+     * it is closed and opened again after every OPFS_COMMIT_SIZE bytes, so that little is lost if the page is closed
+     * @param {String} path absolute path to the file
+     * @return {Promise} Promise which is resolved with an object with the size of the file,
+     *         an append(blob) function and a close() function (that both return a Promise),
+     *         and rejected with an error message.
+     */
+    StorageOPFS.prototype.openFileForAppending = function(path) {
+        var fileHandle;
+        var writable = null;
+        var uncommittedSize = 0;
+        var writer = {size: 0};
+        var openWritable = function() {
+            return q(fileHandle.createWritable({keepExistingData: true})).then(function(newWritable) {
+                writable = newWritable;
+                return writable.seek(writer.size);
+            });
+        };
+        var commit = function() {
+            var closing = q(writable.close());
+            writable = null;
+            uncommittedSize = 0;
+            return closing;
+        };
+        writer.append = function(blob) {
+            if (!writable) {
+                return q.reject('INVALID_STATE_ERR');
+            }
+            return q(writable.write(blob)).then(function() {
+                writer.size += blob.size;
+                uncommittedSize += blob.size;
+                if (uncommittedSize >= OPFS_COMMIT_SIZE) {
+                    return commit().then(openWritable);
+                }
+            }).fail(function(error) {
+                throw error.name || error;
+            });
+        };
+        writer.close = function() {
+            return writable ? commit() : q();
+        };
+        return q(this._directory.getFileHandle(this._fileName(path), {create: true})).then(function(handle) {
+            fileHandle = handle;
+            return fileHandle.getFile();
+        }).then(function(file) {
+            writer.size = file.size;
+            return openWritable();
+        }).then(function() {
+            return writer;
+        }).fail(function(error) {
+            throw error.name || error;
+        });
+    };
+
+    /**
+     * Renames a file of the storage
+     * @param {String} path absolute path to the file
+     * @param {String} newName
+     * @return {Promise} Promise which is resolved with the new path of the file
+     *         and rejected with an error message.
+     */
+    StorageOPFS.prototype.renameFile = function(path, newName) {
+        var that = this;
+        return q(this._directory.getFileHandle(this._fileName(path))).then(function(fileHandle) {
+            if (typeof fileHandle.move === 'function') {
+                return fileHandle.move(newName);
+            }
+            // Without move(), the file is copied
+            return q.all([fileHandle.getFile(), that._directory.getFileHandle(newName, {create: true})]).spread(function(file, newFileHandle) {
+                return q(newFileHandle.createWritable()).then(function(writable) {
+                    return q(writable.write(file)).then(function() {
+                        return writable.close();
+                    });
+                });
+            }).then(function() {
+                return that._directory.removeEntry(that._fileName(path));
+            });
+        }).then(function() {
+            return that.getFilePath(newName);
+        }, function(error) {
+            throw error.name || error;
+        });
+    };
+
+    /**
+     * Deletes a file of the storage
+     * @param {String} path absolute path to the file
+     * @return {Promise} Promise which is resolved once the file is deleted
+     *         and rejected with an error message.
+     */
+    StorageOPFS.prototype.removeFile = function(path) {
+        return q(this._directory.removeEntry(this._fileName(path))).fail(function(error) {
+            throw error.name || error;
+        });
+    };
+
     return {
         StorageFirefoxOS: StorageFirefoxOS,
-        StoragePhoneGap: StoragePhoneGap
+        StoragePhoneGap: StoragePhoneGap,
+        StorageOPFS: StorageOPFS
     };
 });
@@ -0,0 +1,241 @@
+/**
+ * remoteFile.js : File read on demand from an HTTP server, with Range requests
+ * (so that a big archive can be browsed without downloading it entirely)
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['lruCache', 'q'], function(lruCache, Q) {
+
+    // The file is requested and cached by chunks of this size
+    var CHUNK_SIZE = 64 * 1024;
+    // Maximum total size of the chunks kept in the cache
+    var CACHE_SIZE = 16 * 1024 * 1024;
+    // Suffix of the parts of a split ZIM file (.zimaa, .zimab... .zimaz)
+    var regexpSplitPartSuffix = /\.zima([a-z])$/;
+
+    /**
+     * A file on an HTTP server, that can be read by util.readFileSlice like a local File.
+     * The server has to support Range requests
+     *
+     * @typedef RemoteFile
+     * @property {String} url
+     * @property {Integer} size Size of the file, in bytes
+     * @property {String} name Name of the file (the end of its URL)
+     * @property {LRUCache} _chunkCache Chunks already received, by chunk number
+     * @property {Object} _pendingChunks Promises of the chunks being requested, by chunk number
+     *
+     * @param {String} url
+     * @param {Integer} size
+     */
+    function RemoteFile(url, size) {
+        this.url = url;
+        this.size = size;
+        this.name = decodeURIComponent(url.replace(/[?#].*$/, '').replace(/^.*\//, ''));
+        this._chunkCache = new lruCache.LRUCache(CACHE_SIZE);
+        this._pendingChunks = {};
+    };
+
+    /**
+     * Reads a slice of the file : the chunks that are not in the cache yet are requested,
+     * with a single request for each run of adjacent chunks
+     * @param {Integer} begin
+     * @param {Integer} size
+     * @returns {Promise} that resolves to a Uint8Array (shorter than size at the end of the file)
+     */
+    RemoteFile.prototype.readSlice = function(begin, size) {
+        var end = Math.min(begin + size, this.size);
+        if (end <= begin) {
+            return Q(new Uint8Array(0));
+        }
+        var firstChunk = Math.floor(begin / CHUNK_SIZE);
+        var lastChunk = Math.floor((end - 1) / CHUNK_SIZE);
+        var chunkPromises = [];
+        var runStart = null;
+        for (var chunk = firstChunk; chunk <= lastChunk + 1; chunk++) {
+            var promise = null;
+            if (chunk <= lastChunk) {
+                var cachedChunk = this._chunkCache.get(chunk);
+                promise = cachedChunk ? Q(cachedChunk) : this._pendingChunks[chunk];
+            }
+            if (promise || chunk > lastChunk) {
+                if (runStart !== null) {
+                    this._requestChunks(runStart, chunk - runStart);
+                    for (var i = runStart; i < chunk; i++) {
+                        chunkPromises[i - firstChunk] = this._pendingChunks[i];
+                    }
+                    runStart = null;
+                }
+                if (promise) {
+                    chunkPromises[chunk - firstChunk] = promise;
+                }
+            }
+            else if (runStart === null) {
+                runStart = chunk;
+            }
+        }
+        return Q.all(chunkPromises).then(function(chunks) {
+            var data = new Uint8Array(end - begin);
+            var dataPos = 0;
+            for (var i = 0; i < chunks.length; i++) {
+                var chunkStart = (firstChunk + i) * CHUNK_SIZE;
+                var part = chunks[i].subarray(Math.max(0, begin - chunkStart), end - chunkStart);
+                data.set(part, dataPos);
+                dataPos += part.length;
+            }
+            return data;
+        });
+    };
+
+    /**
+     * Requests some adjacent chunks of the file, and stores them in the cache once they are received
+     * @param {Integer} firstChunk
+     * @param {Integer} chunkCount
+     */
+    RemoteFile.prototype._requestChunks = function(firstChunk, chunkCount) {
+        var that = this;
+        var begin = firstChunk * CHUNK_SIZE;
+        var end = Math.min((firstChunk + chunkCount) * CHUNK_SIZE, this.size);
+        var request = this._requestRange(begin, end);
+        for (var i = 0; i < chunkCount; i++) {
+            this._pendingChunks[firstChunk + i] = request.then((function(chunk) {
+                return function(data) {
+                    if (data.length < end - begin) {
+                        throw new Error("Only " + data.length + " bytes received from " + that.url + " instead of " + (end - begin));
+                    }
+                    var chunkData = data.slice((chunk - firstChunk) * CHUNK_SIZE, (chunk - firstChunk + 1) * CHUNK_SIZE);
+                    that._chunkCache.set(chunk, chunkData, chunkData.length);
+                    return chunkData;
+                };
+            })(firstChunk + i));
+        }
+        // Once the chunks are in the cache (or could not be received), they are not pending anymore
+        var forgetPendingChunks = function() {
+            for (var i = 0; i < chunkCount; i++) {
+                delete that._pendingChunks[firstChunk + i];
+            }
+        };
+        request.then(forgetPendingChunks, forgetPendingChunks);
+    };
+
+    /**
+     * Requests a range of bytes of the file from the server
+     * @param {Integer} begin
+     * @param {Integer} end Position after the last byte
+     * @returns {Promise} that resolves to a Uint8Array, or is rejected with an Error
+     */
+    RemoteFile.prototype._requestRange = function(begin, end) {
+        var url = this.url;
+        return Q.Promise(function(resolve, reject) {
+            var request = new XMLHttpRequest();
+            request.open('GET', url, true);
+            request.responseType = 'arraybuffer';
+            request.setRequestHeader('Range', 'bytes=' + begin + '-' + (end - 1));
+            request.onload = function() {
+                if (request.status === 206) {
+                    resolve(new Uint8Array(request.response));
+                }
+                else {
+                    reject(new Error("Unable to read " + url + " (HTTP status " + request.status + ")"));
+                }
+            };
+            request.onerror = function() {
+                reject(new Error("Unable to read " + url + " : the server can not be reached"));
+            };
+            request.send(null);
+        });
+    };
+
+    /**
+     * Gets the size of a file on an HTTP server, and checks that the server supports Range requests
+     * (the download of the file is not waited for, if the server sends it entirely)
+     * @param {String} url
+     * @returns {Promise} that resolves to the RemoteFile, or is rejected with an Error
+     *     (with the HTTP status in its status property, if the server has answered with an error)
+     */
+    function open(url) {
+        return Q.Promise(function(resolve, reject) {
+            var request = new XMLHttpRequest();
+            request.open('GET', url, true);
+            request.setRequestHeader('Range', 'bytes=0-0');
+            request.onreadystatechange = function() {
+                if (request.readyState !== XMLHttpRequest.HEADERS_RECEIVED) {
+                    return;
+                }
+                var status = request.status;
+                var regexpResults = /\/(\d+)\s*$/.exec(request.getResponseHeader('Content-Range') || '');
+                // Only the headers are needed
+                request.abort();
+                if (status === 206 && regexpResults) {
+                    resolve(new RemoteFile(url, parseInt(regexpResults[1], 10)));
+                }
+                else if (status === 200 || status === 206) {
+                    reject(new Error("The server of " + url + " does not support the Range requests needed to read it on demand"));
+                }
+                else {
+                    var error = new Error("Unable to open " + url + " (HTTP status " + status + ")");
+                    error.status = status;
+                    reject(error);
+                }
+            };
+            request.onerror = function() {
+                reject(new Error("Unable to open " + url + " : the server can not be reached"));
+            };
+            request.send(null);
+        });
+    }
+
+    /**
+     * Opens the files of a remote archive : the file itself, or all the parts of a split ZIM file,
+     * if the URL is the one of its first part (.zimaa)
+     * @param {String} url
+     * @returns {Promise} that resolves to the Array of the RemoteFiles
+     */
+    function openArchiveFiles(url) {
+        var files = [];
+        var isSplitArchive = /\.zimaa$/.test(url);
+        var openPart = function(partUrl) {
+            return open(partUrl).then(function(file) {
+                files.push(file);
+                var suffix = regexpSplitPartSuffix.exec(partUrl);
+                if (!isSplitArchive || !suffix || suffix[1] === 'z') {
+                    return files;
+                }
+                var nextPartUrl = partUrl.slice(0, -1) + String.fromCharCode(suffix[1].charCodeAt(0) + 1);
+                // The first missing part is the end of the archive : the other errors are not
+                return openPart(nextPartUrl).fail(function(error) {
+                    if (error.status !== 404) {
+                        throw error;
+                    }
+                    return files;
+                });
+            });
+        };
+        return openPart(url);
+    }
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        RemoteFile: RemoteFile,
+        open: open,
+        openArchiveFiles: openArchiveFiles
+    };
+});
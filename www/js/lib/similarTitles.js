@@ -0,0 +1,174 @@
+/**
+ * similarTitles.js : Looks for the titles that look like a search that found nothing (typos...),
+ * to suggest them to the user
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['normalize_string', 'q'], function(normalize_string, Q) {
+
+    // Number of titles read for each prefix of the search
+    var CANDIDATES_PER_PREFIX = 50;
+    // The prefixes of the search are shortened down to this part of its length
+    var MIN_PREFIX_RATIO = 0.5;
+
+    /**
+     * Computes the number of edits (insertion, deletion or substitution of a character,
+     * or transposition of two adjacent characters) needed to change a string into another one
+     * (optimal string alignment distance)
+     * @param {String} a
+     * @param {String} b
+     * @returns {Integer}
+     */
+    function editDistance(a, b) {
+        // Only the last three rows of the matrix are kept
+        var previousPreviousRow = [];
+        var previousRow = [];
+        var row = [];
+        var i, j;
+        for (j = 0; j <= b.length; j++) {
+            previousRow[j] = j;
+        }
+        for (i = 1; i <= a.length; i++) {
+            row = [i];
+            for (j = 1; j <= b.length; j++) {
+                var cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    row[j] = Math.min(row[j], previousPreviousRow[j - 2] + 1);
+                }
+            }
+            previousPreviousRow = previousRow;
+            previousRow = row;
+        }
+        return previousRow[b.length];
+    }
+
+    /**
+     * Gives the number of typos that are tolerated in a search, depending on its length
+     * @param {String} search
+     * @returns {Integer}
+     */
+    function maxDistance(search) {
+        if (search.length <= 4) {
+            return 1;
+        }
+        return search.length <= 8 ? 2 : 3;
+    }
+
+    /**
+     * Computes how far a title is from the search : the search can be the beginning of the title.
+     * The beginning of the title is a bit longer or shorter than the search if characters are missing or added
+     * @param {String} search Normalized search
+     * @param {String} name Normalized title
+     * @returns {Integer}
+     */
+    function prefixDistance(search, name) {
+        var distance = Infinity;
+        for (var length = search.length - 1; length <= search.length + 1; length++) {
+            distance = Math.min(distance, editDistance(search, name.substring(0, length)));
+        }
+        return distance;
+    }
+
+    /**
+     * Gives the prefixes of the search whose titles are read, by order of preference :
+     * the search shortened little by little (in case of a typo at its end),
+     * then its shortest prefix with two adjacent characters swapped (in case of a transposition at its beginning)
+     * @param {String} search
+     * @returns {Array.<String>}
+     */
+    function candidatePrefixes(search) {
+        var prefixes = [];
+        var minLength = Math.max(1, Math.ceil(search.length * MIN_PREFIX_RATIO));
+        for (var length = search.length - 1; length >= minLength; length--) {
+            prefixes.push(search.substring(0, length));
+        }
+        var shortestPrefix = search.substring(0, Math.max(minLength, 2));
+        for (var i = 0; i + 1 < shortestPrefix.length; i++) {
+            if (shortestPrefix[i] !== shortestPrefix[i + 1]) {
+                prefixes.push(shortestPrefix.slice(0, i) + shortestPrefix[i + 1] + shortestPrefix[i] + shortestPrefix.slice(i + 2));
+            }
+        }
+        return prefixes;
+    }
+
+    /**
+     * Looks for the titles that look like a search (with a few typos), among the titles
+     * that start with a part of the search : it works with the title index of any archive.
+     * The titles that need the fewest edits come first
+     * @param {ZIMArchive|LocalArchive} archive
+     * @param {String} search
+     * @param {Integer} maxSize Maximum number of titles
+     * @param {CancellationToken} cancellationToken Optional : once cancelled, the Promise is never resolved
+     * @returns {Promise} that resolves to the Array of the Titles found
+     */
+    function findSimilarTitles(archive, search, maxSize, cancellationToken) {
+        search = search.trim();
+        var normalizedSearch = normalize_string.normalizeTitle(search);
+        var tolerance = maxDistance(normalizedSearch);
+        var prefixes = candidatePrefixes(search);
+        var candidates = [];
+        var names = Object.create(null);
+        var readPrefix = function(i) {
+            // The shorter prefixes are read only if there are not enough titles yet
+            if (i >= prefixes.length || candidates.length >= maxSize) {
+                return Q(candidates);
+            }
+            var deferred = Q.defer();
+            archive.findTitlesWithPrefix(prefixes[i], CANDIDATES_PER_PREFIX, function(titles) {
+                titles.forEach(function(title) {
+                    var name = normalize_string.normalizeTitle(title.getReadableName());
+                    if (name in names) {
+                        return;
+                    }
+                    names[name] = true;
+                    var distance = prefixDistance(normalizedSearch, name);
+                    if (distance <= tolerance) {
+                        candidates.push({
+                            title: title,
+                            distance: distance,
+                            fullDistance: editDistance(normalizedSearch, name)
+                        });
+                    }
+                });
+                deferred.resolve();
+            }, null, cancellationToken);
+            return deferred.promise.then(function() {
+                return readPrefix(i + 1);
+            });
+        };
+        return readPrefix(0).then(function(candidates) {
+            candidates.sort(function(a, b) {
+                return a.distance - b.distance || a.fullDistance - b.fullDistance;
+            });
+            return candidates.slice(0, maxSize).map(function(candidate) {
+                return candidate.title;
+            });
+        });
+    }
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        editDistance: editDistance,
+        findSimilarTitles: findSimilarTitles
+    };
+});
@@ -146,6 +146,14 @@ define(['utf8', 'util'], function(utf8, util) {
         return this._name;
     };
     
+    /**
+     * Is this title an article? Evopedia archives only contain articles
+     * @returns {Boolean}
+     */
+    Title.prototype.isArticle = function() {
+        return true;
+    };
+    
     /**
      * Is this title a redirection?
      * @returns {Boolean}
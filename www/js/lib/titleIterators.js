@@ -26,6 +26,8 @@ define(['utf8', 'title', 'util', 'q'], function(utf8, evopediaTitle, util, q) {
     // 300 bytes is arbitrary : we actually do not really know how long the titles will be
     // But mediawiki titles seem to be limited to ~200 bytes, so 300 should be more than enough
     var MAX_TITLE_LENGTH = 300;
+    // Size of the slices of the title file read by scanTitles
+    var SCAN_CHUNK_SIZE = 1024 * 1024;
     
     /**
      * Iterates over all titles starting at the given offset.
@@ -37,22 +39,28 @@ define(['utf8', 'title', 'util', 'q'], function(utf8, evopediaTitle, util, q) {
      * @property {LocalArchive} _archive Archive
      * @property {Integer} _offset
      * @property {Title} _title
+     * @property {CancellationToken} _cancellationToken
      * 
      * @param {LocalArchive} archive
      * @param {Integer} offset
+     * @param {CancellationToken} cancellationToken Optional
      */
-    function SequentialTitleIterator(archive, offset) {
+    function SequentialTitleIterator(archive, offset, cancellationToken) {
         this._titleFile = archive._titleFile;
         this._archive = archive;
         this._offset = offset;
         this._title = null;
+        this._cancellationToken = cancellationToken || null;
     };
     /**
      * Advances to the next title (or the first), if possible.
      * @returns {Promise} Promise containing the next title or null if there is no
-     * next title
+     * next title (rejected with a CancellationError if the token has been cancelled)
      */
     SequentialTitleIterator.prototype.advance = function() {
+        if (this._cancellationToken && this._cancellationToken.cancelled) {
+            return q.reject(new util.CancellationError());
+        }
         if (this._offset >= this._titleFile.size) {
             this._title = null;
             return q.when(this._title);
@@ -78,13 +86,17 @@ define(['utf8', 'title', 'util', 'q'], function(utf8, evopediaTitle, util, q) {
      * @param {File} titleFile
      * @param {String} prefix
      * @param normalize function to be applied to every title before comparison
+     * @param {CancellationToken} cancellationToken Optional
      * @returns Promise giving the offset
      */
-    function findPrefixOffset(titleFile, prefix, normalize) {
+    function findPrefixOffset(titleFile, prefix, normalize, cancellationToken) {
         prefix = normalize(prefix);
         var lo = 0;
         var hi = titleFile.size;
         var iterate = function() {
+            if (cancellationToken && cancellationToken.cancelled) {
+                return q.reject(new util.CancellationError());
+            }
             if (lo >= hi - 1) {
                 if (lo > 0)
                     lo += 2; // Let lo point to the start of an entry
@@ -124,12 +136,63 @@ define(['utf8', 'title', 'util', 'q'], function(utf8, evopediaTitle, util, q) {
         return iterate();
     }
 
+    /**
+     * @callback callbackVisitTitle
+     * @param {Title} title
+     * @returns {Boolean} false to stop the scan
+     */
+
+    /**
+     * Reads all the titles of the title file from the given offset, in order.
+     * The file is read by big slices : this is much faster than a SequentialTitleIterator
+     * when many titles have to be read
+     * @param {LocalArchive} archive
+     * @param {Integer} offset Offset of the first title
+     * @param {callbackVisitTitle} visit Called with each title
+     * @param {CancellationToken} cancellationToken Optional
+     * @returns {Promise} that resolves when the scan is over (rejected with a CancellationError if the token has been cancelled)
+     */
+    function scanTitles(archive, offset, visit, cancellationToken) {
+        var titleFile = archive._titleFile;
+        var scanChunk = function(chunkOffset) {
+            if (cancellationToken && cancellationToken.cancelled) {
+                return q.reject(new util.CancellationError());
+            }
+            if (chunkOffset >= titleFile.size) {
+                return q.when();
+            }
+            return util.readFileSlice(titleFile, chunkOffset, SCAN_CHUNK_SIZE).then(function(byteArray) {
+                var isLastChunk = chunkOffset + byteArray.length >= titleFile.size;
+                var start = 0;
+                while (start < byteArray.length) {
+                    // The 15 first bytes of a title never contain a NewLine (they are escaped)
+                    var newLineIndex = start + 15;
+                    while (newLineIndex < byteArray.length && byteArray[newLineIndex] !== 10) {
+                        newLineIndex++;
+                    }
+                    if (newLineIndex >= byteArray.length && !isLastChunk) {
+                        // This title is cut by the end of the slice : it will be read with the next one
+                        break;
+                    }
+                    var title = evopediaTitle.Title.parseTitle(byteArray.subarray(start, newLineIndex), archive, chunkOffset + start);
+                    start = newLineIndex + 1;
+                    if (title !== null && visit(title) === false) {
+                        return;
+                    }
+                }
+                return scanChunk(chunkOffset + start);
+            });
+        };
+        return scanChunk(offset);
+    }
+
     /**
      * Functions and classes exposed by this module
      */
     return {
         SequentialTitleIterator : SequentialTitleIterator,
         findPrefixOffset : findPrefixOffset,
+        scanTitles : scanTitles,
         MAX_TITLE_LENGTH : MAX_TITLE_LENGTH
     };
 });
@@ -126,7 +126,7 @@ define(['q'], function(q) {
      * @returns {Integer}
      */
     function readIntegerFrom4Bytes(byteArray, firstIndex) {
-        var dataView = new DataView(byteArray.buffer, firstIndex, 4);
+        var dataView = new DataView(byteArray.buffer, byteArray.byteOffset + firstIndex, 4);
         var integer = dataView.getUint32(0, true);
         return integer;
     }
@@ -138,7 +138,7 @@ define(['q'], function(q) {
      * @returns {Integer}
      */
     function readIntegerFrom2Bytes(byteArray, firstIndex) {
-        var dataView = new DataView(byteArray.buffer, firstIndex, 2);
+        var dataView = new DataView(byteArray.buffer, byteArray.byteOffset + firstIndex, 2);
         var integer = dataView.getUint16(0, true);
         return integer;
     }
@@ -151,7 +151,7 @@ define(['q'], function(q) {
      * @returns {Float}
      */
     function readFloatFrom4Bytes(byteArray, firstIndex, littleEndian) {
-        var dataView = new DataView(byteArray.buffer, firstIndex, 4);
+        var dataView = new DataView(byteArray.buffer, byteArray.byteOffset + firstIndex, 4);
         var float = dataView.getFloat32(0, littleEndian);
         return float;
     }
@@ -204,12 +204,16 @@ define(['q'], function(q) {
     /**
      * Reads a Uint8Array from the given file starting at byte offset begin and
      * for given size.
-     * @param {File} file
+     * @param {File|RemoteFile} file
      * @param {Integer} begin
      * @param {Integer} size
      * @returns {Promise} Promise
      */
     function readFileSlice(file, begin, size) {
+        if (typeof file.readSlice === 'function') {
+            // A RemoteFile reads its slices itself
+            return file.readSlice(begin, size);
+        }
         var deferred = q.defer();
         var reader = new FileReader();
         reader.onload = function(e) {
@@ -222,6 +226,44 @@ define(['q'], function(q) {
         return deferred.promise;
     }
 
+    /**
+     * Error of an operation that has been cancelled through its CancellationToken
+     * @param {String} message
+     */
+    function CancellationError(message) {
+        this.name = 'CancellationError';
+        this.message = message || "The operation has been cancelled";
+    };
+    CancellationError.prototype = Object.create(Error.prototype);
+    CancellationError.prototype.constructor = CancellationError;
+
+    /**
+     * Token given to a long asynchronous operation (a search...), so that it can be cancelled.
+     * The operation checks the token between its steps, and stops with a CancellationError once it is cancelled
+     * 
+     * @typedef CancellationToken
+     * @property {Boolean} cancelled
+     */
+    function CancellationToken() {
+        this.cancelled = false;
+    };
+
+    /**
+     * Cancels the operation(s) that use this token
+     */
+    CancellationToken.prototype.cancel = function() {
+        this.cancelled = true;
+    };
+
+    /**
+     * @throws {CancellationError} if the token has been cancelled
+     */
+    CancellationToken.prototype.throwIfCancelled = function() {
+        if (this.cancelled) {
+            throw new CancellationError();
+        }
+    };
+
     /**
      * Performs a binary search on indices begin <= i < end, utilizing query(i) to return where to
      * continue the search.
@@ -231,17 +273,21 @@ define(['q'], function(q) {
      * @param {Integer} end
      * @param query Function
      * @param {Boolean} lowerBound
+     * @param {CancellationToken} cancellationToken Optional : the search is rejected with a CancellationError
+     *     if the token is cancelled
      */
-    function binarySearch(begin, end, query, lowerBound) {
+    function binarySearch(begin, end, query, lowerBound, cancellationToken) {
+        if (cancellationToken && cancellationToken.cancelled)
+            return q.reject(new CancellationError());
         if (end <= begin)
             return lowerBound ? begin : null;
         var mid = Math.floor((begin + end) / 2);
         return query(mid).then(function(decision)
         {
             if (decision < 0)
-                return binarySearch(begin, mid, query, lowerBound);
+                return binarySearch(begin, mid, query, lowerBound, cancellationToken);
             else if (decision > 0)
-                return binarySearch(mid + 1, end, query, lowerBound);
+                return binarySearch(mid + 1, end, query, lowerBound, cancellationToken);
             else
                 return mid;
         });
@@ -308,6 +354,43 @@ define(['q'], function(q) {
         return int * Math.pow(2, bits);
     }
 
+    /**
+     * ISO 639-1 codes of the languages, by ISO 639-3 code (the codes of the metadata of the ZIM files)
+     */
+    var ISO_639_1_CODES = {
+        aar: 'aa', abk: 'ab', afr: 'af', aka: 'ak', sqi: 'sq', amh: 'am', ara: 'ar', arg: 'an', hye: 'hy', asm: 'as',
+        ava: 'av', ave: 'ae', aym: 'ay', aze: 'az', bak: 'ba', bam: 'bm', eus: 'eu', bel: 'be', ben: 'bn', bis: 'bi',
+        bos: 'bs', bre: 'br', bul: 'bg', mya: 'my', cat: 'ca', cha: 'ch', che: 'ce', zho: 'zh', chu: 'cu', chv: 'cv',
+        cor: 'kw', cos: 'co', cre: 'cr', ces: 'cs', dan: 'da', div: 'dv', nld: 'nl', dzo: 'dz', eng: 'en', epo: 'eo',
+        est: 'et', ewe: 'ee', fao: 'fo', fij: 'fj', fin: 'fi', fra: 'fr', fry: 'fy', ful: 'ff', kat: 'ka', deu: 'de',
+        gla: 'gd', gle: 'ga', glg: 'gl', glv: 'gv', ell: 'el', grn: 'gn', guj: 'gu', hat: 'ht', hau: 'ha', heb: 'he',
+        her: 'hz', hin: 'hi', hmo: 'ho', hrv: 'hr', hun: 'hu', ibo: 'ig', isl: 'is', ido: 'io', iii: 'ii', iku: 'iu',
+        ile: 'ie', ina: 'ia', ind: 'id', ipk: 'ik', ita: 'it', jav: 'jv', jpn: 'ja', kal: 'kl', kan: 'kn', kas: 'ks',
+        kau: 'kr', kaz: 'kk', khm: 'km', kik: 'ki', kin: 'rw', kir: 'ky', kom: 'kv', kon: 'kg', kor: 'ko', kua: 'kj',
+        kur: 'ku', lao: 'lo', lat: 'la', lav: 'lv', lim: 'li', lin: 'ln', lit: 'lt', ltz: 'lb', lub: 'lu', lug: 'lg',
+        mkd: 'mk', mah: 'mh', mal: 'ml', mri: 'mi', mar: 'mr', msa: 'ms', mlg: 'mg', mlt: 'mt', mon: 'mn', nau: 'na',
+        nav: 'nv', nbl: 'nr', nde: 'nd', ndo: 'ng', nep: 'ne', nno: 'nn', nob: 'nb', nor: 'no', nya: 'ny', oci: 'oc',
+        oji: 'oj', ori: 'or', orm: 'om', oss: 'os', pan: 'pa', fas: 'fa', pli: 'pi', pol: 'pl', por: 'pt', pus: 'ps',
+        que: 'qu', roh: 'rm', ron: 'ro', run: 'rn', rus: 'ru', sag: 'sg', san: 'sa', sin: 'si', slk: 'sk', slv: 'sl',
+        sme: 'se', smo: 'sm', sna: 'sn', snd: 'sd', som: 'so', sot: 'st', spa: 'es', srd: 'sc', srp: 'sr', ssw: 'ss',
+        sun: 'su', swa: 'sw', swe: 'sv', tah: 'ty', tam: 'ta', tat: 'tt', tel: 'te', tgk: 'tg', tgl: 'tl', tha: 'th',
+        bod: 'bo', tir: 'ti', ton: 'to', tsn: 'tn', tso: 'ts', tuk: 'tk', tur: 'tr', twi: 'tw', uig: 'ug', ukr: 'uk',
+        urd: 'ur', uzb: 'uz', ven: 've', vie: 'vi', vol: 'vo', cym: 'cy', wln: 'wa', wol: 'wo', xho: 'xh', yid: 'yi',
+        yor: 'yo', zha: 'za', zul: 'zu'
+    };
+
+    /**
+     * Gives the code of a language used in the Wikipedia host names (ex : en.wikipedia.org) :
+     * it is its ISO 639-1 code, if it has one (the languages that have none keep their ISO 639-3 code)
+     * 
+     * @param {String} language ISO 639-3 or ISO 639-1 code
+     * @returns {String}
+     */
+    function getWikipediaLanguageCode(language) {
+        var code = (language || '').toLowerCase();
+        return ISO_639_1_CODES[code] || code;
+    }
+
     /**
      * Functions and classes exposed by this module
      */
@@ -325,8 +408,11 @@ define(['q'], function(q) {
         uint8ArrayToBase64 : uint8ArrayToBase64,
         readFileSlice : readFileSlice,
         binarySearch: binarySearch,
+        CancellationToken: CancellationToken,
+        CancellationError: CancellationError,
         b64toBlob: b64toBlob,
         uintToString: uintToString,
-        leftShift: leftShift
+        leftShift: leftShift,
+        getWikipediaLanguageCode: getWikipediaLanguageCode
     };
 });
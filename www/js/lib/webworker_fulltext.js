@@ -0,0 +1,181 @@
+/**
+ * webworker_fulltext.js : WebWorker implementation, in order to search a text or a regular expression
+ * in the content of all the articles of an archive, or to build their full-text index, in the background
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+// The XZ decompressor is not an AMD module : it defines the global Module variable
+importScripts('./require.js', './xzdec.js');
+
+// Command being run, and when it started
+var command;
+var startTime;
+// Percentage of the last progress posted
+var lastPercent = -1;
+
+/**
+ * Posts the progress of the search, only when its percentage changes
+ * @param {Number} progress
+ */
+function postProgress(progress) {
+    var percent = Math.floor(progress * 100);
+    if (percent !== lastPercent) {
+        lastPercent = percent;
+        self.postMessage({cmd: 'progress', msg: progress});
+    }
+}
+
+function postResult(result) {
+    self.postMessage({cmd: 'result', msg: result});
+}
+
+function postEnd() {
+    self.postMessage({cmd: 'end'});
+    var endTime = new Date();
+    self.postMessage({cmd: 'debug', msg: "webworker " + command + " complete : took " + (endTime - startTime) + " ms"});
+}
+
+function postError(e) {
+    self.postMessage({cmd: 'error', msg: e.message || String(e)});
+}
+
+/**
+ * Opens the ZIM archive, and searches the query in all its articles
+ * @param zimArchive zimArchive module
+ * @param fullTextSearch fullTextSearch module
+ * @param {Object} msg files (the ZIM file, or all the parts of a split ZIM file), query, isRegExp and maxResults
+ */
+function searchZIM(zimArchive, fullTextSearch, msg) {
+    var matcher = fullTextSearch.createMatcher(msg.query, msg.isRegExp);
+    new zimArchive.ZIMArchive(msg.files, null, function(archive) {
+        fullTextSearch.searchZIMArchive(archive, matcher, msg.maxResults, postResult, postProgress)
+                .then(postEnd).fail(postError);
+    }, postError);
+}
+
+/**
+ * Opens the ZIM archive, and indexes the articles that are not indexed yet
+ * @param zimArchive zimArchive module
+ * @param fullTextIndex fullTextIndex module
+ * @param {Object} msg files (the ZIM file, or all the parts of a split ZIM file)
+ */
+function buildIndexZIM(zimArchive, fullTextIndex, msg) {
+    new zimArchive.ZIMArchive(msg.files, null, function(archive) {
+        fullTextIndex.buildIndex(archive, postProgress).then(postEnd).fail(postError);
+    }, postError);
+}
+
+/**
+ * Searches the query in all the articles of the Evopedia archive.
+ * The LocalArchive itself is not used : it needs a WebWorker of its own to read the articles
+ * @param fullTextSearch fullTextSearch module
+ * @param {Object} msg titleFile, dataFiles, language, query, isRegExp and maxResults
+ */
+function searchEvopedia(fullTextSearch, msg) {
+    var matcher = fullTextSearch.createMatcher(msg.query, msg.isRegExp);
+    var archive = {
+        _titleFile: msg.titleFile,
+        _dataFiles: msg.dataFiles,
+        _language: msg.language
+    };
+    fullTextSearch.searchEvopediaArchive(archive, matcher, msg.maxResults, postResult, postProgress)
+            .then(postEnd).fail(postError);
+}
+
+/**
+ * Indexes the articles of the Evopedia archive that are not indexed yet
+ * @param fullTextIndex fullTextIndex module
+ * @param {Object} msg id, titleFile, dataFiles and language
+ */
+function buildIndexEvopedia(fullTextIndex, msg) {
+    var archive = {
+        _titleFile: msg.titleFile,
+        _dataFiles: msg.dataFiles,
+        _language: msg.language
+    };
+    fullTextIndex.buildEvopediaIndex(archive, msg.id, postProgress).then(postEnd).fail(postError);
+}
+
+// The listener is registered immediately, so that no message is lost while the modules load
+self.addEventListener('message', function(e) {
+    var data = e.data;
+    command = data.cmd;
+    startTime = new Date();
+    switch (data.cmd) {
+        case 'searchZIM':
+            require({
+                baseUrl: "./"
+            },
+            ["zimArchive", "fullTextSearch"],
+                    function(zimArchive, fullTextSearch) {
+                        try {
+                            searchZIM(zimArchive, fullTextSearch, data.msg);
+                        } catch (e) {
+                            postError(e);
+                        }
+                    }
+            );
+            break;
+        case 'buildIndexZIM':
+            require({
+                baseUrl: "./"
+            },
+            ["zimArchive", "fullTextIndex"],
+                    function(zimArchive, fullTextIndex) {
+                        try {
+                            buildIndexZIM(zimArchive, fullTextIndex, data.msg);
+                        } catch (e) {
+                            postError(e);
+                        }
+                    }
+            );
+            break;
+        case 'searchEvopedia':
+            require({
+                baseUrl: "./"
+            },
+            ["fullTextSearch"],
+                    function(fullTextSearch) {
+                        try {
+                            searchEvopedia(fullTextSearch, data.msg);
+                        } catch (e) {
+                            postError(e);
+                        }
+                    }
+            );
+            break;
+        case 'buildIndexEvopedia':
+            require({
+                baseUrl: "./"
+            },
+            ["fullTextIndex"],
+                    function(fullTextIndex) {
+                        try {
+                            buildIndexEvopedia(fullTextIndex, data.msg);
+                        } catch (e) {
+                            postError(e);
+                        }
+                    }
+            );
+            break;
+        default:
+            self.postMessage({cmd: 'error', msg: 'Unknown command: ' + data.cmd});
+    }
+}, false);
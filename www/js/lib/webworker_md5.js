@@ -0,0 +1,80 @@
+/**
+ * webworker_md5.js : WebWorker implementation, in order to compute the MD5 checksum
+ * of a ZIM file in the background
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+importScripts('./require.js');
+
+// Size of the slices read from the file(s)
+var CHUNK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Hashes the file(s) up to the checksum position, posting the progress, and then the result
+ * @param md5 md5 module
+ * @param util util module
+ * @param {Array.<Blob>} files The ZIM file, or all the parts of a split ZIM file (in order)
+ * @param {Integer} checksumPos
+ */
+function checkMD5(md5, util, files, checksumPos) {
+    // The parts of a split ZIM file are hashed as one single file
+    var file = new Blob(files);
+    var startTime = new Date();
+    var reader = new FileReaderSync();
+    var hash = new md5.MD5();
+    for (var pos = 0; pos < checksumPos; pos += CHUNK_SIZE) {
+        var end = Math.min(pos + CHUNK_SIZE, checksumPos);
+        hash.update(new Uint8Array(reader.readAsArrayBuffer(file.slice(pos, end))));
+        self.postMessage({cmd: 'progress', msg: end / checksumPos});
+    }
+    var expected = new Uint8Array(reader.readAsArrayBuffer(file.slice(checksumPos, checksumPos + 16)));
+    var actualChecksum = hash.hexDigest();
+    var expectedChecksum = util.uint8ArrayToHex(expected);
+    self.postMessage({cmd: 'result', msg: {
+            valid: actualChecksum === expectedChecksum,
+            expected: expectedChecksum,
+            actual: actualChecksum
+        }});
+    var endTime = new Date();
+    self.postMessage({cmd: 'debug', msg: "webworker MD5 check complete : took " + (endTime - startTime) + " ms"});
+}
+
+// The listener is registered immediately, so that no message is lost while the md5 module loads
+self.addEventListener('message', function(e) {
+    var data = e.data;
+    switch (data.cmd) {
+        case 'check':
+            require({
+                baseUrl: "./"
+            },
+            ["md5", "util"],
+                    function(md5, util) {
+                        try {
+                            checkMD5(md5, util, data.msg.files, data.msg.checksumPos);
+                        } catch (e) {
+                            self.postMessage({cmd: 'error', msg: e.message || String(e)});
+                        }
+                    }
+            );
+            break;
+        default:
+            self.postMessage({cmd: 'error', msg: 'Unknown command: ' + data.cmd});
+    }
+}, false);
@@ -0,0 +1,69 @@
+/**
+ * webworker_titleindex.js : WebWorker implementation, in order to build the normalized title index
+ * of a ZIM archive in the background
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+// The XZ decompressor is not an AMD module : it defines the global Module variable
+importScripts('./require.js', './xzdec.js');
+
+/**
+ * Opens the archive, reads all its titles, and posts the progress, and then the index
+ * @param zimArchive zimArchive module
+ * @param {Array.<Blob>} files The ZIM file, or all the parts of a split ZIM file (in order)
+ */
+function buildIndex(zimArchive, files) {
+    var startTime = new Date();
+    var reportError = function(e) {
+        self.postMessage({cmd: 'error', msg: e.message || String(e)});
+    };
+    new zimArchive.ZIMArchive(files, null, function(archive) {
+        archive.buildNormalizedTitleIndex(function(progress) {
+            self.postMessage({cmd: 'progress', msg: progress});
+        }).then(function(index) {
+            self.postMessage({cmd: 'result', msg: {titles: index.titles, offsets: index.offsets}});
+            var endTime = new Date();
+            self.postMessage({cmd: 'debug', msg: "webworker title index of " + index.length + " titles built : took " + (endTime - startTime) + " ms"});
+        }).fail(reportError);
+    }, reportError);
+}
+
+// The listener is registered immediately, so that no message is lost while the modules load
+self.addEventListener('message', function(e) {
+    var data = e.data;
+    switch (data.cmd) {
+        case 'build':
+            require({
+                baseUrl: "./"
+            },
+            ["zimArchive"],
+                    function(zimArchive) {
+                        try {
+                            buildIndex(zimArchive, data.msg.files);
+                        } catch (e) {
+                            self.postMessage({cmd: 'error', msg: e.message || String(e)});
+                        }
+                    }
+            );
+            break;
+        default:
+            self.postMessage({cmd: 'error', msg: 'Unknown command: ' + data.cmd});
+    }
+}, false);
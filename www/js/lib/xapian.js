@@ -0,0 +1,826 @@
+/**
+ * xapian.js : Reader of the full-text indexes made with Xapian (glass backend), as embedded in ZIM files
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['inflate', 'utf8', 'q'], function(inflate, utf8, Q) {
+
+    // The database is a single file, that starts with its version block : "\x0f\x0dXapian Glass" and the format version
+    var GLASS_MAGIC = [0x0f, 0x0d, 0x58, 0x61, 0x70, 0x69, 0x61, 0x6e, 0x20, 0x47, 0x6c, 0x61, 0x73, 0x73];
+    var UUID_SIZE = 16;
+    // Smallest block size of a glass database : the version block is always at least this size
+    var MIN_BLOCK_SIZE = 2048;
+    // Tables of the database, in the order they are described in the version block
+    var TABLE_NAMES = ['postlist', 'docdata', 'termlist', 'position', 'spelling', 'synonym'];
+
+    // Layout of the blocks of the B-trees : a header, then the directory (2-byte offsets of the items, sorted by key)
+    var BLOCK_LEVEL_POS = 4;
+    var DIR_END_POS = 9;
+    var DIR_START = 11;
+    var DIR_ENTRY_SIZE = 2;
+    // First byte of the items of the leaves
+    var ITEM_COMPRESSED_FLAG = 0x80;
+    var ITEM_LAST_COMPONENT_FLAG = 0x40;
+    var ITEM_FIRST_COMPONENT_FLAG = 0x20;
+    var ITEM_SIZE_MASK = 0x1fff;
+    // Parameters of the BM25 ranking : the length of the documents is not read, so it is not taken into account
+    var BM25_K1 = 1.2;
+
+    /**
+     * Reads a big-endian unsigned integer
+     * @param {Uint8Array} data
+     * @param {Integer} pos
+     * @param {Integer} size Number of bytes, up to 4
+     * @returns {Integer}
+     */
+    function readBigEndian(data, pos, size) {
+        var value = 0;
+        for (var i = 0; i < size; i++) {
+            value = value * 256 + data[pos + i];
+        }
+        return value;
+    }
+
+    /**
+     * Reader of the values serialized by Xapian in the tags of the tables
+     *
+     * @typedef TagReader
+     * @property {Uint8Array} data
+     * @property {Integer} pos Position of the next value
+     *
+     * @param {Uint8Array} data
+     */
+    function TagReader(data) {
+        this.data = data;
+        this.pos = 0;
+    }
+
+    /**
+     * Reads an unsigned integer, written in groups of 7 bits, least significant group first
+     * @returns {Integer}
+     */
+    TagReader.prototype.readUint = function() {
+        var value = 0;
+        var factor = 1;
+        for (;;) {
+            if (this.pos >= this.data.length) {
+                throw new Error("Unexpected end of a Xapian tag");
+            }
+            var b = this.data[this.pos++];
+            value += (b & 0x7f) * factor;
+            if (b < 0x80) {
+                return value;
+            }
+            factor *= 128;
+        }
+    };
+
+    /**
+     * Reads a boolean, written as the character '0' or '1'
+     * @returns {Boolean}
+     */
+    TagReader.prototype.readBool = function() {
+        if (this.pos >= this.data.length) {
+            throw new Error("Unexpected end of a Xapian tag");
+        }
+        return this.data[this.pos++] === 0x31;
+    };
+
+    /**
+     * Reads a string, prefixed with its length
+     * @returns {Uint8Array}
+     */
+    TagReader.prototype.readBytes = function() {
+        var length = this.readUint();
+        var bytes = this.data.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return bytes;
+    };
+
+    TagReader.prototype.isAtEnd = function() {
+        return this.pos >= this.data.length;
+    };
+
+    /**
+     * Gives the number of bits needed to write an integer
+     * @param {Integer} value
+     * @returns {Integer}
+     */
+    function bitLength(value) {
+        var bits = 0;
+        while (value >= 1) {
+            value = Math.floor(value / 2);
+            bits++;
+        }
+        return bits;
+    }
+
+    /**
+     * Reader of the position lists, which are written with interpolative coding :
+     * a stream of bits, least significant bit first
+     *
+     * @typedef BitReader
+     * @property {Uint8Array} data
+     * @property {Integer} bitPos Position of the next bit
+     *
+     * @param {Uint8Array} data
+     * @param {Integer} pos Position of the first byte of the stream
+     */
+    function BitReader(data, pos) {
+        this.data = data;
+        this.bitPos = pos * 8;
+    }
+
+    /**
+     * Reads an unsigned integer written with a given number of bits
+     * @param {Integer} count Number of bits
+     * @returns {Integer}
+     */
+    BitReader.prototype.readBits = function(count) {
+        var value = 0;
+        for (var i = 0; i < count; i++) {
+            if (this.bitPos >= this.data.length * 8) {
+                throw new Error("Unexpected end of a Xapian position list");
+            }
+            if ((this.data[this.bitPos >> 3] >> (this.bitPos & 7)) & 1) {
+                value += Math.pow(2, i);
+            }
+            this.bitPos++;
+        }
+        return value;
+    };
+
+    /**
+     * Reads an integer lower than outof : the values in the middle of the range are written with one bit less
+     * @param {Integer} outof
+     * @returns {Integer}
+     */
+    BitReader.prototype.decode = function(outof) {
+        var bits = bitLength(outof - 1);
+        var spare = Math.pow(2, bits) - outof;
+        if (spare === 0) {
+            return this.readBits(bits);
+        }
+        var midStart = (outof - spare) / 2;
+        var value = this.readBits(bits - 1);
+        if (value < midStart && this.readBits(1)) {
+            value += midStart + spare;
+        }
+        return value;
+    };
+
+    /**
+     * Reads the positions between two known ones : the one in the middle first, and then each half
+     * @param {Array.<Integer>} positions The positions, where the ones at j and k are known
+     * @param {Integer} j
+     * @param {Integer} k
+     */
+    BitReader.prototype.decodeInterpolative = function(positions, j, k) {
+        while (j + 1 < k) {
+            var middle = j + Math.floor((k - j) / 2);
+            // The positions between j and k are all different
+            var outof = positions[k] - positions[j] + j - k + 1;
+            positions[middle] = this.decode(outof) + positions[j] + middle - j;
+            this.decodeInterpolative(positions, j, middle);
+            j = middle;
+        }
+    };
+
+    /**
+     * Writes an unsigned integer in a key, so that the keys are sorted by integer :
+     * the bytes of the integer in big-endian order, after a byte with their number minus one in its 3 highest bits,
+     * and the highest bits of the integer in its 5 lowest ones
+     * @param {Integer} value
+     * @returns {Array.<Integer>}
+     */
+    function packUintPreservingSort(value) {
+        var bytes = [];
+        do {
+            bytes.unshift(value % 256);
+            value = Math.floor(value / 256);
+        } while (value >= 32);
+        bytes.unshift((bytes.length - 1) * 32 + value);
+        return bytes;
+    }
+
+    /**
+     * Reads an unsigned integer written by packUintPreservingSort
+     * @param {Uint8Array} data
+     * @param {Integer} pos
+     * @returns {Integer}
+     */
+    function unpackUintPreservingSort(data, pos) {
+        var size = (data[pos] >> 5) + 1;
+        if (pos + 1 + size > data.length) {
+            throw new Error("Invalid integer in a Xapian key");
+        }
+        var value = data[pos] & 0x1f;
+        for (var i = 0; i < size; i++) {
+            value = value * 256 + data[pos + 1 + i];
+        }
+        return value;
+    }
+
+    /**
+     * Writes a string in a key, so that the keys are sorted by string :
+     * the zero bytes are escaped, and the string is terminated by a zero byte if it's not at the end of the key
+     * @param {Array.<Integer>} bytes UTF-8 bytes of the string
+     * @param {Boolean} isLast true if the string is at the end of the key
+     * @returns {Array.<Integer>}
+     */
+    function packStringPreservingSort(bytes, isLast) {
+        var packed = [];
+        for (var i = 0; i < bytes.length; i++) {
+            packed.push(bytes[i]);
+            if (bytes[i] === 0) {
+                packed.push(0xff);
+            }
+        }
+        if (!isLast) {
+            packed.push(0);
+        }
+        return packed;
+    }
+
+    /**
+     * Compares the key and component of an item of a B-tree with the ones searched
+     * @param {Uint8Array} key
+     * @param {Integer} component
+     * @param {Array.<Integer>} searchedKey
+     * @param {Integer} searchedComponent
+     * @returns {Integer} a negative number, zero or a positive number, like a comparator
+     */
+    function compareItem(key, component, searchedKey, searchedComponent) {
+        var length = Math.min(key.length, searchedKey.length);
+        for (var i = 0; i < length; i++) {
+            if (key[i] !== searchedKey[i]) {
+                return key[i] - searchedKey[i];
+            }
+        }
+        if (key.length !== searchedKey.length) {
+            return key.length - searchedKey.length;
+        }
+        return component - searchedComponent;
+    }
+
+    /**
+     * Block of a B-tree
+     *
+     * @typedef Block
+     * @property {Uint8Array} data
+     * @property {Integer} level 0 for the leaves
+     * @property {Integer} dirEnd Offset of the end of the directory
+     *
+     * @param {Uint8Array} data
+     */
+    function Block(data) {
+        this.data = data;
+        this.level = data[BLOCK_LEVEL_POS];
+        this.dirEnd = readBigEndian(data, DIR_END_POS, 2);
+        if (this.dirEnd < DIR_START || this.dirEnd > data.length) {
+            throw new Error("Invalid block in the Xapian database");
+        }
+    }
+
+    /**
+     * Gives the key of the item at a position of the directory
+     * @param {Integer} dirPos
+     * @returns {Uint8Array}
+     */
+    Block.prototype.key = function(dirPos) {
+        var itemPos = readBigEndian(this.data, dirPos, 2);
+        // Branch items start with the number of their child block, leaf items with their size
+        var keyLengthPos = itemPos + (this.level > 0 ? 4 : 2);
+        var keyLength = this.data[keyLengthPos];
+        return this.data.subarray(keyLengthPos + 1, keyLengthPos + 1 + keyLength);
+    };
+
+    /**
+     * Gives the component number of the item at a position of the directory :
+     * the tags that do not fit in a single item are split in several components, numbered from 1
+     * @param {Integer} dirPos
+     * @returns {Integer}
+     */
+    Block.prototype.component = function(dirPos) {
+        var itemPos = readBigEndian(this.data, dirPos, 2);
+        if (this.level === 0 && (this.data[itemPos] & ITEM_FIRST_COMPONENT_FLAG)) {
+            return 1;
+        }
+        var keyLengthPos = itemPos + (this.level > 0 ? 4 : 2);
+        return readBigEndian(this.data, keyLengthPos + 1 + this.data[keyLengthPos], 2);
+    };
+
+    /**
+     * Gives the number of the child block of a branch item
+     * @param {Integer} dirPos
+     * @returns {Integer}
+     */
+    Block.prototype.childBlock = function(dirPos) {
+        return readBigEndian(this.data, readBigEndian(this.data, dirPos, 2), 4);
+    };
+
+    /**
+     * Gives the part of the tag stored in a leaf item
+     * @param {Integer} dirPos
+     * @returns {Object} an object with the chunk (Uint8Array) of the tag, and the flags of the item
+     */
+    Block.prototype.tagChunk = function(dirPos) {
+        var data = this.data;
+        var itemPos = readBigEndian(data, dirPos, 2);
+        var flags = data[itemPos];
+        var itemEnd = itemPos + (readBigEndian(data, itemPos, 2) & ITEM_SIZE_MASK) + 3;
+        var chunkPos = itemPos + 3 + data[itemPos + 2];
+        if (!(flags & ITEM_FIRST_COMPONENT_FLAG)) {
+            chunkPos += 2;
+        }
+        if (itemEnd > data.length || chunkPos > itemEnd) {
+            throw new Error("Invalid item in the Xapian database");
+        }
+        return {
+            chunk: data.subarray(chunkPos, itemEnd),
+            isCompressed: (flags & ITEM_COMPRESSED_FLAG) !== 0,
+            isLastComponent: (flags & ITEM_LAST_COMPONENT_FLAG) !== 0
+        };
+    };
+
+    /**
+     * Finds the last item lower than or equal to the searched one
+     * @param {Array.<Integer>} key
+     * @param {Integer} component
+     * @returns {Object} an object with the position in the directory (DIR_START - DIR_ENTRY_SIZE in a leaf
+     *     if all the items are greater), and whether the item is the searched one
+     */
+    Block.prototype.find = function(key, component) {
+        // The first item of a branch stands for all the keys lower than the second one
+        var low = this.level > 0 ? DIR_START : DIR_START - DIR_ENTRY_SIZE;
+        var high = this.dirEnd;
+        while (high - low > DIR_ENTRY_SIZE) {
+            var middle = low + Math.floor((high - low) / (2 * DIR_ENTRY_SIZE)) * DIR_ENTRY_SIZE;
+            var comparison = compareItem(this.key(middle), this.component(middle), key, component);
+            if (comparison === 0) {
+                return {dirPos: middle, exact: true};
+            }
+            if (comparison < 0) {
+                low = middle;
+            }
+            else {
+                high = middle;
+            }
+        }
+        return {dirPos: low, exact: false};
+    };
+
+    /**
+     * A table of the database : a B-tree of keys and tags
+     *
+     * @typedef XapianTable
+     * @property {XapianDatabase} _database
+     * @property {Integer} level Level of the root block
+     * @property {Integer} root Number of the root block
+     * @property {Boolean} isEmpty
+     * @property {Integer} entryCount Number of keys
+     *
+     * @param {XapianDatabase} database
+     * @param {Object} rootInfo Description of the table in the version block
+     */
+    function XapianTable(database, rootInfo) {
+        this._database = database;
+        this.level = rootInfo.level;
+        this.root = rootInfo.root;
+        // An empty table has no block : its root is not a real one
+        this.isEmpty = rootInfo.entryCount === 0;
+        this.entryCount = rootInfo.entryCount;
+    }
+
+    /**
+     * Goes down the B-tree to the leaf where an item is, or would be
+     * @param {Array.<Integer>} key
+     * @param {Integer} component
+     * @returns {Promise} that resolves to the path from the root :
+     *     an Array of objects with the Block, and the position in its directory given by Block.find
+     */
+    XapianTable.prototype._descend = function(key, component) {
+        var that = this;
+        var path = [];
+        var readLevel = function(blockNumber, level) {
+            return that._database._readBlock(blockNumber).then(function(block) {
+                if (block.level !== level) {
+                    throw new Error("Invalid B-tree in the Xapian database");
+                }
+                var position = block.find(key, component);
+                path.push({block: block, dirPos: position.dirPos, exact: position.exact});
+                if (level === 0) {
+                    return path;
+                }
+                return readLevel(block.childBlock(position.dirPos), level - 1);
+            });
+        };
+        return readLevel(this.root, this.level);
+    };
+
+    /**
+     * Moves a path to the next item of the leaves
+     * @param {Array} path Path given by _descend, that is modified
+     * @returns {Promise} that resolves to true, or false if there is no next item
+     */
+    XapianTable.prototype._next = function(path) {
+        var that = this;
+        var leaf = path[path.length - 1];
+        if (leaf.dirPos + DIR_ENTRY_SIZE < leaf.block.dirEnd) {
+            leaf.dirPos += DIR_ENTRY_SIZE;
+            return Q(true);
+        }
+        // Goes up to the first branch that has a next item, then down to the first item of the leaf below it
+        var depth = path.length - 2;
+        while (depth >= 0 && path[depth].dirPos + DIR_ENTRY_SIZE >= path[depth].block.dirEnd) {
+            depth--;
+        }
+        if (depth < 0) {
+            return Q(false);
+        }
+        path[depth].dirPos += DIR_ENTRY_SIZE;
+        var readFirstItems = function(depth) {
+            var parent = path[depth];
+            return that._database._readBlock(parent.block.childBlock(parent.dirPos)).then(function(block) {
+                path[depth + 1] = {block: block, dirPos: DIR_START, exact: false};
+                if (depth + 1 === path.length - 1) {
+                    return block.dirEnd > DIR_START;
+                }
+                return readFirstItems(depth + 1);
+            });
+        };
+        return readFirstItems(depth);
+    };
+
+    /**
+     * Reads the tag of a key
+     * @param {Array.<Integer>} key
+     * @returns {Promise} that resolves to the tag (Uint8Array), or null if the key is not in the table
+     */
+    XapianTable.prototype.get = function(key) {
+        if (this.isEmpty) {
+            return Q(null);
+        }
+        var that = this;
+        var chunks = [];
+        var isCompressed = false;
+        var readComponent = function(component) {
+            return that._descend(key, component).then(function(path) {
+                var leaf = path[path.length - 1];
+                if (!leaf.exact) {
+                    if (component === 1) {
+                        return null;
+                    }
+                    throw new Error("Missing part of a tag in the Xapian database");
+                }
+                var item = leaf.block.tagChunk(leaf.dirPos);
+                chunks.push(item.chunk);
+                isCompressed = item.isCompressed;
+                if (!item.isLastComponent) {
+                    return readComponent(component + 1);
+                }
+                return joinChunks(chunks, isCompressed);
+            });
+        };
+        return readComponent(1);
+    };
+
+    /**
+     * Finds the first key that is greater than or equal to a given key
+     * @param {Array.<Integer>} key
+     * @returns {Promise} that resolves to the key found (Uint8Array), or null if there is none
+     */
+    XapianTable.prototype.findKeyFrom = function(key) {
+        if (this.isEmpty) {
+            return Q(null);
+        }
+        var that = this;
+        return this._descend(key, 1).then(function(path) {
+            var leaf = path[path.length - 1];
+            if (leaf.exact) {
+                return leaf.block.key(leaf.dirPos);
+            }
+            return that._next(path).then(function(found) {
+                if (!found) {
+                    return null;
+                }
+                var nextLeaf = path[path.length - 1];
+                return nextLeaf.block.key(nextLeaf.dirPos);
+            });
+        });
+    };
+
+    /**
+     * Puts the parts of a tag together, and decompresses it if needed
+     * @param {Array.<Uint8Array>} chunks
+     * @param {Boolean} isCompressed
+     * @returns {Uint8Array}
+     */
+    function joinChunks(chunks, isCompressed) {
+        var tag;
+        if (chunks.length === 1) {
+            tag = chunks[0];
+        }
+        else {
+            var length = chunks.reduce(function(total, chunk) { return total + chunk.length; }, 0);
+            tag = new Uint8Array(length);
+            var pos = 0;
+            chunks.forEach(function(chunk) {
+                tag.set(chunk, pos);
+                pos += chunk.length;
+            });
+        }
+        // Compressed tags are raw DEFLATE streams
+        return isCompressed ? inflate.inflateRaw(tag) : tag;
+    }
+
+    /**
+     * Documents in which a term appears
+     *
+     * @typedef PostingList
+     * @property {Integer} termFrequency Number of documents in which the term appears
+     * @property {Array.<Integer>} docIds Document ids, in increasing order
+     * @property {Array.<Integer>} wdfs Number of occurrences of the term in each document
+     */
+
+    /**
+     * Full-text index made with Xapian, with the glass backend, stored in a single file
+     * (which is how it is embedded in ZIM files).
+     * Only the tables needed to look for the documents containing some terms are read (postlist and docdata),
+     * and the positions of the terms, to look for phrases (position)
+     *
+     * @typedef XapianDatabase
+     * @property {Function} _readSlice Function that reads a part of the database
+     * @property {Integer} blockSize
+     * @property {Array.<Integer>} uuid
+     * @property {Integer} revision
+     * @property {Object} tables XapianTable of each table of the database, by name
+     * @property {Integer} documentCount
+     *
+     * @param {Function} readSlice Function that reads a part of the database : it takes an offset and a size,
+     *     and returns a Promise of a Uint8Array
+     */
+    function XapianDatabase(readSlice) {
+        this._readSlice = readSlice;
+        this.blockSize = null;
+        this.uuid = null;
+        this.revision = null;
+        this.tables = {};
+        this.documentCount = 0;
+    }
+
+    /**
+     * Reads the version block of the database, which describes its tables
+     * @returns {Promise} that resolves to the XapianDatabase
+     */
+    XapianDatabase.prototype.open = function() {
+        var that = this;
+        return this._readSlice(0, MIN_BLOCK_SIZE).then(function(data) {
+            for (var i = 0; i < GLASS_MAGIC.length; i++) {
+                if (data[i] !== GLASS_MAGIC[i]) {
+                    throw new Error("This is not a Xapian glass database");
+                }
+            }
+            // The magic string is followed by the format version (2 bytes), and the uuid of the database
+            var uuidPos = GLASS_MAGIC.length + 2;
+            that.uuid = Array.prototype.slice.call(data.subarray(uuidPos, uuidPos + UUID_SIZE));
+            var reader = new TagReader(data);
+            reader.pos = uuidPos + UUID_SIZE;
+            that.revision = reader.readUint();
+            TABLE_NAMES.forEach(function(name) {
+                var root = reader.readUint();
+                // The level of the root block is followed by two flags (sequential, root is fake), in the lowest bits
+                var levelAndFlags = reader.readUint();
+                var rootInfo = {
+                    root: root,
+                    level: Math.floor(levelAndFlags / 4),
+                    entryCount: reader.readUint(),
+                    // The block size is stored divided by 2048
+                    blockSize: reader.readUint() * MIN_BLOCK_SIZE,
+                    compressMin: reader.readUint()
+                };
+                // List of the free blocks
+                reader.readBytes();
+                that.tables[name] = new XapianTable(that, rootInfo);
+                if (!that.blockSize && rootInfo.entryCount > 0) {
+                    that.blockSize = rootInfo.blockSize;
+                }
+            });
+            if (!that.blockSize) {
+                throw new Error("The Xapian database is empty");
+            }
+            // The statistics of the database follow the tables, starting with the number of documents
+            that.documentCount = reader.readUint();
+            return that;
+        });
+    };
+
+    /**
+     * Reads a block of a table
+     * @param {Integer} blockNumber
+     * @returns {Promise} that resolves to the Block
+     */
+    XapianDatabase.prototype._readBlock = function(blockNumber) {
+        var blockSize = this.blockSize;
+        return this._readSlice(blockNumber * blockSize, blockSize).then(function(data) {
+            if (data.length < blockSize) {
+                throw new Error("Block " + blockNumber + " is beyond the end of the Xapian database");
+            }
+            return new Block(data);
+        });
+    };
+
+    /**
+     * Finds the documents in which a term appears
+     * @param {String} term
+     * @returns {Promise} that resolves to the PostingList (empty if the term is not in the index)
+     */
+    XapianDatabase.prototype.getPostingList = function(term) {
+        var postlist = this.tables.postlist;
+        var termBytes = utf8.toByteArray(term);
+        var postingList = {termFrequency: 0, docIds: [], wdfs: []};
+        // The first chunk of the list has the term as key, the next ones the term and their first document id
+        var chunkKeyPrefix = packStringPreservingSort(termBytes, false);
+        var readDocs = function(reader, docId) {
+            while (!reader.isAtEnd()) {
+                docId += reader.readUint() + 1;
+                postingList.docIds.push(docId);
+                postingList.wdfs.push(reader.readUint());
+            }
+        };
+        var readNextChunks = function(lastDocId) {
+            var searchedKey = chunkKeyPrefix.concat(packUintPreservingSort(lastDocId + 1));
+            return postlist.findKeyFrom(searchedKey).then(function(key) {
+                if (key === null || compareItem(key.subarray(0, chunkKeyPrefix.length), 1, chunkKeyPrefix, 1) !== 0) {
+                    throw new Error("Missing part of the posting list of '" + term + "' in the Xapian database");
+                }
+                return postlist.get(Array.prototype.slice.call(key)).then(function(tag) {
+                    var docId = unpackUintPreservingSort(key, chunkKeyPrefix.length);
+                    var reader = new TagReader(tag);
+                    var isLastChunk = reader.readBool();
+                    var chunkLastDocId = docId + reader.readUint();
+                    postingList.docIds.push(docId);
+                    postingList.wdfs.push(reader.readUint());
+                    readDocs(reader, docId);
+                    return isLastChunk ? postingList : readNextChunks(chunkLastDocId);
+                });
+            });
+        };
+        return postlist.get(packStringPreservingSort(termBytes, true)).then(function(tag) {
+            if (tag === null) {
+                return postingList;
+            }
+            var reader = new TagReader(tag);
+            postingList.termFrequency = reader.readUint();
+            // Collection frequency (total number of occurrences)
+            reader.readUint();
+            var docId = reader.readUint() + 1;
+            var isLastChunk = reader.readBool();
+            var chunkLastDocId = docId + reader.readUint();
+            postingList.docIds.push(docId);
+            postingList.wdfs.push(reader.readUint());
+            readDocs(reader, docId);
+            return isLastChunk ? postingList : readNextChunks(chunkLastDocId);
+        });
+    };
+
+    /**
+     * Finds the positions of a term in a document
+     * @param {String} term
+     * @param {Integer} docId
+     * @returns {Promise} that resolves to the Array of the positions, in increasing order
+     *     (empty if the term is not in the document, or if its positions have not been indexed)
+     */
+    XapianDatabase.prototype.getPositions = function(term, docId) {
+        var key = packStringPreservingSort(utf8.toByteArray(term), false).concat(packUintPreservingSort(docId));
+        return this.tables.position.get(key).then(function(tag) {
+            if (tag === null) {
+                return [];
+            }
+            var reader = new TagReader(tag);
+            var lastPosition = reader.readUint();
+            if (reader.isAtEnd()) {
+                return [lastPosition];
+            }
+            var bitReader = new BitReader(tag, reader.pos);
+            var firstPosition = bitReader.decode(lastPosition);
+            var positions = new Array(bitReader.decode(lastPosition - firstPosition) + 2);
+            positions[0] = firstPosition;
+            positions[positions.length - 1] = lastPosition;
+            bitReader.decodeInterpolative(positions, 0, positions.length - 1);
+            return positions;
+        });
+    };
+
+    /**
+     * Tells if the terms of a phrase are next to each other in a document
+     * @param {Array.<String>} phrase Terms of the phrase, in order
+     * @param {Integer} docId
+     * @returns {Promise} that resolves to a Boolean
+     */
+    XapianDatabase.prototype.hasPhrase = function(phrase, docId) {
+        var that = this;
+        return Q.all(phrase.map(function(term) {
+            return that.getPositions(term, docId);
+        })).then(function(positionLists) {
+            return positionLists[0].some(function(position) {
+                return positionLists.every(function(positions, i) {
+                    return positions.indexOf(position + i) !== -1;
+                });
+            });
+        });
+    };
+
+    /**
+     * Reads the data of a document (for the indexes of ZIM files, the URL of the article, without namespace)
+     * @param {Integer} docId
+     * @returns {Promise} that resolves to the data (String), or null if there is no such document
+     */
+    XapianDatabase.prototype.getDocumentData = function(docId) {
+        return this.tables.docdata.get(packUintPreservingSort(docId)).then(function(tag) {
+            return tag === null ? null : utf8.parse(tag);
+        });
+    };
+
+    /**
+     * Finds the documents that contain all the terms, and all the phrases.
+     * The documents where the terms appear the most, and the rarest terms, come first
+     * @param {Array.<String>} terms
+     * @param {Integer} size Maximum number of results
+     * @param {Array.<Array.<String>>} phrases Optional : terms that must be next to each other, in this order
+     *     (they must also be in terms). The documents whose positions have not been indexed do not match them
+     * @returns {Promise} that resolves to the Array of the ids of the documents found, best ones first
+     */
+    XapianDatabase.prototype.search = function(terms, size, phrases) {
+        var that = this;
+        if (terms.length === 0) {
+            return Q([]);
+        }
+        return Q.all(terms.map(function(term) {
+            return that.getPostingList(term);
+        })).then(function(postingLists) {
+            var scores = null;
+            postingLists.forEach(function(postingList) {
+                var documentFrequency = postingList.docIds.length;
+                var idf = Math.log(1 + (that.documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+                // Only the documents that contain all the previous terms are kept
+                var termScores = Object.create(null);
+                postingList.docIds.forEach(function(docId, i) {
+                    if (scores === null || docId in scores) {
+                        var wdf = postingList.wdfs[i];
+                        termScores[docId] = (scores === null ? 0 : scores[docId]) + idf * wdf * (BM25_K1 + 1) / (wdf + BM25_K1);
+                    }
+                });
+                scores = termScores;
+            });
+            var docIds = Object.keys(scores).sort(function(a, b) {
+                return scores[b] - scores[a] || a - b;
+            }).map(Number);
+            if (!phrases || phrases.length === 0) {
+                return docIds.slice(0, size);
+            }
+            // The positions are only read for the best documents, until enough of them have the phrases
+            var results = [];
+            var checkDocument = function(i) {
+                if (i >= docIds.length || results.length >= size) {
+                    return results;
+                }
+                return Q.all(phrases.map(function(phrase) {
+                    return that.hasPhrase(phrase, docIds[i]);
+                })).then(function(hasPhrases) {
+                    if (hasPhrases.every(Boolean)) {
+                        results.push(docIds[i]);
+                    }
+                    return checkDocument(i + 1);
+                });
+            };
+            return checkDocument(0);
+        });
+    };
+
+    /**
+     * Functions and classes exposed by this module
+     */
+    return {
+        XapianDatabase: XapianDatabase,
+        packUintPreservingSort: packUintPreservingSort,
+        packStringPreservingSort: packStringPreservingSort
+    };
+});
@@ -63,6 +63,45 @@ define(['q'], function(q) {
         });
     };
 
+    /**
+     * Reads the whole decompressed stream
+     * @returns {Promise} that resolves to a Uint8Array
+     */
+    Decompressor.prototype.readAll = function() {
+        var that = this;
+        var chunks = [];
+        var size = 0;
+        this._inStreamPos = 0;
+        this._decHandle = xzdec._init_decompression(this._chunkSize);
+        var readLoop = function() {
+            var inStreamPos = that._inStreamPos;
+            var needsInput = xzdec._input_empty(that._decHandle);
+            return that._fillInBufferIfNeeded().then(function() {
+                var ret = xzdec._decompress(that._decHandle);
+                var outPos = xzdec._get_out_pos(that._decHandle);
+                if (outPos > 0) {
+                    var outBuffer = xzdec._get_out_buffer(that._decHandle);
+                    chunks.push(xzdec.HEAPU8.slice(outBuffer, outBuffer + outPos));
+                    size += outPos;
+                    xzdec._out_buffer_cleared(that._decHandle);
+                }
+                // The stream has ended (or is invalid), or it is truncated
+                if (ret !== 0 || (needsInput && that._inStreamPos === inStreamPos && outPos === 0)) {
+                    xzdec._release(that._decHandle);
+                    var data = new Uint8Array(size);
+                    var dataPos = 0;
+                    chunks.forEach(function(chunk) {
+                        data.set(chunk, dataPos);
+                        dataPos += chunk.length;
+                    });
+                    return data;
+                }
+                return readLoop();
+            });
+        };
+        return readLoop();
+    };
+
     /**
      * 
      * @param {Integer} offset
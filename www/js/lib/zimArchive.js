@@ -20,8 +20,8 @@
  * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
  */
 'use strict';
-define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
-    function(zimfile, zimDirEntry, util, utf8) {
+define(['zimfile', 'zimDirEntry', 'normalizedTitleIndex', 'fullTextSearch', 'fullTextIndex', 'xapian', 'util', 'utf8', 'q'],
+    function(zimfile, zimDirEntry, normalizedTitleIndex, fullTextSearch, fullTextIndex, xapian, util, utf8, Q) {
     
     /**
      * ZIM Archive
@@ -29,14 +29,73 @@ define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
      * 
      * @typedef ZIMArchive
      * @property {ZIMFile} _file The ZIM file (instance of ZIMFile, that might physically be splitted into several actual files)
-     * @property {String} _language Language of the content
+     * @property {String} _language Language of the content (ISO 639-3 code from the metadata, or "" if unknown)
+     * @property {Promise} _metadata Promise of the metadata, once they have been requested
+     * @property {Promise} _titleIndex Promise of the TitleIndex, once it has been requested
+     * @property {NormalizedTitleIndex} _normalizedTitleIndex Index used for the title searches, once it is ready (null before)
+     * @property {Promise} _normalizedTitleIndexPromise Promise of the NormalizedTitleIndex, once it has been requested
+     * @property {Promise} _xapianDatabase Promise of the embedded XapianDatabase (or null), once it has been requested
      */
     
+    /**
+     * List of directory entries sorted by title, in which titles are searched
+     * 
+     * @typedef TitleIndex
+     * @property {Integer} length Number of entries
+     * @property {Function} dirEntryAt Function that gives a Promise of the DirEntry data at a given position
+     * @property {String} namespace Namespace of the articles
+     * @property {Boolean} articlesOnly true if the list only contains articles (front article listing)
+     */
+    
+    /**
+     * Metadata of a ZIM archive, read from its M namespace.
+     * Entries that are missing from the archive are null
+     * 
+     * See http://www.openzim.org/wiki/Metadata
+     * 
+     * @typedef ZIMMetadata
+     * @property {String} Name
+     * @property {String} Title
+     * @property {String} Description
+     * @property {String} Language ISO 639-3 code(s), separated by commas
+     * @property {String} Creator
+     * @property {String} Publisher
+     * @property {String} Date YYYY-MM-DD
+     * @property {String} Tags separated by semicolons
+     * @property {String} Counter number of entries per MIME type ("text/html=1234;image/png=567...")
+     * @property {Uint8Array} Illustration 48x48 PNG illustration (or favicon in older archives)
+     */
+    
+    // Names of the textual metadata entries (in the M namespace)
+    var METADATA_NAMES = ['Name', 'Title', 'Description', 'Language', 'Creator', 'Publisher', 'Date', 'Tags', 'Counter'];
+    // Illustration of the archive : older archives only have a favicon
+    var METADATA_ILLUSTRATION_NAMES = ['M/Illustration_48x48@1', '-/favicon'];
+    
+    // In the new namespace layout, list of the URL indexes of the articles, sorted by title
+    var FRONT_ARTICLE_LISTING_URL = 'X/listing/titleOrdered/v1';
+    // Namespaces of the new layout, that can be used as is
+    var regexpNewNamespace = /^[CMWX]\//;
+    // Namespaces of the old layout, whose content is in the C namespace in the new layout
+    var regexpOldContentNamespace = /^[AIJ-]\/(.+)$/;
+    // Full-text index made with Xapian, that some archives contain : in the new namespace layout, and in the old one
+    var XAPIAN_INDEX_URLS = ['X/fulltext/xapian', 'Z/fulltextIndex/xapian'];
+    // Phrases between quotes, in the queries of the full-text search
+    var regexpPhrase = /"([^"]+)"/g;
+    
+    // Number of directory entries read at the same time when building the normalized title index
+    var TITLE_INDEX_BATCH_SIZE = 256;
+    
     /**
      * @callback callbackZIMArchive
      * @param {ZIMArchive} zimArchive Ready-to-use ZIMArchive
      */
     
+    /**
+     * @callback callbackZIMArchiveError
+     * @param {Error} error Reason why the archive could not be opened
+     *     (a zimfile.ZIMError with a code if the file itself is invalid)
+     */
+    
     
     /**
      * Creates a ZIM archive object to access the ZIM file at the given path in the given storage.
@@ -45,16 +104,36 @@ define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
      * @param {StorageFirefoxOS|StoragePhoneGap|Array.<Blob>} storage Storage (in this case, the path must be given) or Array of Files (path parameter must be omitted)
      * @param {String} path
      * @param {callbackZIMArchive} callbackReady
+     * @param {callbackZIMArchiveError} callbackError Optional : if omitted, errors are shown in an alert
      */
-    function ZIMArchive(storage, path, callbackReady) {
+    function ZIMArchive(storage, path, callbackReady, callbackError) {
         var that = this;
         that._file = null;
-        that._language = ""; //@TODO
+        that._language = "";
+        that._metadata = null;
+        that._titleIndex = null;
+        that._normalizedTitleIndex = null;
+        that._normalizedTitleIndexPromise = null;
+        that._xapianDatabase = null;
+        var reportError = function(error) {
+            if (callbackError) {
+                callbackError(error);
+            }
+            else {
+                alert("Error opening ZIM file : " + (error.message || error));
+            }
+        };
         var createZimfile = function(fileArray) {
             zimfile.fromFileArray(fileArray).then(function(file) {
                 that._file = file;
+                // The language is needed as soon as the archive is used :
+                // an archive with unreadable metadata can still be opened though
+                return that.getMetadata().fail(function(error) {
+                    console.error("Unable to read the metadata of the ZIM file", error);
+                });
+            }).then(function() {
                 callbackReady(that);
-            });
+            }, reportError);
         };
         if (storage && !path) {
             var fileList = storage;
@@ -69,14 +148,14 @@ define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
                 that._searchArchiveParts(storage, path.slice(0, -2)).then(function(fileArray) {
                     createZimfile(fileArray);
                 }, function(error) {
-                    alert("Error reading files in splitted archive " + path + ": " + error);
+                    reportError(new Error("Error reading files in splitted archive " + path + ": " + error));
                 });
             }
             else {
                 storage.get(path).then(function(file) {
                     createZimfile([file]);
                 }, function(error) {
-                    alert("Error reading ZIM file " + path + " : " + error);
+                    reportError(new Error("Error reading ZIM file " + path + " : " + error));
                 });
             }
         }
@@ -119,6 +198,15 @@ define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
         return false;
     };
 
+    /**
+     * Tells if all the content is in the C namespace (ZIM 6.1 and later),
+     * instead of the A (articles), I (images) and - (layout) namespaces
+     * @returns {Boolean}
+     */
+    ZIMArchive.prototype.hasNewNamespaceScheme = function() {
+        return this._file.newNamespaceScheme;
+    };
+
     /**
      * 
      * @returns {Boolean}
@@ -127,6 +215,332 @@ define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
         return false;
     };
     
+    /**
+     * Tells if the titles can be searched anywhere in their name (see findTitlesWithInfix) :
+     * not in a remote archive, whose normalized title index is not built
+     * @returns {Boolean}
+     */
+    ZIMArchive.prototype.hasInfixTitleSearch = function() {
+        return !this._file || !this._file.isRemote();
+    };
+    
+    /**
+     * Reads the metadata of the archive (only once), and sets its language
+     * @returns {Promise} that resolves to the ZIMMetadata
+     */
+    ZIMArchive.prototype.getMetadata = function() {
+        var that = this;
+        if (!this._metadata) {
+            var metadata = {};
+            var readEntries = METADATA_NAMES.map(function(name) {
+                return that._readMetadataEntry(["M/" + name]).then(function(data) {
+                    metadata[name] = data === null ? null : utf8.parse(data);
+                });
+            });
+            readEntries.push(this._readMetadataEntry(METADATA_ILLUSTRATION_NAMES).then(function(data) {
+                metadata.Illustration = data;
+            }));
+            this._metadata = Q.all(readEntries).then(function() {
+                if (metadata.Language) {
+                    // Multilingual archives list several languages : the first one is the main one
+                    that._language = metadata.Language.split(',')[0].trim();
+                }
+                return metadata;
+            });
+        }
+        return this._metadata;
+    };
+    
+    /**
+     * Information about an archive, to be displayed to the user.
+     * Only the properties that make sense for the kind of archive are set
+     * 
+     * @typedef ArchiveInfo
+     * @property {String} id identity of the archive : the UUID of a ZIM file, or the language and date of an Evopedia archive
+     * @property {String} format "ZIM x.y" or "Evopedia"
+     * @property {String} title
+     * @property {String} description
+     * @property {String} language
+     * @property {String} date
+     * @property {String} creator
+     * @property {String} publisher
+     * @property {Integer} articleCount
+     * @property {Integer} clusterCount
+     * @property {Integer} fileSize total size of the file(s), in bytes
+     * @property {Integer} partCount number of files
+     * @property {Array.<Object>} mimeTypeCounts list of {mimeType, count}, from the most common MIME type
+     * @property {Uint8Array} illustration PNG image
+     * @property {Boolean} normalizedTitles
+     * @property {Boolean} hasCoordinates
+     * @property {Boolean} hasMathFiles
+     */
+    
+    /**
+     * Gives information about the archive, from its header and its metadata
+     * @returns {Promise} that resolves to an ArchiveInfo
+     */
+    ZIMArchive.prototype.getArchiveInfo = function() {
+        var file = this._file;
+        return this.getMetadata().then(function(metadata) {
+            return {
+                id: "zim:" + file.uuid,
+                format: "ZIM " + file.majorVersion + "." + file.minorVersion,
+                title: metadata.Title,
+                description: metadata.Description,
+                language: metadata.Language,
+                date: metadata.Date,
+                creator: metadata.Creator,
+                publisher: metadata.Publisher,
+                articleCount: file.articleCount,
+                clusterCount: file.clusterCount,
+                fileSize: file.size,
+                partCount: file.partCount,
+                mimeTypeCounts: parseCounter(metadata.Counter),
+                illustration: metadata.Illustration
+            };
+        });
+    };
+    
+    /**
+     * Parses the M/Counter metadata ("text/html=1234;image/png=567;...")
+     * @param {String} counter
+     * @returns {Array.<Object>} list of {mimeType, count}, sorted by decreasing count
+     */
+    function parseCounter(counter) {
+        if (!counter) {
+            return [];
+        }
+        return counter.split(';').filter(function(item) {
+            return item.indexOf('=') > 0;
+        }).map(function(item) {
+            var separator = item.lastIndexOf('=');
+            return {
+                mimeType: item.slice(0, separator),
+                count: parseInt(item.slice(separator + 1), 10)
+            };
+        }).sort(function(a, b) {
+            return b.count - a.count;
+        });
+    }
+    
+    /**
+     * Reads the content of the first metadata entry that exists, following redirects
+     * @param {Array.<String>} titleNames Names of the entries to look for, by order of preference
+     * @returns {Promise} that resolves to a Uint8Array, or null if none of the entries exists
+     */
+    ZIMArchive.prototype._readMetadataEntry = function(titleNames) {
+        var that = this;
+        if (titleNames.length === 0) {
+            return Q(null);
+        }
+        return this.getTitleByName(titleNames[0]).then(function(title) {
+            if (title === null) {
+                return that._readMetadataEntry(titleNames.slice(1));
+            }
+            if (title.isRedirect()) {
+                return Q.Promise(function(resolve) {
+                    that.resolveRedirect(title, resolve);
+                }).then(function(targetTitle) {
+                    return targetTitle.readData();
+                });
+            }
+            return title.readData();
+        });
+    };
+    
+    /**
+     * Checks the integrity of the archive, by verifying its MD5 checksum in the background
+     * @param {callbackChecksumProgress} callbackProgress
+     * @param {callbackChecksumResult} callbackResult
+     * @returns {Object} an object with a cancel() function
+     */
+    ZIMArchive.prototype.checkIntegrity = function(callbackProgress, callbackResult) {
+        return this._file.verifyChecksum(callbackProgress, callbackResult);
+    };
+    
+    /**
+     * Ends a background work that can not be done, the same way as a WebWorker that fails
+     * (the WebWorkers can not read a remote archive)
+     * @param {callbackFullTextSearchEnd} callbackEnd Called with the error, unless the work is cancelled first
+     * @param {String} error
+     * @returns {Object} an object with a cancel() function
+     */
+    function endWithError(callbackEnd, error) {
+        var cancelled = false;
+        Q.nextTick(function() {
+            if (!cancelled) {
+                callbackEnd(error);
+            }
+        });
+        return {
+            cancel: function() {
+                cancelled = true;
+            }
+        };
+    }
+    
+    /**
+     * Searches a text or a regular expression in the content of all the articles, in the background.
+     * There is no full-text index : all the clusters are decompressed, which can take a long time
+     * @param {String} query
+     * @param {Boolean} isRegExp true if the query is a regular expression
+     * @param {Integer} maxResults The search stops when this number of articles has been found
+     * @param {callbackFullTextSearchResult} callbackResult Called with each article found
+     * @param {callbackFullTextSearchProgress} callbackProgress
+     * @param {callbackFullTextSearchEnd} callbackEnd
+     * @returns {Object} an object with a cancel() function
+     * @throws {SyntaxError} if the regular expression is not valid
+     */
+    ZIMArchive.prototype.searchArticleContents = function(query, isRegExp, maxResults, callbackResult, callbackProgress, callbackEnd) {
+        // An invalid regular expression is reported before starting the search
+        fullTextSearch.createMatcher(query, isRegExp);
+        if (this._file.isRemote()) {
+            return endWithError(callbackEnd, "all the articles of a remote archive would have to be downloaded");
+        }
+        return fullTextSearch.startWorker('searchZIM', {
+            files: this._file._files,
+            query: query,
+            isRegExp: isRegExp,
+            maxResults: maxResults
+        }, callbackResult, callbackProgress, callbackEnd);
+    };
+    
+    /**
+     * Gives the progress of the building of the full-text index
+     * @returns {Promise} that resolves to the FullTextIndexState, or null if it has not started
+     */
+    ZIMArchive.prototype.getFullTextIndexState = function() {
+        return fullTextIndex.loadState(this._file.uuid);
+    };
+    
+    /**
+     * Builds the full-text index of the articles in the background, and stores it in IndexedDB.
+     * If it has already been started (even in a previous session), it is resumed where it stopped
+     * @param {callbackFullTextSearchProgress} callbackProgress
+     * @param {callbackFullTextSearchEnd} callbackEnd
+     * @returns {Object} an object with a cancel() function, that pauses the indexing
+     */
+    ZIMArchive.prototype.buildFullTextIndex = function(callbackProgress, callbackEnd) {
+        if (this._file.isRemote()) {
+            return endWithError(callbackEnd, "all the articles of a remote archive would have to be downloaded");
+        }
+        return fullTextSearch.startWorker('buildIndexZIM', {files: this._file._files}, null, callbackProgress, callbackEnd);
+    };
+    
+    /**
+     * Gives the full-text index made with Xapian that the archive contains, if any.
+     * It can only be used if its cluster is not compressed : it is read in small parts, like the rest of the file
+     * @returns {Promise} that resolves to the XapianDatabase, or null if there is none that can be used
+     */
+    ZIMArchive.prototype._getXapianDatabase = function() {
+        var that = this;
+        var file = this._file;
+        if (!this._xapianDatabase) {
+            var findNextUrl = function(i) {
+                if (i >= XAPIAN_INDEX_URLS.length) {
+                    return null;
+                }
+                return that._findDirEntryByUrl(XAPIAN_INDEX_URLS[i]).then(function(dirEntry) {
+                    return dirEntry === null ? findNextUrl(i + 1) : dirEntry;
+                });
+            };
+            this._xapianDatabase = Q(findNextUrl(0)).then(function(dirEntry) {
+                if (dirEntry === null || dirEntry.isRedirect) {
+                    return null;
+                }
+                return file.blobPosition(dirEntry.cluster, dirEntry.blob).then(function(position) {
+                    if (position === null) {
+                        console.warn("The full-text index of the archive is compressed : it can not be used");
+                        return null;
+                    }
+                    var database = new xapian.XapianDatabase(function(offset, size) {
+                        return file._readSlice(position.offset + offset, Math.min(size, position.size - offset));
+                    });
+                    return database.open();
+                });
+            }).fail(function(e) {
+                console.error("Unable to read the full-text index of the archive", e);
+                return null;
+            });
+        }
+        return this._xapianDatabase;
+    };
+    
+    /**
+     * Tells if the archive contains a full-text index that can be used by searchFullText
+     * (in which case, it does not need to be built)
+     * @returns {Promise} that resolves to a Boolean
+     */
+    ZIMArchive.prototype.hasEmbeddedFullTextIndex = function() {
+        return this._getXapianDatabase().then(function(database) {
+            return database !== null;
+        });
+    };
+    
+    /**
+     * Looks for the articles containing the words of the query in the full-text index :
+     * the one the archive contains if any, or the one built by buildFullTextIndex.
+     * The articles that contain the most words of the query, and the rarest ones, come first.
+     * With the index of the archive, all the words must be in the articles, and the words between quotes
+     * must be next to each other
+     * @param {String} query
+     * @param {Integer} size Maximum number of results
+     * @returns {Promise} that resolves to the Array of DirEntries of the articles found
+     *     (or is rejected if there is no index)
+     */
+    ZIMArchive.prototype.searchFullText = function(query, size) {
+        var that = this;
+        return this._getXapianDatabase().then(function(database) {
+            if (database !== null) {
+                return that._searchXapianDatabase(database, query, size);
+            }
+            return fullTextIndex.search(that._file.uuid, query, size).then(function(urlIndexes) {
+                return Q.all(urlIndexes.map(function(urlIndex) {
+                    return that._file.dirEntryByUrlIndex(urlIndex).then(function(dirEntry) {
+                        return that._dirEntryToTitleObject(dirEntry);
+                    });
+                }));
+            });
+        });
+    };
+    
+    /**
+     * Looks for the articles containing the words of the query in the full-text index of the archive.
+     * The words are normalized like the ones of the index (lower case, without diacritics).
+     * The phrases are looked for with the positions of the words in the index
+     * @param {XapianDatabase} database
+     * @param {String} query
+     * @param {Integer} size Maximum number of results
+     * @returns {Promise} that resolves to the Array of DirEntries of the articles found
+     */
+    ZIMArchive.prototype._searchXapianDatabase = function(database, query, size) {
+        var that = this;
+        var terms = fullTextIndex.tokenize(query).filter(function(term, i, terms) {
+            return terms.indexOf(term) === i;
+        });
+        var phrases = [];
+        var match;
+        regexpPhrase.lastIndex = 0;
+        while ((match = regexpPhrase.exec(query)) !== null) {
+            var words = fullTextIndex.tokenize(match[1]);
+            if (words.length > 1) {
+                phrases.push(words);
+            }
+        }
+        return database.search(terms, size, phrases).then(function(docIds) {
+            return Q.all(docIds.map(function(docId) {
+                // The data of the documents is the URL of the article
+                return database.getDocumentData(docId).then(function(url) {
+                    return url === null ? null : that.getTitleByName(url);
+                });
+            }));
+        }).then(function(titles) {
+            return titles.filter(function(title) {
+                return title !== null;
+            });
+        });
+    };
+    
     /**
      * Looks for the title of the main page
      * @param {callbackTitle} callback
@@ -138,7 +552,15 @@ define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
             var that=this;
             this._file.dirEntryByUrlIndex(mainPageUrlIndex).then(function(dirEntry){
                 return that._dirEntryToTitleObject(dirEntry);
-            }).then(callback);
+            }).then(function(title) {
+                // In the new namespace layout, the main page is the redirect W/mainPage to an article
+                if (title.namespace === 'W' && title.isRedirect()) {
+                    that.resolveRedirect(title, callback);
+                }
+                else {
+                    callback(title);
+                }
+            });
         }
     };
 
@@ -155,69 +577,350 @@ define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
      * @callback callbackTitleList
      * @param {Array.<Title>} titleArray Array of Titles found
      */
+    
+    /**
+     * @callback callbackTitlePage
+     * @param {Array.<Title>} titleArray Array of Titles found
+     * @param {Integer} maxSize Maximum number of Titles that were requested
+     * @param {Object} nextCursor Cursor to give to the same search, to get the next page of results
+     *     (null if there are no more results)
+     */
 
     /**
      * Look for titles starting with the given prefix.
-     * For now, ZIM titles are case sensitive.
-     * So, as workaround, we try several variants of the prefix to find more results.
-     * This should be enhanced when the ZIM format will be modified to store normalized titles
+     * ZIM titles are case sensitive : once the normalized title index is ready (see prepareNormalizedTitleIndex),
+     * it is used to find the titles whatever their case and diacritics.
+     * Before that, as workaround, we try several variants of the prefix to find more results.
      * See https://phabricator.wikimedia.org/T108536
      * 
      * @param {String} prefix
      * @param {Integer} resultSize
-     * @param {callbackTitleList} callback
+     * @param {callbackTitlePage} callback
+     * @param {Object} cursor Optional : nextCursor of the previous page of results
+     * @param {CancellationToken} cancellationToken Optional : once cancelled, the search stops and callback is not called
      */
-    ZIMArchive.prototype.findTitlesWithPrefix = function(prefix, resultSize, callback) {
+    ZIMArchive.prototype.findTitlesWithPrefix = function(prefix, resultSize, callback, cursor, cancellationToken) {
         var that = this;
+        // A cursor of the normalized title index can only be used with this index, and vice versa
+        if (this._normalizedTitleIndex && (!cursor || cursor.normalized)) {
+            var results = this._normalizedTitleIndex.findOffsetsWithPrefix(prefix, resultSize, cursor ? cursor.index : null);
+            this._titlesAtOffsets(results.offsets).then(function(titles) {
+                if (!isCancelled(cancellationToken)) {
+                    callback(titles, resultSize, results.nextPosition === null ? null : {normalized: true, index: results.nextPosition});
+                }
+            }, function(error) {
+                if (!isCancelled(cancellationToken)) {
+                    console.error("Unable to read the titles found", error);
+                    callback([], resultSize, null);
+                }
+            });
+            return;
+        }
         var prefixVariants = util.removeDuplicateStringsInSmallArray([prefix, util.ucFirstLetter(prefix), util.lcFirstLetter(prefix), util.ucEveryFirstLetter(prefix)]);
         var titles = [];
-        function searchNextVariant() {
-            if (prefixVariants.length === 0 || titles.length >= resultSize) {
-                callback(titles);
+        function searchVariant(variant, startIndex) {
+            if (variant >= prefixVariants.length) {
+                callback(titles, resultSize, null);
                 return;
             }
-            var prefix = prefixVariants[0];
-            prefixVariants = prefixVariants.slice(1);
-            that.findTitlesWithPrefixCaseSensitive(prefix, resultSize - titles.length, function (newTitles) {
+            that.findTitlesWithPrefixCaseSensitive(prefixVariants[variant], resultSize - titles.length, function (newTitles, nextIndex) {
                 titles.push.apply(titles, newTitles);
-                searchNextVariant();
-            });
+                if (titles.length < resultSize) {
+                    searchVariant(variant + 1, null);
+                }
+                else if (nextIndex !== null) {
+                    callback(titles, resultSize, {normalized: false, variant: variant, index: nextIndex});
+                }
+                else {
+                    callback(titles, resultSize, variant + 1 < prefixVariants.length ? {normalized: false, variant: variant + 1, index: null} : null);
+                }
+            }, startIndex, cancellationToken);
+        }
+        if (cursor) {
+            searchVariant(cursor.variant, cursor.index);
+        }
+        else {
+            searchVariant(0, null);
         }
-        searchNextVariant();
     };
     
     /**
-     * Look for titles starting with the given prefix (case-sensitive)
+     * Look for titles containing the given string, anywhere in the title, whatever its case and diacritics.
+     * This search uses the normalized title index : it waits for the index to be ready.
+     * If the index can not be built, the titles starting with the given string are given instead
      * 
-     * @param {String} prefix
+     * @param {String} infix
      * @param {Integer} resultSize
-     * @param {callbackTitleList} callback
+     * @param {callbackTitlePage} callback
+     * @param {Object} cursor Optional : nextCursor of the previous page of results
+     * @param {CancellationToken} cancellationToken Optional : once cancelled, the search stops and callback is not called
      */
-    ZIMArchive.prototype.findTitlesWithPrefixCaseSensitive = function(prefix, resultSize, callback) {
+    ZIMArchive.prototype.findTitlesWithInfix = function(infix, resultSize, callback, cursor, cancellationToken) {
         var that = this;
-        util.binarySearch(0, this._file.articleCount, function(i) {
-            return that._file.dirEntryByTitleIndex(i).then(function(dirEntry) {
-                if (dirEntry.title === "")
-                    return -1; // ZIM sorts empty titles (assets) to the end
-                else if (dirEntry.namespace < "A")
-                    return 1;
-                else if (dirEntry.namespace > "A")
-                    return -1;
-                return prefix <= dirEntry.title ? -1 : 1;
+        var nextPosition;
+        this.prepareNormalizedTitleIndex().then(function(index) {
+            if (cancellationToken) {
+                cancellationToken.throwIfCancelled();
+            }
+            var results = index.findOffsetsWithInfix(infix, resultSize, cursor ? cursor.index : null);
+            nextPosition = results.nextPosition;
+            return that._titlesAtOffsets(results.offsets);
+        }).then(function(titles) {
+            if (!isCancelled(cancellationToken)) {
+                callback(titles, resultSize, nextPosition === null ? null : {normalized: true, index: nextPosition});
+            }
+        }).fail(function(error) {
+            if (isCancelled(cancellationToken)) {
+                return;
+            }
+            console.error("Unable to search anywhere in the titles : they are searched by their prefix instead", error);
+            // A cursor of the normalized title index can not be used by this search
+            that.findTitlesWithPrefix(infix, resultSize, callback, cursor && !cursor.normalized ? cursor : null, cancellationToken);
+        });
+    };
+    
+    /**
+     * Reads the directory entries found in the normalized title index
+     * @param {Array.<Integer>} offsets
+     * @returns {Promise} that resolves to the Array of Titles, in the same order
+     */
+    ZIMArchive.prototype._titlesAtOffsets = function(offsets) {
+        var that = this;
+        return Q.all(offsets.map(function(offset) {
+            return that._file.dirEntry(offset);
+        })).then(function(dirEntries) {
+            return dirEntries.map(function(dirEntry) {
+                return that._dirEntryToTitleObject(dirEntry);
             });
-        }, true).then(function(firstIndex) {
+        });
+    };
+    
+    /**
+     * @callback callbackTitleListCaseSensitive
+     * @param {Array.<Title>} titleArray Array of Titles found
+     * @param {Integer} nextIndex Position in the TitleIndex where the next titles can be looked for
+     *     (null if there are no more titles with this prefix)
+     */
+    
+    /**
+     * Look for titles starting with the given prefix (case-sensitive).
+     * If the archive can not be read, the callback is given no titles
+     * 
+     * @param {String} prefix
+     * @param {Integer} resultSize
+     * @param {callbackTitleListCaseSensitive} callback
+     * @param {Integer} startIndex Optional : nextIndex of the previous search, to get the next titles
+     * @param {CancellationToken} cancellationToken Optional : once cancelled, the search stops and callback is not called
+     */
+    ZIMArchive.prototype.findTitlesWithPrefixCaseSensitive = function(prefix, resultSize, callback, startIndex, cancellationToken) {
+        var that = this;
+        var titleIndex;
+        this._getTitleIndex().then(function(index) {
+            titleIndex = index;
+            if (startIndex !== undefined && startIndex !== null) {
+                return startIndex;
+            }
+            return util.binarySearch(0, titleIndex.length, function(i) {
+                return titleIndex.dirEntryAt(i).then(function(dirEntry) {
+                    if (dirEntry.title === "" && !titleIndex.articlesOnly)
+                        return -1; // ZIM sorts empty titles (assets) to the end
+                    else if (dirEntry.namespace < titleIndex.namespace)
+                        return 1;
+                    else if (dirEntry.namespace > titleIndex.namespace)
+                        return -1;
+                    return prefix <= (dirEntry.title || dirEntry.url) ? -1 : 1;
+                });
+            }, true, cancellationToken);
+        }).then(function(firstIndex) {
             var titles = [];
             var addTitles = function(index) {
-                if (index >= firstIndex + resultSize || index >= that._file.articleCount)
-                    return titles;
-                return that._file.dirEntryByTitleIndex(index).then(function(dirEntry) {
-                    if (dirEntry.title.slice(0, prefix.length) === prefix && dirEntry.namespace === "A")
+                if (cancellationToken) {
+                    cancellationToken.throwIfCancelled();
+                }
+                if (index >= firstIndex + resultSize || index >= titleIndex.length) {
+                    // If all the titles matched, the following ones might still start with the prefix
+                    return {titles: titles, nextIndex: index < titleIndex.length && titles.length >= resultSize ? index : null};
+                }
+                return titleIndex.dirEntryAt(index).then(function(dirEntry) {
+                    var title = dirEntry.title || dirEntry.url;
+                    if (title.slice(0, prefix.length) === prefix && dirEntry.namespace === titleIndex.namespace)
                         titles.push(that._dirEntryToTitleObject(dirEntry));
                     return addTitles(index + 1);
                 });
             };
             return addTitles(firstIndex);
-        }).then(callback);
+        }).then(function(results) {
+            callback(results.titles, results.nextIndex);
+        }, function(error) {
+            if (!isCancelled(cancellationToken)) {
+                console.error("Unable to search the titles", error);
+                callback([], null);
+            }
+        });
+    };
+    
+    /**
+     * @callback callbackTitleIndexProgress
+     * @param {Number} progress Proportion of the titles read so far (between 0 and 1)
+     */
+    
+    /**
+     * Gets the normalized title index ready for findTitlesWithPrefix (only once) :
+     * it is read from IndexedDB if it has already been built for an archive with the same UUID,
+     * otherwise it is built in a WebWorker, and then stored
+     * @param {callbackTitleIndexProgress} callbackProgress Optional : called while the index is being built
+     * @returns {Promise} that resolves to the NormalizedTitleIndex
+     */
+    ZIMArchive.prototype.prepareNormalizedTitleIndex = function(callbackProgress) {
+        var that = this;
+        var uuid = this._file.uuid;
+        if (!this._normalizedTitleIndexPromise) {
+            this._normalizedTitleIndexPromise = normalizedTitleIndex.loadIndex(uuid).fail(function(error) {
+                console.error("Unable to read the stored title index", error);
+                return null;
+            }).then(function(index) {
+                if (index) {
+                    return index;
+                }
+                return that._buildNormalizedTitleIndexInWorker(callbackProgress).then(function(index) {
+                    normalizedTitleIndex.saveIndex(uuid, index).fail(function(error) {
+                        console.error("Unable to store the title index", error);
+                    });
+                    return index;
+                });
+            }).then(function(index) {
+                that._normalizedTitleIndex = index;
+                return index;
+            }, function(error) {
+                // The index will be built again at the next request
+                that._normalizedTitleIndexPromise = null;
+                throw error;
+            });
+        }
+        return this._normalizedTitleIndexPromise;
+    };
+    
+    /**
+     * Builds the normalized title index in a WebWorker, so that the user interface is not blocked
+     * @param {callbackTitleIndexProgress} callbackProgress
+     * @returns {Promise} that resolves to the NormalizedTitleIndex
+     */
+    ZIMArchive.prototype._buildNormalizedTitleIndexInWorker = function(callbackProgress) {
+        var files = this._file._files;
+        if (this._file.isRemote()) {
+            // All the titles would have to be downloaded : the searches stay case sensitive
+            return Q.reject(new Error("The title index of a remote archive is not built"));
+        }
+        return Q.Promise(function(resolve, reject) {
+            // When using the application normally, there's no prefix
+            // But the prefix www is needed when using unit tests
+            var webworkerTitleIndex = new Worker(PREFIX_PATH_WEBWORKER_TITLEINDEX + "js/lib/webworker_titleindex.js");
+            webworkerTitleIndex.onerror = function(event) {
+                webworkerTitleIndex.terminate();
+                reject(new Error("An unexpected error occured while building the title index : " + event.message));
+            };
+            webworkerTitleIndex.onmessage = function(event) {
+                switch (event.data.cmd) {
+                    case "progress":
+                        if (callbackProgress) {
+                            callbackProgress(event.data.msg);
+                        }
+                        break;
+                    case "result":
+                        webworkerTitleIndex.terminate();
+                        resolve(new normalizedTitleIndex.NormalizedTitleIndex(event.data.msg.titles, event.data.msg.offsets));
+                        break;
+                    case "debug":
+                        console.log(event.data.msg);
+                        break;
+                    case "error":
+                        webworkerTitleIndex.terminate();
+                        reject(new Error(event.data.msg));
+                        break;
+                }
+            };
+            webworkerTitleIndex.postMessage({cmd: 'build', msg: {files: files}});
+        });
+    };
+    
+    /**
+     * Reads the titles of all the articles, and builds their normalized title index.
+     * It takes a while on big archives : it is meant to be called in a WebWorker
+     * @param {callbackTitleIndexProgress} callbackProgress Optional
+     * @returns {Promise} that resolves to the NormalizedTitleIndex
+     */
+    ZIMArchive.prototype.buildNormalizedTitleIndex = function(callbackProgress) {
+        var entries = [];
+        return this._getTitleIndex().then(function(titleIndex) {
+            var readBatch = function(start) {
+                if (start >= titleIndex.length) {
+                    return entries;
+                }
+                var end = Math.min(start + TITLE_INDEX_BATCH_SIZE, titleIndex.length);
+                var reads = [];
+                for (var i = start; i < end; i++) {
+                    reads.push(titleIndex.dirEntryAt(i));
+                }
+                return Q.all(reads).then(function(dirEntries) {
+                    dirEntries.forEach(function(dirEntry) {
+                        if (dirEntry.namespace === titleIndex.namespace) {
+                            entries.push({title: dirEntry.title || dirEntry.url, offset: dirEntry.offset});
+                        }
+                    });
+                    if (callbackProgress) {
+                        callbackProgress(end / titleIndex.length);
+                    }
+                    return readBatch(end);
+                });
+            };
+            return readBatch(0);
+        }).then(function(entries) {
+            return normalizedTitleIndex.NormalizedTitleIndex.fromEntries(entries);
+        });
+    };
+    
+    /**
+     * Gives the list in which titles are searched (built only once) :
+     * the front article listing in the new namespace layout if it exists,
+     * the title pointer list of the header otherwise
+     * @returns {Promise} that resolves to a TitleIndex
+     */
+    ZIMArchive.prototype._getTitleIndex = function() {
+        var that = this;
+        var file = this._file;
+        if (!this._titleIndex) {
+            var headerTitleIndex = {
+                length: file.articleCount,
+                dirEntryAt: function(i) {
+                    return file.dirEntryByTitleIndex(i);
+                },
+                namespace: file.newNamespaceScheme ? 'C' : 'A',
+                articlesOnly: false
+            };
+            if (!file.newNamespaceScheme) {
+                this._titleIndex = Q(headerTitleIndex);
+            }
+            else {
+                this._titleIndex = this._findDirEntryByUrl(FRONT_ARTICLE_LISTING_URL).then(function(dirEntry) {
+                    if (dirEntry === null) {
+                        return headerTitleIndex;
+                    }
+                    return that._dirEntryToTitleObject(dirEntry).readData().then(function(data) {
+                        // List of 4-byte little-endian URL indexes
+                        var listing = new DataView(data.buffer, data.byteOffset, data.length);
+                        return {
+                            length: Math.floor(data.length / 4),
+                            dirEntryAt: function(i) {
+                                return file.dirEntryByUrlIndex(listing.getUint32(i * 4, true));
+                            },
+                            namespace: 'C',
+                            articlesOnly: true
+                        };
+                    });
+                });
+            }
+        }
+        return this._titleIndex;
     };
 
     /**
@@ -288,16 +991,60 @@ define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
      */
     ZIMArchive.prototype.getTitleByName = function(titleName) {
         var that = this;
+        var urls = this._urlsForTitleName(titleName);
+        var findNextUrl = function(i) {
+            if (i >= urls.length) {
+                return null;
+            }
+            return that._findDirEntryByUrl(urls[i]).then(function(dirEntry) {
+                if (dirEntry === null)
+                    return findNextUrl(i + 1);
+                else
+                    return that._dirEntryToTitleObject(dirEntry);
+            });
+        };
+        return Q(findNextUrl(0));
+    };
+    
+    /**
+     * Gives the URLs (with namespace) where a title can be found, by order of preference.
+     * Names without namespace are articles.
+     * In the new namespace layout, the names in the old namespaces (A, I, J, -) are looked for in the C namespace :
+     * both with and without their namespace, because the content can have been moved to C as is, or with its full path
+     * @param {String} titleName
+     * @returns {Array.<String>}
+     */
+    ZIMArchive.prototype._urlsForTitleName = function(titleName) {
+        var contentNamespace = this._file.newNamespaceScheme ? "C/" : "A/";
         // If no namespace is mentioned, it's an article, and we have to add it
         if (regexpTitleNameWithoutNameSpace.test(titleName)) {
-            titleName= "A/" + titleName;
+            return [contentNamespace + titleName];
+        }
+        if (!this._file.newNamespaceScheme || regexpNewNamespace.test(titleName)) {
+            return [titleName];
         }
+        var urls = [];
+        var oldNamespaceMatch = regexpOldContentNamespace.exec(titleName);
+        if (oldNamespaceMatch) {
+            urls.push("C/" + oldNamespaceMatch[1]);
+        }
+        urls.push("C/" + titleName);
+        return urls;
+    };
+    
+    /**
+     * Searches a directory entry by its URL, in the URL pointer list
+     * @param {String} url URL with namespace
+     * @returns {Promise} that resolves to the DirEntry data, or null if not found
+     */
+    ZIMArchive.prototype._findDirEntryByUrl = function(url) {
+        var that = this;
         return util.binarySearch(0, this._file.articleCount, function(i) {
             return that._file.dirEntryByUrlIndex(i).then(function(dirEntry) {
-                var url = dirEntry.namespace + "/" + dirEntry.url;
-                if (titleName < url)
+                var entryUrl = dirEntry.namespace + "/" + dirEntry.url;
+                if (url < entryUrl)
                     return -1;
-                else if (titleName > url)
+                else if (url > entryUrl)
                     return 1;
                 else
                     return 0;
@@ -305,11 +1052,6 @@ define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
         }).then(function(index) {
             if (index === null) return null;
             return that._file.dirEntryByUrlIndex(index);
-        }).then(function(dirEntry) {
-            if (dirEntry === null)
-                return null;
-            else
-                return that._dirEntryToTitleObject(dirEntry);
         });
     };
 
@@ -319,8 +1061,14 @@ define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
      */
     ZIMArchive.prototype.getRandomTitle = function(callback) {
         var that = this;
-        var index = Math.floor(Math.random() * this._file.articleCount);
-        this._file.dirEntryByUrlIndex(index).then(function(dirEntry) {
+        this._getTitleIndex().then(function(titleIndex) {
+            if (titleIndex.articlesOnly) {
+                // Pick an article in the front article listing
+                return titleIndex.dirEntryAt(Math.floor(Math.random() * titleIndex.length));
+            }
+            // Any entry can be picked : the caller has to check if it is an article
+            return that._file.dirEntryByUrlIndex(Math.floor(Math.random() * that._file.articleCount));
+        }).then(function(dirEntry) {
             return that._dirEntryToTitleObject(dirEntry);
         }).then(callback);
     };
@@ -334,6 +1082,14 @@ define(['zimfile', 'zimDirEntry', 'util', 'utf8'],
         return new zimDirEntry.DirEntry(this._file, dirEntry);
     };
 
+    /**
+     * @param {CancellationToken} cancellationToken Optional
+     * @returns {Boolean} true if the token has been cancelled
+     */
+    function isCancelled(cancellationToken) {
+        return cancellationToken ? cancellationToken.cancelled : false;
+    }
+
     /**
      * Functions and classes exposed by this module
      */
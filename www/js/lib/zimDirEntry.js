@@ -84,6 +84,26 @@ define([], function() {
         return this.title;
     };
     
+    /**
+     * Looks up the MIME type of this directory entry in the MIME type list of the ZIM file
+     * @returns {String} MIME type (or undefined for a redirect)
+     */
+    DirEntry.prototype.getMimetype = function() {
+        return this._zimfile.mimeTypes[this.mimetype];
+    };
+    
+    /**
+     * Tells if this directory entry is an article (and not an image, a stylesheet, some metadata...).
+     * In the new namespace layout, all the content is in the C namespace : the articles are its HTML entries
+     * @returns {Boolean}
+     */
+    DirEntry.prototype.isArticle = function() {
+        if (this._zimfile.newNamespaceScheme) {
+            return this.namespace === 'C' && /^text\/html\b/.test(this.getMimetype());
+        }
+        return this.namespace === 'A';
+    };
+    
     /**
      * 
      * @returns {Boolean}
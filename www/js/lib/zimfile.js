@@ -20,7 +20,58 @@
  * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
  */
 'use strict';
-define(['xzdec_wrapper', 'util', 'utf8', 'q'], function(xz, util, utf8, Q) {
+define(['xzdec_wrapper', 'zstddec_wrapper', 'lruCache', 'util', 'utf8', 'q'], function(xz, zstd, lruCache, util, utf8, Q) {
+
+    // The first byte of a cluster holds the compression type in its low nibble
+    // and the "extended" flag (blob offsets on 8 bytes) in its bit 4
+    var CLUSTER_COMPRESSION_MASK = 0x0f;
+    var CLUSTER_EXTENDED_FLAG = 0x10;
+
+    // Default maximum total size (in bytes) of the decompressed clusters kept in memory
+    var DEFAULT_CLUSTER_CACHE_SIZE = 16 * 1024 * 1024;
+
+    // Small reads (pointer lists, dirents...) go through a cache of aligned blocks of this size
+    var BLOCK_SIZE = 16 * 1024;
+    // Default maximum total size (in bytes) of the blocks kept in memory
+    var DEFAULT_BLOCK_CACHE_SIZE = 4 * 1024 * 1024;
+    // Bigger reads bypass the block cache
+    var MAX_CACHED_READ_SIZE = 64 * 1024;
+    // The MIME type list is read by chunks of this size
+    var MIME_TYPE_LIST_CHUNK_SIZE = 4096;
+
+    // "ZIM\x04" read as a little-endian integer
+    var ZIM_MAGIC_NUMBER = 0x044D495A;
+    var HEADER_SIZE = 80;
+    var SUPPORTED_MAJOR_VERSIONS = [5, 6];
+
+    // Suffix ("aa", "ab"...) of the parts of a split ZIM file
+    var regexpSplitPartSuffix = /\.zim([a-z])([a-z])$/i;
+
+    /**
+     * Error raised when a ZIM file can not be opened
+     * 
+     * @constructor
+     * @param {String} code One of ZIMError.BAD_MAGIC, ZIMError.UNSUPPORTED_VERSION,
+     *     ZIMError.MISSING_PARTS or ZIMError.TRUNCATED
+     * @param {String} message
+     */
+    function ZIMError(code, message)
+    {
+        this.name = 'ZIMError';
+        this.code = code;
+        this.message = message;
+        this.stack = (new Error(message)).stack;
+    }
+    ZIMError.prototype = Object.create(Error.prototype);
+    ZIMError.prototype.constructor = ZIMError;
+    // The file is not a ZIM file
+    ZIMError.BAD_MAGIC = 'BAD_MAGIC';
+    // The ZIM format version is not supported by this reader
+    ZIMError.UNSUPPORTED_VERSION = 'UNSUPPORTED_VERSION';
+    // Some parts of a split ZIM file are missing
+    ZIMError.MISSING_PARTS = 'MISSING_PARTS';
+    // The file is shorter than what its header describes
+    ZIMError.TRUNCATED = 'TRUNCATED';
 
     var readInt = function(data, offset, size)
     {
@@ -33,6 +84,49 @@ define(['xzdec_wrapper', 'util', 'utf8', 'q'], function(xz, util, utf8, Q) {
         return r;
     };
                 
+    /**
+     * Reads the MIME type list : a list of zero-terminated strings, terminated by an empty string.
+     * It is read by small chunks, until its end : in the ZIM files written by the recent versions of libzim,
+     * the next part of the file (the pointer lists) is after the clusters, so it can not be used to know its size
+     * 
+     * See http://www.openzim.org/wiki/ZIM_file_format#MIME_Type_List
+     * 
+     * @param {ZIMFile} zf ZIMFile with its header fields read
+     * @returns {Promise} that resolves to the Array of the MIME types, indexed by their number
+     */
+    var readMimeTypeList = function(zf)
+    {
+        // The list can not go beyond the nearest part of the file that follows it
+        var listEnd = [zf.urlPtrPos, zf.titlePtrPos, zf.clusterPtrPos, zf.checksumPos].reduce(function(listEnd, pos) {
+            return pos > zf.mimeListPos && pos < listEnd ? pos : listEnd;
+        }, zf.size);
+        var mimeTypes = [];
+        var readChunk = function(pos, previousData) {
+            var size = Math.min(MIME_TYPE_LIST_CHUNK_SIZE, listEnd - pos);
+            if (size <= 0) {
+                return mimeTypes;
+            }
+            return zf._readSlice(pos, size).then(function(chunk) {
+                // The beginning of the string that was cut at the end of the previous chunk
+                var data = new Uint8Array(previousData.length + chunk.length);
+                data.set(previousData);
+                data.set(chunk, previousData.length);
+                var start = 0;
+                for (var i = 0; i < data.length; i++) {
+                    if (data[i] === 0) {
+                        if (i === start) {
+                            return mimeTypes;
+                        }
+                        mimeTypes.push(utf8.parse(data.subarray(start, i)));
+                        start = i + 1;
+                    }
+                }
+                return readChunk(pos + size, data.subarray(start));
+            });
+        };
+        return readChunk(zf.mimeListPos, new Uint8Array(0));
+    };
+
     /**
      * A ZIM File
      * 
@@ -40,6 +134,11 @@ define(['xzdec_wrapper', 'util', 'utf8', 'q'], function(xz, util, utf8, Q) {
      * 
      * @typedef ZIMFile
      * @property {Array.<File>} _files Array of ZIM files
+     * @property {Integer} majorVersion major version of the ZIM format
+     * @property {Integer} minorVersion minor version of the ZIM format
+     * @property {String} uuid unique identifier of the archive (32 hexadecimal digits)
+     * @property {Boolean} newNamespaceScheme true if all the content is in the C namespace (ZIM 6.1 and later),
+     *     false if it is in the A (articles), I (images) and - (layout) namespaces
      * @property {Integer} articleCount total number of articles
      * @property {Integer} clusterCount total number of clusters
      * @property {Integer} urlPtrPos position of the directory pointerlist ordered by URL
@@ -48,6 +147,16 @@ define(['xzdec_wrapper', 'util', 'utf8', 'q'], function(xz, util, utf8, Q) {
      * @property {Integer} mimeListPos position of the MIME type list (also header size)
      * @property {Integer} mainPage main page or 0xffffffff if no main page
      * @property {Integer} layoutPage layout page or 0xffffffffff if no layout page
+     * @property {Integer} checksumPos position of the MD5 checksum (also end of the cluster data)
+     * @property {Array.<String>} mimeTypes MIME types of the MIME type list, indexed by their number
+     * @property {Integer} size total size of the file(s), in bytes
+     * @property {Integer} partCount number of files (1 if the ZIM file is not split)
+     * @property {LRUCache} _clusterCache Decompressed clusters, indexed by cluster number
+     * @property {Object} _pendingClusters Promises of the clusters being decompressed, indexed by cluster number
+     * @property {Object} _lastCluster Number and data of the last cluster decompressed (that may be too big for the cache)
+     * @property {LRUCache} _blockCache Blocks of BLOCK_SIZE bytes read from the files, indexed by block number
+     * @property {Object} _pendingBlocks Deferreds of the blocks being read, indexed by block number
+     * @property {Array.<Integer>} _blockQueue Numbers of the blocks waiting to be read, or null if no read is scheduled
      * 
      */
     
@@ -57,8 +166,52 @@ define(['xzdec_wrapper', 'util', 'utf8', 'q'], function(xz, util, utf8, Q) {
     function ZIMFile(abstractFileArray)
     {
         this._files = abstractFileArray;
+        this._clusterCache = new lruCache.LRUCache(DEFAULT_CLUSTER_CACHE_SIZE);
+        this._pendingClusters = {};
+        this._lastCluster = null;
+        this._blockCache = new lruCache.LRUCache(DEFAULT_BLOCK_CACHE_SIZE);
+        this._pendingBlocks = {};
+        this._blockQueue = null;
     }
 
+    /**
+     * Sets the maximum total size of the decompressed clusters kept in memory
+     * @param {Integer} size in bytes
+     */
+    ZIMFile.prototype.setClusterCacheSize = function(size)
+    {
+        this._clusterCache.setMaxSize(size);
+    };
+
+    /**
+     * Statistics of the decompressed cluster cache.
+     * Requests waiting for a cluster that is already being decompressed are counted neither as hits nor as misses
+     * @returns {Object} hits, misses, entries, size and maxSize (in bytes)
+     */
+    ZIMFile.prototype.getClusterCacheStats = function()
+    {
+        return this._clusterCache.getStats();
+    };
+
+    /**
+     * Sets the maximum total size of the file blocks kept in memory
+     * @param {Integer} size in bytes
+     */
+    ZIMFile.prototype.setBlockCacheSize = function(size)
+    {
+        this._blockCache.setMaxSize(size);
+    };
+
+    /**
+     * Statistics of the block cache.
+     * Reads waiting for a block that is already being read are counted neither as hits nor as misses
+     * @returns {Object} hits, misses, entries, size and maxSize (in bytes)
+     */
+    ZIMFile.prototype.getBlockCacheStats = function()
+    {
+        return this._blockCache.getStats();
+    };
+
     /**
      * 
      * @param {Integer} offset
@@ -74,12 +227,118 @@ define(['xzdec_wrapper', 'util', 'utf8', 'q'], function(xz, util, utf8, Q) {
     };
 
     /**
+     * Reads a slice of the ZIM file, through the block cache for small reads
      * 
      * @param {Integer} offset
      * @param {Integer} size
-     * @returns {Promise}
+     * @returns {Promise} that resolves to a Uint8Array (shorter than size at the end of the file)
      */
     ZIMFile.prototype._readSlice = function(offset, size)
+    {
+        if (size <= 0) {
+            return Q(new Uint8Array(0));
+        }
+        if (size > MAX_CACHED_READ_SIZE) {
+            return this._readFileSlice(offset, size);
+        }
+        var firstBlock = Math.floor(offset / BLOCK_SIZE);
+        var lastBlock = Math.floor((offset + size - 1) / BLOCK_SIZE);
+        var blockRequests = [];
+        for (var block = firstBlock; block <= lastBlock; block++) {
+            blockRequests.push(this._readBlock(block));
+        }
+        return Q.all(blockRequests).then(function(blocks) {
+            var start = offset - firstBlock * BLOCK_SIZE;
+            if (blocks.length === 1) {
+                return blocks[0].subarray(start, start + size);
+            }
+            var data = new Uint8Array(size);
+            var dataPos = 0;
+            for (var i = 0; i < blocks.length && dataPos < size; i++) {
+                var part = blocks[i].subarray(i === 0 ? start : 0);
+                part = part.subarray(0, Math.min(part.length, size - dataPos));
+                data.set(part, dataPos);
+                dataPos += part.length;
+                if (blocks[i].length < BLOCK_SIZE) {
+                    break; // end of the file
+                }
+            }
+            return data.subarray(0, dataPos);
+        });
+    };
+
+    /**
+     * Gives a block of the file from the block cache, or schedules its reading.
+     * The blocks requested during the same tick are read together, with a single
+     * read for each run of adjacent blocks
+     * 
+     * @param {Integer} block Block number
+     * @returns {Promise} that resolves to a Uint8Array of BLOCK_SIZE bytes (or less at the end of the file)
+     */
+    ZIMFile.prototype._readBlock = function(block)
+    {
+        var that = this;
+        if (this._pendingBlocks[block]) {
+            return this._pendingBlocks[block].promise;
+        }
+        var cachedBlock = this._blockCache.get(block);
+        if (cachedBlock) {
+            return Q(cachedBlock);
+        }
+        var deferred = Q.defer();
+        this._pendingBlocks[block] = deferred;
+        if (!this._blockQueue) {
+            this._blockQueue = [];
+            Q.nextTick(function() {
+                that._readQueuedBlocks();
+            });
+        }
+        this._blockQueue.push(block);
+        return deferred.promise;
+    };
+
+    /**
+     * Reads the queued blocks, coalescing the adjacent ones
+     */
+    ZIMFile.prototype._readQueuedBlocks = function()
+    {
+        var that = this;
+        var queue = this._blockQueue.sort(function(a, b) { return a - b; });
+        this._blockQueue = null;
+        var readRun = function(firstBlock, blockCount) {
+            that._readFileSlice(firstBlock * BLOCK_SIZE, blockCount * BLOCK_SIZE).then(function(data) {
+                for (var i = 0; i < blockCount; i++) {
+                    var block = data.slice(i * BLOCK_SIZE, (i + 1) * BLOCK_SIZE);
+                    that._blockCache.set(firstBlock + i, block, BLOCK_SIZE);
+                    var deferred = that._pendingBlocks[firstBlock + i];
+                    delete that._pendingBlocks[firstBlock + i];
+                    deferred.resolve(block);
+                }
+            }, function(e) {
+                for (var i = 0; i < blockCount; i++) {
+                    var deferred = that._pendingBlocks[firstBlock + i];
+                    delete that._pendingBlocks[firstBlock + i];
+                    deferred.reject(e);
+                }
+            });
+        };
+        var runStart = 0;
+        for (var i = 1; i <= queue.length; i++) {
+            if (i === queue.length || queue[i] !== queue[i - 1] + 1) {
+                readRun(queue[runStart], i - runStart);
+                runStart = i;
+            }
+        }
+    };
+
+    /**
+     * Reads a slice of the ZIM file directly from the file(s), without any cache
+     * 
+     * @param {Integer} offset
+     * @param {Integer} size
+     * @returns {Promise}
+     */
+    ZIMFile.prototype._readFileSlice = function(offset, size)
     {
         var readRequests = [];
         var currentOffset = 0;
@@ -92,7 +351,7 @@ define(['xzdec_wrapper', 'util', 'utf8', 'q'], function(xz, util, utf8, Q) {
             }
         }
         if (readRequests.length == 0) {
-            return Q(new Uint8Array(0).buffer);
+            return Q(new Uint8Array(0));
         } else if (readRequests.length == 1) {
             return readRequests[0];
         } else {
@@ -105,7 +364,8 @@ define(['xzdec_wrapper', 'util', 'utf8', 'q'], function(xz, util, utf8, Q) {
                     concatenated.set(new Uint8Array(arrays[i]), sizeSum);
                     sizeSum += arrays[i].byteLength;
                 }
-                return concatenated;
+                // Reads beyond the end of the last file are shorter than requested
+                return concatenated.subarray(0, sizeSum);
             });
         }
     };
@@ -183,41 +443,281 @@ define(['xzdec_wrapper', 'util', 'utf8', 'q'], function(xz, util, utf8, Q) {
         return this._readSlice(this.clusterPtrPos + cluster * 8, 16).then(function(clusterOffsets)
         {
             var clusterOffset = readInt(clusterOffsets, 0, 8);
-            var nextCluster = readInt(clusterOffsets, 8, 8);
-            return that._readSlice(clusterOffset, 1).then(function(compressionType) {
+            // The last cluster ends where the checksum begins
+            var nextCluster = cluster + 1 < that.clusterCount ? readInt(clusterOffsets, 8, 8) : that.checksumPos;
+            return that._readSlice(clusterOffset, 1).then(function(clusterInfo) {
+                var compressionType = clusterInfo[0] & CLUSTER_COMPRESSION_MASK;
+                // Extended clusters store their blob offsets on 8 bytes instead of 4
+                var offsetSize = (clusterInfo[0] & CLUSTER_EXTENDED_FLAG) ? 8 : 4;
                 var decompressor;
                 var plainBlobReader = function(offset, size) {
-                    return that._readSlice(clusterOffset + 1 + offset, size);
+                    // Never read beyond the end of the cluster : the decompressors
+                    // use a short read to detect the end of the compressed stream
+                    size = Math.max(0, Math.min(size, nextCluster - clusterOffset - 1 - offset));
+                    // Cluster data is kept in the cluster cache, not in the block cache
+                    return that._readFileSlice(clusterOffset + 1 + offset, size);
                 };
-                if (compressionType[0] === 0 || compressionType[0] === 1) {
-                    // uncompressed
+                if (compressionType === 0 || compressionType === 1) {
+                    // uncompressed : the blob is read directly from the file
                     decompressor = { readSlice: plainBlobReader };
-                } else if (compressionType[0] === 4) {
+                } else if (compressionType === 4) {
                     decompressor = new xz.Decompressor(plainBlobReader);
+                } else if (compressionType === 5) {
+                    decompressor = new zstd.Decompressor(plainBlobReader);
                 } else {
                     return new Uint8Array(); // unsupported compression type
                 }
-                return decompressor.readSlice(blob * 4, 8).then(function(data) {
-                    var blobOffset = readInt(data, 0, 4);
-                    var nextBlobOffset = readInt(data, 4, 4);
+                if (compressionType > 1) {
+                    // Compressed streams can only be read from their start :
+                    // the whole cluster is decompressed once and kept in the cache
+                    decompressor = that._decompressedCluster(cluster, decompressor);
+                }
+                return decompressor.readSlice(blob * offsetSize, offsetSize * 2).then(function(data) {
+                    var blobOffset = readInt(data, 0, offsetSize);
+                    var nextBlobOffset = readInt(data, offsetSize, offsetSize);
                     return decompressor.readSlice(blobOffset, nextBlobOffset - blobOffset);
                 });
             });
         });
     };
 
+    /**
+     * Gives the position of a blob in the file, so that it can be read in small parts.
+     * This is only possible if its cluster is not compressed
+     *
+     * @param {Integer} cluster
+     * @param {Integer} blob
+     * @returns {Promise} that resolves to an object with the offset and the size of the blob,
+     *     or to null if the cluster is compressed
+     */
+    ZIMFile.prototype.blobPosition = function(cluster, blob)
+    {
+        var that = this;
+        return this._readInteger(this.clusterPtrPos + cluster * 8, 8).then(function(clusterOffset)
+        {
+            return that._readSlice(clusterOffset, 1).then(function(clusterInfo) {
+                var compressionType = clusterInfo[0] & CLUSTER_COMPRESSION_MASK;
+                if (compressionType !== 0 && compressionType !== 1) {
+                    return null;
+                }
+                var offsetSize = (clusterInfo[0] & CLUSTER_EXTENDED_FLAG) ? 8 : 4;
+                return that._readSlice(clusterOffset + 1 + blob * offsetSize, offsetSize * 2).then(function(data) {
+                    var blobOffset = readInt(data, 0, offsetSize);
+                    var nextBlobOffset = readInt(data, offsetSize, offsetSize);
+                    return {
+                        offset: clusterOffset + 1 + blobOffset,
+                        size: nextBlobOffset - blobOffset
+                    };
+                });
+            });
+        });
+    };
+
+    /**
+     * Gives access to the decompressed content of a cluster, through the cluster cache.
+     * Concurrent requests for the same cluster share a single decompression.
+     * The last cluster decompressed is kept even if it is bigger than the cache,
+     * so that the next blobs of a big cluster can be read without decompressing it again
+     * 
+     * @param {Integer} cluster
+     * @param {Decompressor} decompressor Decompressor of the cluster
+     * @returns {Object} an object with a readSlice(offset, length) function, like a Decompressor
+     */
+    ZIMFile.prototype._decompressedCluster = function(cluster, decompressor)
+    {
+        var that = this;
+        var clusterData = this._pendingClusters[cluster];
+        if (!clusterData) {
+            var cachedData = this._clusterCache.get(cluster);
+            if (!cachedData && this._lastCluster && this._lastCluster.cluster === cluster) {
+                cachedData = this._lastCluster.data;
+            }
+            if (cachedData) {
+                clusterData = Q(cachedData);
+            } else {
+                clusterData = decompressor.readAll().then(function(data) {
+                    delete that._pendingClusters[cluster];
+                    that._clusterCache.set(cluster, data, data.length);
+                    that._lastCluster = {cluster: cluster, data: data};
+                    return data;
+                }, function(e) {
+                    delete that._pendingClusters[cluster];
+                    throw e;
+                });
+                this._pendingClusters[cluster] = clusterData;
+            }
+        }
+        return {
+            readSlice: function(offset, length) {
+                return clusterData.then(function(data) {
+                    return data.subarray(offset, offset + length);
+                });
+            }
+        };
+    };
+
+    /**
+     * @callback callbackChecksumProgress
+     * @param {Number} progress Fraction of the file(s) already checked, between 0 and 1
+     */
+
+    /**
+     * @callback callbackChecksumResult
+     * @param {Boolean} valid true if the computed MD5 checksum is the one stored in the file
+     * @param {String} error Reason why the check could not be done (valid is then null)
+     */
+
+    /**
+     * Tells if the file is read from an HTTP server (see RemoteFile) : a WebWorker can not read it then
+     * @returns {Boolean}
+     */
+    ZIMFile.prototype.isRemote = function()
+    {
+        return this._files.some(function(file) {
+            return typeof file.readSlice === 'function';
+        });
+    };
+
+    /**
+     * Checks the MD5 checksum stored at the end of the file, in a WebWorker.
+     * The whole file (all the parts of a split ZIM file) is read, which can take several minutes
+     * 
+     * @param {callbackChecksumProgress} callbackProgress
+     * @param {callbackChecksumResult} callbackResult
+     * @returns {Object} an object with a cancel() function, that stops the check (callbackResult is then not called)
+     */
+    ZIMFile.prototype.verifyChecksum = function(callbackProgress, callbackResult)
+    {
+        if (this.isRemote()) {
+            var cancelled = false;
+            Q.nextTick(function() {
+                if (!cancelled) {
+                    callbackResult(null, "a remote archive would have to be downloaded entirely");
+                }
+            });
+            return {
+                cancel: function() {
+                    cancelled = true;
+                }
+            };
+        }
+        // When using the application normally, there's no prefix
+        // But the prefix www is needed when using unit tests
+        var webworkerMD5 = new Worker(PREFIX_PATH_WEBWORKER_MD5 + "js/lib/webworker_md5.js");
+        webworkerMD5.onerror = function(event) {
+            webworkerMD5.terminate();
+            callbackResult(null, "An unexpected error occured during the MD5 check : " + event.message);
+        };
+        webworkerMD5.onmessage = function(event) {
+            switch (event.data.cmd) {
+                case "progress":
+                    callbackProgress(event.data.msg);
+                    break;
+                case "result":
+                    webworkerMD5.terminate();
+                    callbackResult(event.data.msg.valid);
+                    break;
+                case "debug":
+                    console.log(event.data.msg);
+                    break;
+                case "error":
+                    webworkerMD5.terminate();
+                    callbackResult(null, event.data.msg);
+                    break;
+            }
+        };
+        webworkerMD5.postMessage({cmd: 'check', msg: {files: this._files, checksumPos: this.checksumPos}});
+        return {
+            cancel: function() {
+                webworkerMD5.terminate();
+            }
+        };
+    };
+
+    /**
+     * Checks that the parts of a split ZIM file (.zimaa, .zimab...) are all there
+     * 
+     * @param {Array.<File>} fileArray Files, sorted by name
+     * @throws {ZIMError} if a part is missing
+     */
+    var checkSplitParts = function(fileArray)
+    {
+        for (var i = 0; i < fileArray.length; i++) {
+            var suffix = regexpSplitPartSuffix.exec(fileArray[i].name);
+            if (!suffix) {
+                return; // not a split ZIM file
+            }
+            var part = (suffix[1].toLowerCase().charCodeAt(0) - 0x61) * 26 + suffix[2].toLowerCase().charCodeAt(0) - 0x61;
+            if (part !== i) {
+                var missingPart = String.fromCharCode(0x61 + Math.floor(i / 26)) + String.fromCharCode(0x61 + i % 26);
+                throw new ZIMError(ZIMError.MISSING_PARTS, "The part ending with .zim" + missingPart + " of the split ZIM file is missing");
+            }
+        }
+    };
+
+    /**
+     * Checks the header of a ZIM file
+     * 
+     * @param {ZIMFile} zf ZIMFile with its header fields read
+     * @param {Uint8Array} header
+     * @param {Integer} totalSize Total size of the file(s)
+     * @throws {ZIMError} if the file can not be read
+     */
+    var checkHeader = function(zf, header, totalSize)
+    {
+        if (header.length < HEADER_SIZE || readInt(header, 0, 4) !== ZIM_MAGIC_NUMBER) {
+            throw new ZIMError(ZIMError.BAD_MAGIC, "This is not a ZIM file");
+        }
+        if (SUPPORTED_MAJOR_VERSIONS.indexOf(zf.majorVersion) === -1) {
+            throw new ZIMError(ZIMError.UNSUPPORTED_VERSION, "ZIM format version " + zf.majorVersion + "." + zf.minorVersion + " is not supported");
+        }
+        var isSplit = regexpSplitPartSuffix.test(zf._files[0].name);
+        var checkInFile = function(position, description) {
+            if (position > totalSize) {
+                if (isSplit) {
+                    throw new ZIMError(ZIMError.MISSING_PARTS, "The " + description + " is beyond the end of the split ZIM file : its last parts are probably missing");
+                }
+                throw new ZIMError(ZIMError.TRUNCATED, "The " + description + " is beyond the end of the ZIM file : it is probably truncated");
+            }
+        };
+        checkInFile(zf.mimeListPos, "MIME type list");
+        checkInFile(zf.urlPtrPos + zf.articleCount * 8, "URL pointer list");
+        checkInFile(zf.titlePtrPos + zf.articleCount * 4, "title pointer list");
+        checkInFile(zf.clusterPtrPos + zf.clusterCount * 8, "cluster pointer list");
+        checkInFile(zf.checksumPos + 16, "checksum");
+    };
+
     return {
+        ZIMError: ZIMError,
+
         /**
+         * Opens a ZIM file, after checking its header
          * 
-         * @param {Array.<File>} fileArray
-         * @returns {Promise}
+         * @param {Array.<File>} fileArray The ZIM file, or all the parts of a split ZIM file
+         * @returns {Promise} that resolves to the ZIMFile, or is rejected with a ZIMError
          */
         fromFileArray: function(fileArray) {
-            // Let's sort the file array in alphabetic order
-            fileArray.sort();
-            return util.readFileSlice(fileArray[0], 0, 80).then(function(header)
+            if (fileArray.length === 0) {
+                return Q.reject(new ZIMError(ZIMError.MISSING_PARTS, "No ZIM file was given"));
+            }
+            // Let's sort the file array in alphabetic order of the file names
+            fileArray.sort(function(a, b) {
+                return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+            });
+            try {
+                checkSplitParts(fileArray);
+            } catch (e) {
+                return Q.reject(e);
+            }
+            var totalSize = fileArray.reduce(function(size, file) {
+                return size + file.size;
+            }, 0);
+            return util.readFileSlice(fileArray[0], 0, HEADER_SIZE).then(function(header)
             {
                 var zf = new ZIMFile(fileArray);
+                zf.majorVersion = readInt(header, 4, 2);
+                zf.minorVersion = readInt(header, 6, 2);
+                zf.uuid = util.uint8ArrayToHex(header.subarray(8, 24));
                 zf.articleCount = readInt(header, 24, 4);
                 zf.clusterCount = readInt(header, 28, 4);
                 zf.urlPtrPos = readInt(header, 32, 8);
@@ -226,7 +726,16 @@ define(['xzdec_wrapper', 'util', 'utf8', 'q'], function(xz, util, utf8, Q) {
                 zf.mimeListPos = readInt(header, 56, 8);
                 zf.mainPage = readInt(header, 64, 4);
                 zf.layoutPage = readInt(header, 68, 4);
-                return zf;
+                zf.checksumPos = readInt(header, 72, 8);
+                checkHeader(zf, header, totalSize);
+                // The new namespace layout has been introduced with the minor version 1 of the ZIM format 6
+                zf.newNamespaceScheme = zf.majorVersion > 6 || (zf.majorVersion === 6 && zf.minorVersion >= 1);
+                zf.size = totalSize;
+                zf.partCount = fileArray.length;
+                return readMimeTypeList(zf).then(function(mimeTypes) {
+                    zf.mimeTypes = mimeTypes;
+                    return zf;
+                });
             });
         }
     };
@@ -0,0 +1,149 @@
+/**
+ * zstddec_wrapper.js: Javascript wrapper around the zstd decompressor.
+ *
+ * Copyright 2017 Mossroy and contributors
+ * License GPL v3:
+ *
+ * This file is part of Kiwix.
+ *
+ * Kiwix is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Kiwix is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Kiwix (file LICENSE-GPLv3.txt).  If not, see <http://www.gnu.org/licenses/>
+ */
+'use strict';
+define(['zstddec'], function(zstddec) {
+
+    /**
+     * @typedef Decompressor
+     * @property {Integer} _chunkSize
+     * @property {FileReader} _reader
+     * @property {Decompress} _stream zstd streaming decompressor
+     * @property {Integer} _inStreamPos
+     * @property {Integer} _outStreamPos
+     * @property {Uint8Array} _outBuffer
+     * @property {Integer} _outBufferPos
+     */
+
+    /**
+     * Decompresses a zstd stream, with the same interface as the xz Decompressor
+     *
+     * @constructor
+     * @param {FileReader} reader
+     * @param {Integer} chunkSize
+     * @returns {Decompressor}
+     */
+    function Decompressor(reader, chunkSize) {
+        this._chunkSize = chunkSize || 1024 * 5;
+        this._reader = reader;
+    };
+    /**
+     * Read length bytes, offset into the decompressed stream. Consecutive calls may only
+     * advance in the stream and may not overlap.
+     * @param {Integer} offset
+     * @param {Integer} length
+     * @returns {Promise} that resolves to a Uint8Array
+     */
+    Decompressor.prototype.readSlice = function(offset, length) {
+        var that = this;
+        this._inStreamPos = 0;
+        this._outStreamPos = 0;
+        this._outBuffer = new Uint8Array(length);
+        this._outBufferPos = 0;
+        this._stream = new zstddec.Decompress(function(data) {
+            that._copyToOutBuffer(data, offset);
+        });
+        return this._readLoop(offset, length).then(function(data) {
+            that._stream = null;
+            return data;
+        });
+    };
+
+    /**
+     * Reads the whole decompressed stream
+     * @returns {Promise} that resolves to a Uint8Array
+     */
+    Decompressor.prototype.readAll = function() {
+        var that = this;
+        var chunks = [];
+        var size = 0;
+        this._inStreamPos = 0;
+        this._stream = new zstddec.Decompress(function(data) {
+            chunks.push(data);
+            size += data.length;
+        });
+        var readLoop = function() {
+            return that._reader(that._inStreamPos, that._chunkSize).then(function(data) {
+                if (data.length > that._chunkSize)
+                    data = data.subarray(0, that._chunkSize);
+                // A short read means that we reached the end of the compressed stream
+                var lastChunk = data.length < that._chunkSize;
+                that._inStreamPos += data.length;
+                that._stream.push(data, lastChunk);
+                if (!lastChunk)
+                    return readLoop();
+                that._stream = null;
+                var result = new Uint8Array(size);
+                var resultPos = 0;
+                chunks.forEach(function(chunk) {
+                    result.set(chunk, resultPos);
+                    resultPos += chunk.length;
+                });
+                return result;
+            });
+        };
+        return readLoop();
+    };
+
+    /**
+     *
+     * @param {Integer} offset
+     * @param {Integer} length
+     * @returns {Promise}
+     */
+    Decompressor.prototype._readLoop = function(offset, length) {
+        var that = this;
+        return this._reader(this._inStreamPos, this._chunkSize).then(function(data) {
+            if (data.length > that._chunkSize)
+                data = data.subarray(0, that._chunkSize);
+            // A short read means that we reached the end of the compressed stream
+            var lastChunk = data.length < that._chunkSize;
+            that._inStreamPos += data.length;
+            that._stream.push(data, lastChunk);
+            if (lastChunk || that._outStreamPos >= offset + length)
+                return that._outBuffer;
+            else
+                return that._readLoop(offset, length);
+        });
+    };
+
+    /**
+     * Copies the part of the given decompressed data that lies inside the
+     * requested slice into the output buffer
+     * @param {Uint8Array} data decompressed data, following the previous one in the stream
+     * @param {Integer} offset start of the requested slice in the decompressed stream
+     */
+    Decompressor.prototype._copyToOutBuffer = function(data, offset) {
+        var copyStart = offset - this._outStreamPos;
+        if (copyStart < 0)
+            copyStart = 0;
+        if (copyStart < data.length && this._outBufferPos < this._outBuffer.length) {
+            var copyEnd = Math.min(data.length, copyStart + this._outBuffer.length - this._outBufferPos);
+            this._outBuffer.set(data.subarray(copyStart, copyEnd), this._outBufferPos);
+            this._outBufferPos += copyEnd - copyStart;
+        }
+        this._outStreamPos += data.length;
+    };
+
+    return {
+        Decompressor: Decompressor
+    };
+});